@@ -16,7 +16,7 @@ sleep 2
 
 # Start the server with PM2
 echo "🎮 Starting server on port 3000 with PM2..."
-pm2 start server.js --name "wondr-server" --watch --ignore-watch="node_modules"
+pm2 start server.js --name "wondr-server" --watch --ignore-watch="node_modules data"
 
 # Check if server started successfully
 sleep 3
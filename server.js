@@ -1,10 +1,64 @@
 // server.js - Fixed version for multiplayer tag game
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const ServerSpatialGrid = require('./src/utils/serverSpatialGrid');
-const { setupRaceBuilderSocketHandlers } = require('./src/games/race/server');
+const {
+  BINARY_MOVEMENT_PROTOCOL,
+  isBinaryMessage,
+  decodeMove,
+  encodeSnapshot,
+} = require('./src/utils/movementCodec');
+const { setupRaceBuilderSocketHandlers, recordRaceMove, TrackLibrary, LeaderboardStore } = require('./src/games/race/server');
+const { JsonFileObjectStore } = require('./src/server/objectStore');
+const { MovementValidator } = require('./src/server/movementValidator');
+const { SpectatorRegistry } = require('./src/server/spectatorRegistry');
+const { Matchmaker } = require('./src/server/matchmaker');
+const { WorldSnapshots } = require('./src/server/worldSnapshots');
+const { InterestManager } = require('./src/server/interestManager');
+const { initTagStats, changeIt, buildScoreboard } = require('./src/games/tag/server/scoring');
+const { TAG_TICK_MS, isClassicTag, setTagCooldown, clearTagCooldowns, findTagTarget } = require('./src/games/tag/server/tagDetection');
+const {
+  getTagLobbySettings,
+  resetTagLobby,
+  getTagLobbyMinPlayers,
+  getTagLobbyMaxPlayers,
+  emitTagLobbyState,
+  setupTagLobbySocketHandlers,
+} = require('./src/games/tag/server/lobby');
+const {
+  createMatch,
+  recordRound,
+  buildMatchStandings,
+  pickNextIt,
+  addPendingPlayer,
+} = require('./src/games/tag/server/match');
+const {
+  isFreezeTag,
+  initFreezeTag,
+  getFrozenPlayerIds,
+  refreshFreezeTag,
+  buildFreezeTagScoreboard,
+  setupFreezeTagSocketHandlers,
+} = require('./src/games/tag/server/freezeTag');
+const {
+  isInfection,
+  initInfection,
+  getInfectedPlayerIds,
+  refreshInfection,
+  buildInfectionScoreboard,
+  setupInfectionSocketHandlers,
+} = require('./src/games/tag/server/infection');
+const {
+  isHideAndSeek,
+  initHideAndSeek,
+  getHideAndSeekState,
+  refreshHideAndSeek,
+  buildHideAndSeekScoreboard,
+  setupHideAndSeekSocketHandlers,
+} = require('./src/games/hideAndSeek/server');
 
 // Create express app with CORS config for production and development
 const app = express();
@@ -73,17 +127,68 @@ app.get('/health', (req, res) => {
   });
 });
 
+// ========== RACE TRACK LIBRARY ==========
+const trackLibrary = new TrackLibrary(process.env.RACES_DATA_DIR || path.join(__dirname, 'data', 'races'));
+trackLibrary.loadAll();
+
+// Per-track leaderboards and personal bests
+const leaderboards = new LeaderboardStore(
+  process.env.LEADERBOARDS_DATA_DIR || path.join(__dirname, 'data', 'leaderboards')
+);
+
+// List saved race tracks
+app.get('/races', (req, res) => {
+  res.json(trackLibrary.listTracks());
+});
+
 // ========== PLAYER TRACKING ==========
+// Players are partitioned by room: { roomId: { socketId: player } }
 const players = {};
-let hostId = null;
+const hostIds = {}; // Tracks the host for each room
+const DEFAULT_ROOM_ID = 'main-room';
+
+// Spatial grids are kept per room so players in different worlds never interact
+const roomGrids = {};
+
+// Checks every reported position against run speed, jump pads and portals
+const movementValidator = new MovementValidator();
+
+// Movement counters per connected player, for moderation
+app.get('/moderation/movement', (req, res) => {
+  res.json(movementValidator.getCounters());
+});
+
+// Players watching games they aren't in
+const spectatorRegistry = new SpectatorRegistry();
+
+// Movement is batched into one world snapshot per player every tick
+const WORLD_TICK_RATE = Number(process.env.WORLD_TICK_RATE) || 20; // snapshots per second
+const worldSnapshots = new WorldSnapshots();
 
-// Initialize spatial grid for efficient collision detection
-const worldGrid = new ServerSpatialGrid(10, 200, 200);
+// Players within this range (m, rounded up to whole grid cells) get each other's movement every
+// tick; everyone else in the room only every FAR_SNAPSHOT_TICKS ticks
+const INTEREST_RANGE = 20;
+const FAR_SNAPSHOT_TICKS = 5;
+const interestManager = new InterestManager();
 
-// Tag distance - how close players need to be to tag each other
-const TAG_DISTANCE = 0.25;
+// Helper function to get the players for a room
+function getRoomPlayers(roomId) {
+  if (!players[roomId]) {
+    players[roomId] = {};
+  }
+  return players[roomId];
+}
+
+// Helper function to get the spatial grid for a room
+function getRoomGrid(roomId) {
+  if (!roomGrids[roomId]) {
+    roomGrids[roomId] = new ServerSpatialGrid(10, 200, 200);
+  }
+  return roomGrids[roomId];
+}
 
-// Throttle tag checks to avoid performance issues
+// Last tag time for each pair of players, to stop instant tag-backs. Cleared when a player
+// leaves their room or their round ends, so it doesn't grow with every player ever tagged
 const tagCooldowns = {};
 
 // Helper function to find a socket by player ID
@@ -100,16 +205,114 @@ function findSocketById(playerId) {
   return null;
 }
 
+// Helper function to remove a socket's player from its room
+function leaveRoom(socket) {
+  const roomId = socket.roomId;
+  if (!roomId) return;
+
+  getRoomGrid(roomId).removeEntity(socket.id);
+  movementValidator.remove(socket.id);
+  clearTagCooldowns(tagCooldowns, [socket.id]);
+  worldSnapshots.removePlayer(roomId, socket.id);
+  interestManager.remove(socket.id);
+  stopSpectating(io, socket.id);
+
+  const roomPlayers = getRoomPlayers(roomId);
+  delete roomPlayers[socket.id];
+  socket.leave(roomId);
+  socket.roomId = null;
+
+  if (Object.keys(roomPlayers).length === 0) {
+    // Drop empty rooms so the maps don't grow forever
+    delete players[roomId];
+    delete roomGrids[roomId];
+    delete hostIds[roomId];
+    worldSnapshots.removeRoom(roomId);
+    return;
+  }
+
+  io.to(roomId).emit('players', roomPlayers);
+  if (hostIds[roomId] === socket.id) {
+    hostIds[roomId] = Object.keys(roomPlayers)[0];
+    io.to(roomId).emit('host-assigned', hostIds[roomId]);
+  }
+}
+
+/**
+ * Check a position a client reported and send a correction if the server didn't accept it
+ * @param {Object} socket - The moving player's socket
+ * @param {Array} position - Reported position [x, y, z]
+ * @param {boolean} [isTeleport=false] - The client says this move is a teleport
+ * @param {boolean} [isSequenced=false] - The move has a sequence number (the client predicts its own
+ *   movement), so the correction goes out with the next acknowledgement instead of straight away
+ * @returns {Array} The position the server keeps for the player
+ */
+function validateMove(socket, position, isTeleport = false, isSequenced = false) {
+  const check = movementValidator.check(socket.id, position, {
+    now: Date.now(),
+    isTeleport,
+    destinations: getTeleportDestinations(socket.roomId),
+  });
+
+  if (check.result === 'clamped' || check.result === 'rejected') {
+    if (check.result === 'rejected') {
+      console.log(`[SERVER] 🚫 Rejected ${isTeleport ? 'teleport' : 'move'} from ${socket.id.substring(0, 6)} (${check.reason})`);
+    }
+    if (isSequenced) {
+      socket.moveCorrectionReason = check.reason;
+    } else {
+      socket.emit('movement:correction', { position: check.position, reason: check.reason });
+    }
+  }
+  return check.position;
+}
+
+// Race start lines in a world room, where racers are teleported when they join or a race starts
+function getTeleportDestinations(roomId) {
+  return Object.values(activeGames)
+    .filter(game => game.gameType === 'race' && game.startLine && (game.worldRoomId || DEFAULT_ROOM_ID) === roomId)
+    .map(({ startLine }) => [startLine[0], startLine[1] + 1.5, startLine[2] + 2]);
+}
+
 // ========== GAME STATE TRACKING ==========
 const activeGames = {};
-const currentActiveGame = {}; // Tracks the current active game for each game type
 const gameJoinStatus = {};
 const playersInGameZones = {};
-const playerQueues = {};
+const matchmaker = new Matchmaker(); // Join zone queues
 const queueCountdowns = {};
 
+// Join zones, queues and countdowns are tracked per room and game type
+// so that each world runs its own games
+function zoneKey(roomId, gameType) {
+  return `${roomId || DEFAULT_ROOM_ID}:${gameType}`;
+}
+
 // ========== OBJECT MANAGEMENT ==========
 const roomObjects = {}; // Store objects by roomId: { roomId: [objects...] }
+const roomObjectLoads = {}; // Pending/finished loads by roomId, so each room is read from storage once
+
+// Persistent storage for placed objects - any store implementing load/save/flush can be used here
+const objectStore = new JsonFileObjectStore(
+  process.env.OBJECTS_DATA_DIR || path.join(__dirname, 'data', 'objects')
+);
+
+// Helper function to load a room's saved objects into memory on first use
+function loadRoomObjects(roomId) {
+  if (!roomObjectLoads[roomId]) {
+    roomObjectLoads[roomId] = objectStore.load(roomId)
+      .then(objects => {
+        roomObjects[roomId] = objects;
+        console.log(`[SERVER] Loaded ${objects.length} saved objects for room ${roomId}`);
+        return objects;
+      })
+      .catch(err => {
+        // Allow the next request to retry instead of caching the failure
+        delete roomObjectLoads[roomId];
+        throw err;
+      });
+  }
+  return roomObjectLoads[roomId];
+}
 
 // Helper function to get objects for a room
 function getRoomObjects(roomId) {
@@ -123,6 +326,7 @@ function getRoomObjects(roomId) {
 function addObjectToRoom(roomId, object) {
   const objects = getRoomObjects(roomId);
   objects.push(object);
+  objectStore.save(roomId, objects);
   console.log(`[SERVER] Added object ${object.id} to room ${roomId}. Total objects: ${objects.length}`);
 }
 
@@ -132,6 +336,7 @@ function updateObjectInRoom(roomId, objectId, updates) {
   const objectIndex = objects.findIndex(obj => obj.id === objectId);
   if (objectIndex !== -1) {
     objects[objectIndex] = { ...objects[objectIndex], ...updates };
+    objectStore.save(roomId, objects);
     console.log(`[SERVER] Updated object ${objectId} in room ${roomId}`);
     return true;
   }
@@ -144,6 +349,7 @@ function removeObjectFromRoom(roomId, objectId) {
   const objectIndex = objects.findIndex(obj => obj.id === objectId);
   if (objectIndex !== -1) {
     objects.splice(objectIndex, 1);
+    objectStore.save(roomId, objects);
     console.log(`[SERVER] Removed object ${objectId} from room ${roomId}. Remaining objects: ${objects.length}`);
     return true;
   }
@@ -152,6 +358,9 @@ function removeObjectFromRoom(roomId, objectId) {
 
 // ========== GAME CONFIGS ==========
 const { tagConfig } = require('./src/games/tag/config');
+const { freezeTagConfig } = require('./src/games/tag/freezeTagConfig');
+const { infectionConfig } = require('./src/games/tag/infectionConfig');
+const { hideAndSeekConfig } = require('./src/games/hideAndSeek/config');
 
 // Race builder config
 const raceBuilderConfig = {
@@ -163,6 +372,9 @@ const raceBuilderConfig = {
 
 const gameConfigs = {
   tag: tagConfig,
+  freezeTag: freezeTagConfig,
+  infection: infectionConfig,
+  hideAndSeek: hideAndSeekConfig,
   race: raceBuilderConfig,
 };
 
@@ -178,14 +390,46 @@ const localGameConfig = (gameType) => gameConfigs[gameType] || {
 // ========== SOCKET HANDLING ==========
 io.on('connection', (socket) => {
   // Setup race builder socket handlers
-  setupRaceBuilderSocketHandlers(io, socket, activeGames, players);
+  setupRaceBuilderSocketHandlers(io, socket, activeGames, players, { trackLibrary, leaderboards });
+  setupFreezeTagSocketHandlers(io, socket, activeGames, players, { endGame });
+  setupInfectionSocketHandlers(io, socket, activeGames, players, { endGame });
+  setupHideAndSeekSocketHandlers(io, socket, activeGames, players, { endGame });
+  setupTagLobbySocketHandlers(io, socket, {
+    getQueue: (worldRoomId) => matchmaker.getQueue(zoneKey(worldRoomId, 'tag')),
+    // A new variant can change how many players the countdown needs
+    onSettingsChanged: (worldRoomId) => {
+      updateQueueCountdown(io, worldRoomId, 'tag');
+      emitQueueStatus(io, worldRoomId, 'tag');
+    },
+  });
   socket.joinZones = {};
+  socket.roomId = null;
   console.log('Client connected:', socket.id);
 
-  socket.emit('players', players);
-
   socket.on('join', (data) => {
-    players[socket.id] = {
+    const roomId = (data && typeof data.roomId === 'string' && data.roomId) || DEFAULT_ROOM_ID;
+
+    // Leave the previous room if this socket is switching worlds
+    if (socket.roomId && socket.roomId !== roomId) {
+      leaveRoom(socket);
+    }
+
+    socket.roomId = roomId;
+    socket.join(roomId);
+
+    // Persistent key that survives reconnects (used for race personal bests).
+    // Kept on the socket so it's never broadcast to other players.
+    socket.playerKey = typeof data.playerKey === 'string' ? data.playerKey.slice(0, 64) : null;
+    console.log(`[SERVER] Player ${socket.id.substring(0, 6)} joined room ${roomId}`);
+
+    // Clients that understand binary movement say so; older ones keep getting JSON
+    socket.binaryMovement = data.movementProtocol === BINARY_MOVEMENT_PROTOCOL;
+    if (socket.binaryMovement) {
+      socket.emit('movement-protocol', { protocol: BINARY_MOVEMENT_PROTOCOL });
+    }
+
+    const roomPlayers = getRoomPlayers(roomId);
+    roomPlayers[socket.id] = {
       id: socket.id,
       position: data.position || [0, 0, 0],
       rotation: data.rotation || 0,
@@ -195,68 +439,91 @@ io.on('connection', (socket) => {
       animation: data.animation || 'idle',
       showSkateboard: data.showSkateboard || false,
     };
-    io.emit('player-joined', players[socket.id]);
-    setTimeout(() => io.emit('players', players), 100);
+    movementValidator.track(socket.id, roomPlayers[socket.id].position, Date.now());
+    getRoomGrid(roomId).updateEntity(socket.id, roomPlayers[socket.id].position);
+    worldSnapshots.record(roomId, socket.id, roomPlayers[socket.id]);
+    io.to(roomId).emit('player-joined', roomPlayers[socket.id]);
+    setTimeout(() => io.to(roomId).emit('players', getRoomPlayers(roomId)), 100);
   });
 
-  socket.on('move', (data) => {
-    if (players[socket.id]) {
-      players[socket.id].position = data.position;
-      if (data.animation) players[socket.id].animation = data.animation;
-      if (typeof data.rotation === 'number') players[socket.id].rotation = data.rotation;
-      if (typeof data.showSkateboard === 'boolean') players[socket.id].showSkateboard = data.showSkateboard;
-      
-      // Update player position in the spatial grid
-      worldGrid.updateEntity(socket.id, data.position);
+  // Handle full player list requests (sent periodically by clients to resync)
+  socket.on('request-players', () => {
+    if (!socket.roomId) return;
+    socket.emit('players', getRoomPlayers(socket.roomId));
+  });
+
+  socket.on('move', (message) => {
+    const player = socket.roomId && getRoomPlayers(socket.roomId)[socket.id];
+    const data = isBinaryMessage(message) ? decodeMove(message) : message;
+    if (player && data) {
+      // Moves are delta-compressed, so the position is only there when it changed
+      const update = { ...data };
+      const isSequenced = Number.isInteger(data.seq);
+      if (data.position !== undefined) {
+        update.position = validateMove(socket, data.position, false, isSequenced);
+        player.position = update.position;
+
+        // Update player position in the spatial grid
+        getRoomGrid(socket.roomId).updateEntity(socket.id, update.position);
+      }
+      if (data.animation) player.animation = data.animation;
+      if (typeof data.rotation === 'number') player.rotation = data.rotation;
+      if (typeof data.showSkateboard === 'boolean') player.showSkateboard = data.showSkateboard;
+
+      // Acknowledged on the next tick with the position the server accepted
+      if (isSequenced) socket.pendingMoveAck = { seq: data.seq, position: player.position };
       
-      socket.broadcast.emit('player-moved', { id: socket.id, ...data });
+      // Racers' paths are recorded for ghost replays
+      recordRaceMove(activeGames, socket.id, update);
+
+      // Sent to the room with the next world snapshot
+      worldSnapshots.record(socket.roomId, socket.id, update);
     }
   });
   
   // Handle player-move event (used for teleportation)
   socket.on('player-move', (data) => {
-    if (players[socket.id]) {
-      // Log teleport events
-      if (data.isTeleport) {
-        console.log(`[SERVER] 🚀 Teleporting player ${socket.id.substring(0,6)} to [${data.position.join(', ')}]`);
+    const player = socket.roomId && getRoomPlayers(socket.roomId)[socket.id];
+    if (player && data) {
+      // Teleports are only accepted to places the server knows players can teleport to
+      const position = validateMove(socket, data.position, !!data.isTeleport);
+      if (data.isTeleport && position === data.position) {
+        console.log(`[SERVER] 🚀 Teleporting player ${socket.id.substring(0,6)} to [${position.join(', ')}]`);
       }
       
       // Update player data
-      players[socket.id].position = data.position;
+      player.position = position;
       
       // Update player position in the spatial grid
-      worldGrid.updateEntity(socket.id, data.position);
+      getRoomGrid(socket.roomId).updateEntity(socket.id, position);
       
-      // Broadcast to all other clients
-      socket.broadcast.emit('player-moved', { 
-        id: socket.id, 
-        position: data.position,
-        isTeleport: data.isTeleport
-      });
+      // Sent to the room with the next world snapshot
+      worldSnapshots.record(socket.roomId, socket.id, { position }, { isTeleport: !!data.isTeleport });
     }
   });
 
   socket.on('color', (color) => {
-    if (players[socket.id]) {
-      players[socket.id].color = color;
-      socket.broadcast.emit('player-color', { id: socket.id, color });
+    const player = socket.roomId && getRoomPlayers(socket.roomId)[socket.id];
+    if (player) {
+      player.color = color;
+      socket.to(socket.roomId).emit('player-color', { id: socket.id, color });
     }
   });
 
   socket.on('emoji', (emoji) => {
-    if (players[socket.id]) {
-      players[socket.id].emoji = emoji;
-      players[socket.id].emojiTimestamp = Date.now();
-    }
-    io.emit('player-emoji', { id: socket.id, emoji });
+    const player = socket.roomId && getRoomPlayers(socket.roomId)[socket.id];
+    if (!player) return;
+    player.emoji = emoji;
+    player.emojiTimestamp = Date.now();
+    io.to(socket.roomId).emit('player-emoji', { id: socket.id, emoji });
   });
 
   socket.on('emoji-removed', () => {
-    if (players[socket.id]) {
-      players[socket.id].emoji = null;
-      players[socket.id].emojiTimestamp = null;
-    }
-    io.emit('player-emoji-removed', { id: socket.id });
+    const player = socket.roomId && getRoomPlayers(socket.roomId)[socket.id];
+    if (!player) return;
+    player.emoji = null;
+    player.emojiTimestamp = null;
+    io.to(socket.roomId).emit('player-emoji-removed', { id: socket.id });
   });
 
   // Handle tag events from clients
@@ -301,7 +568,7 @@ io.on('connection', (socket) => {
     console.log(`[SERVER] 🔄 PENALTY: Player ${playerId ? playerId.substring(0, 6) : 'null'} jumped off map and is now IT`);
     
     // Update the tagged player to be the one who jumped off
-    game.taggedPlayerId = playerId;
+    changeIt(game, playerId, Date.now(), { penalty: true });
     
     // Send notifications about the penalty tag
     game.players.forEach(pid => {
@@ -328,8 +595,8 @@ io.on('connection', (socket) => {
       }
     });
     
-    // Also send a global state update with minimal data
-    io.emit('gameStateUpdate', {
+    // Also send a room-wide state update with minimal data
+    io.to(game.worldRoomId || DEFAULT_ROOM_ID).emit('gameStateUpdate', {
       roomId: actualRoomId,
       gameType: game.gameType,
       state: 'playing',
@@ -339,200 +606,10 @@ io.on('connection', (socket) => {
     console.log(`[SERVER] ✅ SUCCESS: Player ${playerId ? playerId.substring(0, 6) : 'null'} is now IT due to penalty in ${actualRoomId}`);
   });
 
+  // Tags are detected on the server (see the tag detection tick below). Older clients
+  // still report tags themselves, so the event is accepted but ignored.
   socket.on('tagPlayer', (data) => {
-    // Extract data with support for both naming conventions (taggerId/sourceId)
-    const { 
-      gameType, 
-      roomId, 
-      taggerId, sourceId, // Support both naming patterns
-      targetId, 
-      distance, 
-      timestamp,
-      interactionType
-    } = data || {};
-    
-    // Normalize property names for backward compatibility
-    const actualTaggerId = taggerId || sourceId;
-    
-    // Safety check - ensure we have required data
-    if (!actualTaggerId || !targetId || !roomId) {
-      console.error(`❌ [SERVER] Invalid tag event received:`, data);
-      return;
-    }
-    
-    // Safe access to properties with defaults
-    const taggerIdShort = (actualTaggerId || '').substring(0, 6);
-    const targetIdShort = (targetId || '').substring(0, 6);
-    
-    console.log(`
-====== TAG EVENT RECEIVED ======
-[SERVER] 🎮 Received tag event: ${taggerIdShort} tagged ${targetIdShort} in ${roomId}
-[SERVER] 📏 Distance: ${distance ? distance.toFixed(2) + 'm' : 'unknown'}
-[SERVER] 📝 Event type: ${interactionType || 'tag'}
-`);
-    // Find the game - first try exact room ID
-    let game = activeGames[roomId];
-    let actualRoomId = roomId;
-    
-    // If not found, try to find any game of this type
-    if (!game && gameType) {
-      console.log(`[SERVER] 🔎 Searching for game of type ${gameType}...`);
-      const gameKeys = Object.keys(activeGames);
-      for (const key of gameKeys) {
-        if (key.startsWith(gameType)) {
-          game = activeGames[key];
-          actualRoomId = key;
-          console.log(`[SERVER] 🔍 Found game with key ${key} instead of ${roomId}`);
-          break;
-        }
-      }
-    }
-    
-    // Validate the tag event
-    if (!game) {
-      console.log(`[SERVER] ❌ Tag failed: No active game found for ${roomId} or type ${gameType}`);
-      console.log(`[SERVER] Available games:`, Object.keys(activeGames));
-      return;
-    }
-    
-    console.log(`[SERVER] 🎮 Game details:`, {
-      roomId: actualRoomId,
-      gameType: game.gameType,
-      state: game.state,
-      taggedPlayerId: game.taggedPlayerId,
-      players: game.players
-    });
-    
-    if (game.state !== 'playing') {
-      console.log(`[SERVER] ❌ Tag failed: Game is not in playing state (${game.state})`);
-      return;
-    }
-    
-    // IMPORTANT: Tag validation - only the tagged player (IT) can tag others
-    if (game.taggedPlayerId !== actualTaggerId) {
-      console.log(`[SERVER] ⛔ REJECTED: Player ${taggerIdShort} is not IT (${game.taggedPlayerId?.substring(0, 6)} is)`);
-      return;
-    }
-    
-    // CRITICAL: Validate that both the tagger and target are actually in the game
-    if (!game.players.includes(actualTaggerId)) {
-      console.log(`[SERVER] ⛔ REJECTED: Tagger ${taggerIdShort} is not a player in this game`);
-      return;
-    }
-    
-    if (!game.players.includes(targetId)) {
-      console.log(`[SERVER] ⛔ REJECTED: Target ${targetIdShort} is not a player in this game`);
-      return;
-    }
-    
-    console.log(`[SERVER] ✅ Valid tagger: ${taggerIdShort} is correctly IT and both players are in game`);
-    
-    // Check if the tag is on cooldown - check BOTH directions to prevent tag-backs
-    const now = Date.now();
-    const forwardCooldownKey = `${actualTaggerId}-${targetId}`; // A tags B
-    const reverseCooldownKey = `${targetId}-${actualTaggerId}`; // B tags A
-    
-    // Check for cooldown in either direction
-    const COOLDOWN_MS = 3000; // Match the client's 3-second cooldown
-    
-    if (tagCooldowns[forwardCooldownKey] && now - tagCooldowns[forwardCooldownKey] < COOLDOWN_MS) {
-      console.log(`[SERVER] ⏱️ Tag on direct cooldown: ${taggerIdShort} -> ${targetIdShort}`);
-      return;
-    }
-    
-    if (tagCooldowns[reverseCooldownKey] && now - tagCooldowns[reverseCooldownKey] < COOLDOWN_MS) {
-      console.log(`[SERVER] ⏱️ Tag on reverse cooldown: ${taggerIdShort} <- ${targetIdShort}`);
-      return;
-    }
-    
-    // Skip distance check if positions are missing
-    const taggerPos = players[actualTaggerId]?.position;
-    const targetPos = players[targetId]?.position;
-    
-    if (taggerPos && targetPos) {
-      // Manual distance check as backup
-      const dx = taggerPos[0] - targetPos[0];
-      const dz = taggerPos[2] - targetPos[2];
-      const distance = Math.sqrt(dx * dx + dz * dz);
-      
-      console.log(`[SERVER] 📏 Distance between players: ${distance.toFixed(2)} units`);
-      
-      // IMPORTANT: For testing, use a very lenient distance check
-      const MAX_TAG_DISTANCE = TAG_DISTANCE * 4; // Very lenient for testing
-      
-      if (distance > MAX_TAG_DISTANCE) {
-        console.log(`[SERVER] ❌ Tag distance check failed: ${distance.toFixed(2)} > ${MAX_TAG_DISTANCE}`);
-        return;
-      }
-    } else {
-      console.log(`[SERVER] ⚠️ Warning: Missing positions for tag check, allowing anyway`);
-    }
-    
-    // Set cooldown for BOTH directions to prevent immediate tag-backs
-    // This ensures that after A tags B, B can't immediately tag A back
-    tagCooldowns[forwardCooldownKey] = now;
-    tagCooldowns[reverseCooldownKey] = now;
-    
-    // Update the tagged player - with final validation check
-    if (!game.players.includes(targetId)) {
-      // Extra safety - if somehow a non-player was about to be tagged,
-      // pick a random actual player instead
-      console.log(`[SERVER] ⚠️ SAFETY CHECK: Target ${targetIdShort} is not in the game, picking a random player`);
-      if (game.players.length > 0) {
-        const randomPlayer = game.players[Math.floor(Math.random() * game.players.length)];
-        game.taggedPlayerId = randomPlayer;
-        console.log(`[SERVER] 🎲 Selected random player ${randomPlayer ? randomPlayer.substring(0, 6) : 'null'} as IT instead`);
-      }
-    } else {
-      // Normal update - tagged player is valid
-      game.taggedPlayerId = targetId;
-    }
-    
-    // CRITICAL FIX: Send tag events ONLY to players in the game, not globally
-    console.log(`[SERVER] 📢 Broadcasting playerTagged event ONLY to players in the game`);
-    game.players.forEach(playerId => {
-      const playerSocket = io.sockets.sockets.get(playerId);
-      if (playerSocket) {
-        console.log(`[SERVER] 📣 Sending tag update to player ${playerId.substring(0, 6)}`);
-        playerSocket.emit('playerTagged', {
-          roomId: actualRoomId,
-          gameType: game.gameType,
-          taggerId: actualTaggerId,  // Use normalized tagger ID
-          targetId,
-          timestamp: now
-        });
-      }
-    });
-    
-    // Update game state - send to game players first with accurate data
-    console.log(`[SERVER] 📢 Broadcasting targeted gameStateUpdate to game players`);
-    game.players.forEach(playerId => {
-      const playerSocket = io.sockets.sockets.get(playerId);
-      if (playerSocket) {
-        playerSocket.emit('gameStateUpdate', {
-          roomId: actualRoomId,
-          gameType: game.gameType,
-          state: 'playing',
-          players: game.players,
-          taggedPlayerId: targetId,
-          endTime: game.endTime
-        });
-      }
-    });
-    
-    // Also send a global state update with minimal data so other clients know someone is IT
-    // but this won't trigger UI changes for non-players
-    io.emit('gameStateUpdate', {
-      roomId: actualRoomId,
-      gameType: game.gameType,
-      state: 'playing',
-      taggedPlayerId: targetId
-    });
-    
-    console.log(`
-[SERVER] ✅ SUCCESS: Player ${actualTaggerId.substring(0, 6)} tagged ${targetId.substring(0, 6)} in ${actualRoomId}
-====== TAG EVENT COMPLETED ======
-`);
+    console.log(`[SERVER] 🚫 Ignoring client-reported tag from ${socket.id.substring(0, 6)} in ${data?.roomId}`);
   });
 
   // Handle ping events for testing connection
@@ -593,8 +670,8 @@ io.on('connection', (socket) => {
     console.log(`[SERVER] 🎤 Player ${playerShort} joined voice chat`);
     console.log(`[SERVER] Total connected clients: ${io.engine.clientsCount}`);
     
-    // Broadcast to all other connected clients
-    socket.broadcast.emit('voice-chat-join', { playerId });
+    // Broadcast to all other clients in the room
+    if (socket.roomId) socket.to(socket.roomId).emit('voice-chat-join', { playerId });
   });
 
   // Handle voice chat leave notifications
@@ -606,8 +683,8 @@ io.on('connection', (socket) => {
     
     console.log(`[SERVER] 🔇 Player ${playerShort} left voice chat`);
     
-    // Broadcast to all other connected clients
-    socket.broadcast.emit('voice-chat-leave', { playerId });
+    // Broadcast to all other clients in the room
+    if (socket.roomId) socket.to(socket.roomId).emit('voice-chat-leave', { playerId });
   });
 
   // Handle voice activity updates
@@ -625,49 +702,74 @@ io.on('connection', (socket) => {
     }
     
     // Only broadcast if we have valid data
-    if (playerId && typeof playerId === 'string') {
-      // Broadcast voice activity to all other clients
-      socket.broadcast.emit('voice-activity', { playerId, isActive });
+    if (playerId && typeof playerId === 'string' && socket.roomId) {
+      // Broadcast voice activity to all other clients in the room
+      socket.to(socket.roomId).emit('voice-activity', { playerId, isActive });
     }
   });
 
   // ========== OBJECT MANAGEMENT HANDLERS ==========
   
   // Handle request for objects in a room
-  socket.on('request-objects', (data) => {
-    const { roomId } = data;
+  // Objects always come from (and go to) the world the socket joined, whatever roomId it sends
+  socket.on('request-objects', async () => {
+    const roomId = socket.roomId;
     if (!roomId) return;
     
+    try {
+      await loadRoomObjects(roomId);
+    } catch (err) {
+      console.error(`[SERVER] ❌ Failed to load objects for room ${roomId}:`, err);
+      return;
+    }
+    
     const objects = getRoomObjects(roomId);
     console.log(`[SERVER] Sending ${objects.length} objects to client for room ${roomId}`);
     socket.emit('objects-sync', objects);
   });
 
   // Handle adding new object
-  socket.on('add-object', (objectData) => {
-    const { roomId } = objectData;
-    if (!roomId || !objectData.id) return;
+  socket.on('add-object', async (objectData) => {
+    const roomId = socket.roomId;
+    if (!roomId || !objectData || !objectData.id) return;
+    objectData.roomId = roomId;
+    
+    // Make sure saved objects are loaded so the write doesn't replace them
+    try {
+      await loadRoomObjects(roomId);
+    } catch (err) {
+      console.error(`[SERVER] ❌ Failed to load objects for room ${roomId}:`, err);
+      return;
+    }
     
     // Add object to room storage
     addObjectToRoom(roomId, objectData);
     
     // Broadcast to all clients in the room (including sender for confirmation)
-    io.emit('object-added', objectData);
+    io.to(roomId).emit('object-added', objectData);
     
     console.log(`[SERVER] Object ${objectData.id} added to room ${roomId} by ${socket.id.substring(0, 6)}`);
   });
 
   // Handle updating existing object
-  socket.on('update-object', (data) => {
-    const { objectId, updates, roomId } = data;
+  socket.on('update-object', async (data) => {
+    const { objectId, updates } = data || {};
+    const roomId = socket.roomId;
     if (!objectId || !updates || !roomId) return;
     
+    try {
+      await loadRoomObjects(roomId);
+    } catch (err) {
+      console.error(`[SERVER] ❌ Failed to load objects for room ${roomId}:`, err);
+      return;
+    }
+    
     // Update object in room storage
     const success = updateObjectInRoom(roomId, objectId, updates);
     
     if (success) {
       // Broadcast to all clients in the room
-      io.emit('object-updated', { objectId, updates, roomId });
+      io.to(roomId).emit('object-updated', { objectId, updates, roomId });
       console.log(`[SERVER] Object ${objectId} updated in room ${roomId} by ${socket.id.substring(0, 6)}`);
     } else {
       console.log(`[SERVER] Failed to update object ${objectId} in room ${roomId} - object not found`);
@@ -675,16 +777,24 @@ io.on('connection', (socket) => {
   });
 
   // Handle deleting object
-  socket.on('delete-object', (data) => {
-    const { objectId, roomId } = data;
+  socket.on('delete-object', async (data) => {
+    const { objectId } = data || {};
+    const roomId = socket.roomId;
     if (!objectId || !roomId) return;
     
+    try {
+      await loadRoomObjects(roomId);
+    } catch (err) {
+      console.error(`[SERVER] ❌ Failed to load objects for room ${roomId}:`, err);
+      return;
+    }
+    
     // Remove object from room storage
     const success = removeObjectFromRoom(roomId, objectId);
     
     if (success) {
       // Broadcast to all clients in the room
-      io.emit('object-deleted', { objectId, roomId });
+      io.to(roomId).emit('object-deleted', { objectId, roomId });
       console.log(`[SERVER] Object ${objectId} deleted from room ${roomId} by ${socket.id.substring(0, 6)}`);
     } else {
       console.log(`[SERVER] Failed to delete object ${objectId} from room ${roomId} - object not found`);
@@ -692,107 +802,145 @@ io.on('connection', (socket) => {
   });
 
   socket.on('disconnect', () => {
-    // Remove player from spatial grid
-    worldGrid.removeEntity(socket.id);
+    // Remove player from their room and its spatial grid
+    leaveRoom(socket);
     
-    delete players[socket.id];
     Object.keys(playersInGameZones).forEach(gameType => {
       playersInGameZones[gameType].delete(socket.id);
     });
+    matchmaker.getQueuedKeys(socket.id).forEach(key => {
+      const [worldRoomId, gameType] = key.split(':');
+      leaveQueue(io, socket.id, worldRoomId, gameType);
+    });
     Object.entries(activeGames).forEach(([roomId, game]) => {
+      if (game?.match) {
+        game.match.pendingPlayers = game.match.pendingPlayers.filter(id => id !== socket.id);
+      }
       // Make sure the game object exists and has a players array before accessing it
       if (game && game.players && Array.isArray(game.players) && game.players.includes(socket.id)) {
         game.players = game.players.filter(id => id !== socket.id);
         if (game.players.length === 0) {
+          endSpectating(io, game);
           delete activeGames[roomId];
-          if (game.gameType && currentActiveGame[game.gameType] === roomId) {
-            delete currentActiveGame[game.gameType];
-          }
+        } else if (isFreezeTag(game)) {
+          // A runner leaving can leave nobody free to chase
+          refreshFreezeTag(io, game, endGame);
+        } else if (isInfection(game)) {
+          // A survivor leaving can leave the last one standing
+          refreshInfection(io, game, endGame);
+        } else if (isHideAndSeek(game)) {
+          // The last hider or seeker leaving changes who is left to play
+          refreshHideAndSeek(io, game, endGame);
         }
       }
     });
-    io.emit('players', players);
-    if (hostId === socket.id) {
-      const remaining = Object.keys(players);
-      hostId = remaining.length > 0 ? remaining[0] : null;
-      io.emit('host-assigned', hostId);
-    }
   });
 
+  // Entering a join zone queues the player for the zone's next game, even while other games of
+  // the same type are being played
   socket.on('playerEnteredZone', (data) => {
-    const { gameType, roomId: incomingRoomId } = data;
-    
-    // Check if there's already an active game of this type
-    if (currentActiveGame[gameType]) {
-      const activeGameId = currentActiveGame[gameType];
-      const activeGame = activeGames[activeGameId];
-      
-      if (activeGame && activeGame.state === 'playing') {
-        console.log(`[SERVER] Player ${socket.id} tried to join ${gameType} but game is already active`);
-        // Notify the client that they can't join an active game
-        socket.emit('gameJoinRejected', { 
-          gameType, 
-          reason: 'active_game', 
-          message: 'Cannot join while a game is in progress' 
-        });
-        return;
+    const { gameType } = data || {};
+    if (!gameType) return;
+    const worldRoomId = socket.roomId || DEFAULT_ROOM_ID;
+    const key = zoneKey(worldRoomId, gameType);
+    const zoneGames = getZoneGames(worldRoomId, gameType);
+
+    if (zoneGames.some(game => game.state === 'playing' && game.players.includes(socket.id))) {
+      socket.emit('gameJoinRejected', {
+        gameType,
+        reason: 'in_game',
+        message: 'You are already playing'
+      });
+      return;
+    }
+
+    // Players arriving mid-match spectate and join at the next round, if it has room
+    const maxPlayers = getQueueLimits(worldRoomId, gameType).maxPlayers;
+    const match = zoneGames.find(game =>
+      game.match && !game.match.finished && game.round < game.match.rounds &&
+      game.players.length + game.match.pendingPlayers.length < maxPlayers
+    );
+    if (match) {
+      if (!match.players.includes(socket.id) && addPendingPlayer(match.match, socket.id)) {
+        console.log(`[SERVER] 👀 ${socket.id.substring(0, 6)} will join ${match.roomId} at round ${match.round + 1}`);
       }
+      socket.emit('gameJoinRejected', {
+        gameType,
+        reason: 'match_in_progress',
+        message: `Match in progress - you'll join at round ${match.round + 1}`
+      });
+      return;
     }
     
-    if (!playersInGameZones[gameType]) playersInGameZones[gameType] = new Set();
-    console.log(socket.id, 'joined game', gameType, 'with room id', incomingRoomId);
-    playersInGameZones[gameType].add(socket.id);
-    console.log(playersInGameZones[gameType]);
-    
-    if (!playerQueues[gameType]) playerQueues[gameType] = [];
-    if (!playerQueues[gameType].includes(socket.id)) playerQueues[gameType].push(socket.id);
-
-    const config = localGameConfig(gameType);
-    if (playerQueues[gameType].length >= config.minPlayers && !queueCountdowns[gameType]) {
-      queueCountdowns[gameType] = true;
-      const startTime = Date.now();
-      const duration = 5 * 1000;
-      const roomId = incomingRoomId || `${gameType}-${startTime}`;
-      io.emit('gameJoinCountdown', { gameType, roomId, startTime, duration });
-
-      setTimeout(() => {
-        console.log('Player queue:', playerQueues[gameType]);
-        if (playerQueues[gameType].length >= config.minPlayers) {
-          console.log('start the game!!');
-          startGame(io, gameType, playerQueues[gameType], roomId);
-          playerQueues[gameType] = [];
-        }
-        queueCountdowns[gameType] = false;
-      }, duration);
-    }
+    if (!playersInGameZones[key]) playersInGameZones[key] = new Set();
+    playersInGameZones[key].add(socket.id);
+
+    const position = matchmaker.join(key, socket.id);
+    console.log(`[SERVER] 🎟️ ${socket.id.substring(0, 6)} queued for ${gameType} in ${worldRoomId} (#${position})`);
+
+    // The first player in the tag queue hosts the lobby
+    if (gameType === 'tag') emitTagLobbyState(io, worldRoomId, matchmaker.getQueue(key));
+
+    updateQueueCountdown(io, worldRoomId, gameType);
+    emitQueueStatus(io, worldRoomId, gameType);
   });
 
   socket.on('playerExitedZone', (data) => {
-    const { gameType, roomId } = data;
-    if (playersInGameZones[gameType]) playersInGameZones[gameType].delete(socket.id);
-    console.log(socket.id, 'left game', gameType, 'with room id', roomId);
-    if (playerQueues[gameType]) {
-      playerQueues[gameType] = playerQueues[gameType].filter(id => id !== socket.id);
-      const config = localGameConfig(gameType);
-      if (queueCountdowns[gameType] && playerQueues[gameType].length < config.minPlayers) {
-        console.log(`[SERVER] Cancelling ${gameType} countdown - not enough players (${playerQueues[gameType].length}/${config.minPlayers})`);
-        queueCountdowns[gameType] = false;
-        // Broadcast the cancellation to ALL clients, not just those in a room
-        io.emit('gameJoinCountdown', { gameType, action: 'cancelled', roomId });
-      }
+    const { gameType } = data || {};
+    const worldRoomId = socket.roomId || DEFAULT_ROOM_ID;
+    const key = zoneKey(worldRoomId, gameType);
+    if (playersInGameZones[key]) playersInGameZones[key].delete(socket.id);
+    leaveQueue(io, socket.id, worldRoomId, gameType);
+  });
+
+  // Watch a game in this world room without playing in it
+  socket.on('spectate:start', (data) => {
+    const roomId = data?.roomId;
+    const game = activeGames[roomId];
+    const reject = (reason) => socket.emit('spectate:rejected', { roomId, reason });
+
+    // Games between the rounds of a match can still be watched
+    const isRunning = game && (game.state === 'playing' || (game.match && !game.match.finished));
+    if (!isRunning || game.worldRoomId !== socket.roomId) return reject('no_game');
+    if (game.players.includes(socket.id)) return reject('playing');
+
+    const watchedRoomId = spectatorRegistry.getWatchedRoom(socket.id);
+    if (watchedRoomId && watchedRoomId !== roomId) stopSpectating(io, socket.id);
+    if (spectatorRegistry.add(roomId, socket.id)) {
+      console.log(`[SERVER] 👁️ ${socket.id.substring(0, 6)} is spectating ${roomId}`);
     }
+
+    socket.emit('spectate:started', {
+      roomId,
+      gameType: game.gameType,
+      state: game.state,
+      players: game.players,
+      taggedPlayerId: game.taggedPlayerId,
+      startTime: game.startTime,
+      endTime: game.endTime,
+      ...getModeState(game),
+    });
+    emitSpectators(io, game);
+  });
+
+  socket.on('spectate:stop', () => {
+    stopSpectating(io, socket.id);
   });
 
   socket.on('getGameStatus', (data) => {
     const { gameType, roomId } = data;
     if (!roomId) return;
 
-    const game = activeGames[roomId] || activeGames[currentActiveGame[gameType]];
+    // Clients that don't know the game's room ask about the zone's game they're playing in
+    const zoneGames = getZoneGames(socket.roomId || DEFAULT_ROOM_ID, gameType);
+    const game = activeGames[roomId] ||
+      zoneGames.find(zoneGame => zoneGame.players.includes(socket.id)) ||
+      zoneGames[0];
     if (!game) return;
 
     const now = Date.now();
     if (game.endTime && now >= game.endTime && game.state !== 'ended') {
-      endGame(io, roomId);
+      endGame(io, game.roomId);
     } else {
       // Verify tagged player is still connected
       if (game.taggedPlayerId) {
@@ -808,9 +956,19 @@ io.on('connection', (socket) => {
           });
           
           if (validPlayers.length > 0) {
-            // Pick a new player to be IT
-            game.taggedPlayerId = validPlayers[Math.floor(Math.random() * validPlayers.length)];
+            // Pick a new player to be IT. In infection that has to be someone already infected;
+            // if nobody is, refreshInfection infects whoever is picked
+            const infectedIds = isInfection(game) ? getInfectedPlayerIds(game) : [];
+            const infectedPlayers = validPlayers.filter(playerId => infectedIds.includes(playerId));
+            const candidates = infectedPlayers.length > 0 ? infectedPlayers : validPlayers;
+            changeIt(game, candidates[Math.floor(Math.random() * candidates.length)], now);
             console.log(`👑 [SERVER] Selected new IT player: ${game.taggedPlayerId ? game.taggedPlayerId.substring(0, 6) : 'null'}`);
+            // The new IT can't stay frozen, infection needs someone infected and hide and seek a seeker
+            if (
+              refreshFreezeTag(io, game, endGame) ||
+              refreshInfection(io, game, endGame) ||
+              refreshHideAndSeek(io, game, endGame)
+            ) return;
           }
         }
       }
@@ -823,15 +981,188 @@ io.on('connection', (socket) => {
         endTime: game.endTime,
         players: game.players,
         taggedPlayerId: game.taggedPlayerId,
+        ...getModeState(game),
       });
     }
   });
 });
 
-function startGame(io, gameType, players, roomId) {
+// Tell the world room who is watching a game, so its players can show a viewer count
+function emitSpectators(io, game) {
+  const spectators = spectatorRegistry.getSpectators(game.roomId);
+  io.to(game.worldRoomId || DEFAULT_ROOM_ID).emit('spectators:update', {
+    roomId: game.roomId,
+    gameType: game.gameType,
+    count: spectators.length,
+    spectators,
+  });
+}
+
+// Stop a player watching whatever game they're watching
+function stopSpectating(io, playerId) {
+  const roomId = spectatorRegistry.getWatchedRoom(playerId);
+  if (!roomId) return;
+
+  spectatorRegistry.remove(roomId, playerId);
+  console.log(`[SERVER] 👁️ ${playerId.substring(0, 6)} stopped spectating ${roomId}`);
+  const game = activeGames[roomId];
+  io.sockets.sockets.get(playerId)?.emit('spectate:ended', { roomId, gameType: game?.gameType });
+  if (game) emitSpectators(io, game);
+}
+
+// Send everyone watching a game back to their own player once it's over
+function endSpectating(io, game) {
+  const spectators = spectatorRegistry.clear(game.roomId);
+  if (spectators.length === 0) return;
+
+  spectators.forEach(playerId => {
+    io.sockets.sockets.get(playerId)?.emit('spectate:ended', { roomId: game.roomId, gameType: game.gameType });
+  });
+  emitSpectators(io, game);
+}
+
+// Game size limits for a join zone; the tag lobby's variant can change them
+function getQueueLimits(worldRoomId, gameType) {
+  if (gameType === 'tag') {
+    const settings = getTagLobbySettings(worldRoomId);
+    return { minPlayers: getTagLobbyMinPlayers(settings), maxPlayers: getTagLobbyMaxPlayers(settings) };
+  }
+  const { minPlayers, maxPlayers } = localGameConfig(gameType);
+  return { minPlayers, maxPlayers };
+}
+
+// Games started from a join zone that haven't been cleaned up yet
+function getZoneGames(worldRoomId, gameType) {
+  return Object.values(activeGames).filter(game =>
+    game && game.worldRoomId === worldRoomId && (game.zoneType || game.gameType) === gameType
+  );
+}
+
+/**
+ * Tell every player queued in a join zone where they are in line
+ * @param {Object} io - Socket.IO server
+ * @param {string} worldRoomId - World room the join zone is in
+ * @param {string} gameType - Game type of the join zone
+ */
+function emitQueueStatus(io, worldRoomId, gameType) {
+  const queue = matchmaker.getQueue(zoneKey(worldRoomId, gameType));
+  const { minPlayers, maxPlayers } = getQueueLimits(worldRoomId, gameType);
+  const gamesInProgress = getZoneGames(worldRoomId, gameType).filter(game => game.state === 'playing').length;
+
+  queue.forEach((playerId, index) => {
+    io.sockets.sockets.get(playerId)?.emit('matchmaking:status', {
+      gameType,
+      position: index + 1,
+      queueSize: queue.length,
+      minPlayers,
+      maxPlayers,
+      gamesInProgress,
+    });
+  });
+}
+
+/**
+ * Start a join zone's countdown once enough players are queued, or cancel it if too few are left
+ * @param {Object} io - Socket.IO server
+ * @param {string} worldRoomId - World room the join zone is in
+ * @param {string} gameType - Game type of the join zone
+ */
+function updateQueueCountdown(io, worldRoomId, gameType) {
+  const key = zoneKey(worldRoomId, gameType);
+  const queueSize = matchmaker.getQueue(key).length;
+  const { minPlayers } = getQueueLimits(worldRoomId, gameType);
+
+  if (queueCountdowns[key] && queueSize < minPlayers) {
+    console.log(`[SERVER] Cancelling ${gameType} countdown - not enough players (${queueSize}/${minPlayers})`);
+    const { roomId } = queueCountdowns[key];
+    queueCountdowns[key] = false;
+    // Broadcast the cancellation to every client in the room, not just those in the game
+    io.to(worldRoomId).emit('gameJoinCountdown', { gameType, action: 'cancelled', roomId });
+    return;
+  }
+  if (queueCountdowns[key] || queueSize < minPlayers) return;
+
+  const startTime = Date.now();
+  const duration = 5 * 1000;
+  const countdown = { roomId: `${gameType}-${startTime}` };
+  queueCountdowns[key] = countdown;
+  io.to(worldRoomId).emit('gameJoinCountdown', { gameType, roomId: countdown.roomId, startTime, duration });
+
+  setTimeout(() => {
+    // A cancelled countdown (or one replaced by a newer one) doesn't start a game
+    if (queueCountdowns[key] !== countdown) return;
+    queueCountdowns[key] = false;
+    startQueuedGames(io, worldRoomId, gameType);
+  }, duration);
+}
+
+// Split a join zone's queue into as many games as it fills and start them side by side
+function startQueuedGames(io, worldRoomId, gameType) {
+  const key = zoneKey(worldRoomId, gameType);
+  // Games from the tag zone use the settings its lobby host picked
+  const settings = gameType === 'tag' ? { ...getTagLobbySettings(worldRoomId) } : null;
+  const groups = matchmaker.takeGroups(key, getQueueLimits(worldRoomId, gameType));
+  const startTime = Date.now();
+
+  groups.forEach((group, index) => {
+    const roomId = `${settings?.variant || gameType}-${startTime}-${index + 1}`;
+    console.log(`[SERVER] 🎮 Starting ${roomId} with ${group.length} players (${index + 1}/${groups.length})`);
+    group.forEach(playerId => {
+      io.sockets.sockets.get(playerId)?.emit('matchmaking:status', { gameType, position: null });
+    });
+    startGame(io, gameType, group, roomId, worldRoomId, { settings });
+  });
+
+  // Anyone left over waits for the next game
+  const queue = matchmaker.getQueue(key);
+  if (gameType === 'tag') {
+    if (queue.length === 0) resetTagLobby(worldRoomId);
+    emitTagLobbyState(io, worldRoomId, queue);
+  }
+  updateQueueCountdown(io, worldRoomId, gameType);
+  emitQueueStatus(io, worldRoomId, gameType);
+}
+
+// Take a player out of a join zone's queue, handing the tag lobby to the next player in line
+function leaveQueue(io, playerId, worldRoomId, gameType) {
+  const key = zoneKey(worldRoomId, gameType);
+  if (!matchmaker.leave(key, playerId)) return;
+
+  io.sockets.sockets.get(playerId)?.emit('matchmaking:status', { gameType, position: null });
+  if (gameType === 'tag') {
+    const queue = matchmaker.getQueue(key);
+    if (queue.length === 0) resetTagLobby(worldRoomId);
+    emitTagLobbyState(io, worldRoomId, queue);
+  }
+  updateQueueCountdown(io, worldRoomId, gameType);
+  emitQueueStatus(io, worldRoomId, gameType);
+}
+
+/**
+ * Start a round for the players in a join zone's queue
+ * @param {Object} io - Socket.IO server
+ * @param {string} gameType - Game type of the join zone the players queued in
+ * @param {string[]} players - Players in the round
+ * @param {string} roomId - Game room ID
+ * @param {string} [worldRoomId] - World room the game belongs to
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Tag lobby settings (round length, rounds, tag-back cooldown, variant)
+ * @param {number} [options.round=1] - Which round of the match this is
+ * @param {Object} [options.match] - The match this round belongs to; a new one is started for lobby games with several rounds
+ * @param {string} [options.itPlayerId] - Player to make IT instead of a random one
+ */
+function startGame(io, gameType, players, roomId, worldRoomId = DEFAULT_ROOM_ID, {
+  settings = null,
+  round = 1,
+  match = null,
+  itPlayerId = null,
+} = {}) {
+  // The lobby's variant decides which mode the tag zone's players play
+  const zoneType = gameType;
+  gameType = settings?.variant || gameType;
   const config = localGameConfig(gameType);
   const startTime = Date.now();
-  const endTime = startTime + config.roundDuration * 1000;
+  const endTime = startTime + (settings?.roundDuration || config.roundDuration) * 1000;
   
   // Safety check - ensure we have valid players
   if (!players || !Array.isArray(players) || players.length === 0) {
@@ -850,8 +1181,10 @@ function startGame(io, gameType, players, roomId) {
     return false;
   }
   
-  // Select a random connected player to be IT
-  const taggedPlayerId = validPlayers[Math.floor(Math.random() * validPlayers.length)];
+  // Select a random connected player to be IT, unless the match already picked one
+  const taggedPlayerId = validPlayers.includes(itPlayerId)
+    ? itPlayerId
+    : validPlayers[Math.floor(Math.random() * validPlayers.length)];
   console.log(`👑 [SERVER] Selected ${taggedPlayerId ? taggedPlayerId.substring(0, 6) : 'null'} as IT from ${validPlayers.length} valid players`);
 
   activeGames[roomId] = {
@@ -862,13 +1195,29 @@ function startGame(io, gameType, players, roomId) {
     state: 'playing',
     startTime,
     endTime,
+    worldRoomId,
+    zoneType,
+    settings,
+    round,
+    match: match || (settings?.rounds > 1 ? createMatch(settings.rounds) : null),
   };
+  initTagStats(activeGames[roomId], startTime);
+  if (isFreezeTag(activeGames[roomId])) initFreezeTag(activeGames[roomId]);
+  if (isInfection(activeGames[roomId])) initInfection(activeGames[roomId], startTime);
+  if (isHideAndSeek(activeGames[roomId])) initHideAndSeek(io, activeGames[roomId], startTime);
+  const modeState = getModeState(activeGames[roomId]);
 
-  currentActiveGame[gameType] = roomId;
+  if (settings) {
+    console.log(`[SERVER] 🎛️ ${roomId} round ${round}/${settings.rounds}: ${settings.roundDuration}s, ${settings.tagBackCooldown}s tag-back cooldown`);
+  }
 
   players.forEach(playerId => {
     const socket = io.sockets.sockets.get(playerId);
     if (socket) socket.join(roomId);
+    // Spectators who join the round (e.g. the next round of a match) play instead of watching
+    stopSpectating(io, playerId);
+    // Players are sent back to the spawn point when a round starts
+    movementValidator.grantSpawnTeleport(playerId, startTime);
   });
 
   // CRITICAL FIX: Send gameStart ONLY to players who joined
@@ -885,24 +1234,164 @@ function startGame(io, gameType, players, roomId) {
         startTime,
         endTime,
         spawnPositions: config.spawnPoints,
+        round,
+        rounds: settings?.rounds || 1,
+        ...modeState,
       });
     }
   });
   
-  // Then update the global game state with a gameStateUpdate that includes player list
+  // Then update the room's game state with a gameStateUpdate that includes player list
   // This ensures non-playing clients know which players are in the game,
   // but don't receive teleportation instructions
-  io.emit('gameStateUpdate', {
+  io.to(worldRoomId).emit('gameStateUpdate', {
     roomId,
     gameType,
     state: 'playing',
     players, // Include the player list so clients can check if they're in the game
     taggedPlayerId,
     startTime,
-    endTime
+    endTime,
+    round,
+    rounds: settings?.rounds || 1,
+    ...modeState,
   });
 }
 
+/**
+ * Make a tag the server detected: the target becomes IT and the round's players are told
+ * @param {Object} io - Socket.IO server
+ * @param {Object} game - Classic tag game object from activeGames
+ * @param {string} targetId - Player IT tagged
+ * @param {number} distance - How far apart the players were
+ * @param {number} now - Time of the tag (ms)
+ */
+function applyTag(io, game, targetId, distance, now) {
+  const taggerId = game.taggedPlayerId;
+  setTagCooldown(tagCooldowns, taggerId, targetId, now);
+  changeIt(game, targetId, now, { taggerId });
+  console.log(`[SERVER] 🏷️ ${taggerId.substring(0, 6)} tagged ${targetId.substring(0, 6)} at ${distance.toFixed(2)}m in ${game.roomId}`);
+
+  // Tag events only go to the players in the game
+  game.players.forEach(playerId => {
+    const playerSocket = io.sockets.sockets.get(playerId);
+    if (playerSocket) {
+      playerSocket.emit('playerTagged', {
+        roomId: game.roomId,
+        gameType: game.gameType,
+        taggerId,
+        targetId,
+        timestamp: now
+      });
+      playerSocket.emit('gameStateUpdate', {
+        roomId: game.roomId,
+        gameType: game.gameType,
+        state: 'playing',
+        players: game.players,
+        taggedPlayerId: targetId,
+        endTime: game.endTime
+      });
+    }
+  });
+
+  // A minimal room-wide update so other clients know who is IT without triggering game UI
+  io.to(game.worldRoomId || DEFAULT_ROOM_ID).emit('gameStateUpdate', {
+    roomId: game.roomId,
+    gameType: game.gameType,
+    state: 'playing',
+    taggedPlayerId: targetId
+  });
+}
+
+// ========== SERVER-SIDE TAG DETECTION ==========
+// Checks every running classic tag round against the room's spatial grid at a fixed rate,
+// so every client sees the same tags and none can be faked
+setInterval(() => {
+  const now = Date.now();
+  Object.values(activeGames).forEach(game => {
+    if (!isClassicTag(game) || game.state !== 'playing') return;
+    const grid = roomGrids[game.worldRoomId || DEFAULT_ROOM_ID];
+    if (!grid) return;
+
+    const tag = findTagTarget(game, grid, tagCooldowns, now);
+    if (tag) applyTag(io, game, tag.targetId, tag.distance, now);
+  });
+}, TAG_TICK_MS);
+
+// ========== WORLD SNAPSHOTS ==========
+// One batched movement update per player per tick instead of one message per move. Each
+// player gets nearby players every tick and the rest of the room every few ticks, so the
+// traffic stays manageable in crowded rooms. The server timestamp lets clients buffer and
+// interpolate remote players.
+
+// Players a player gets full-rate movement for: those in nearby grid cells, and the players
+// of any game they're spectating
+function getPlayersOfInterest(roomId, playerId) {
+  const nearIds = getRoomGrid(roomId).getNearbyEntities(playerId, INTEREST_RANGE);
+  const watchedGame = activeGames[spectatorRegistry.getWatchedRoom(playerId)];
+  if (!watchedGame) return nearIds;
+  return [...new Set([...nearIds, ...watchedGame.players.filter(id => id !== playerId)])];
+}
+
+// Tell a player the last move the server processed and where it left them, so the client
+// can reconcile its prediction. A reason is included if the server corrected the move.
+function sendMoveAck(playerSocket) {
+  const ack = playerSocket.pendingMoveAck;
+  if (!ack) return;
+  playerSocket.pendingMoveAck = null;
+
+  if (playerSocket.moveCorrectionReason) {
+    ack.reason = playerSocket.moveCorrectionReason;
+    playerSocket.moveCorrectionReason = null;
+  }
+  playerSocket.emit('movement:ack', ack);
+}
+
+let worldTick = 0;
+setInterval(() => {
+  const t = Date.now();
+  const isFarTick = ++worldTick % FAR_SNAPSHOT_TICKS === 0;
+
+  worldSnapshots.getRoomIds().forEach(roomId => {
+    const roomPlayerIds = Object.keys(getRoomPlayers(roomId));
+    roomPlayerIds.forEach(playerId => {
+      const playerSocket = io.sockets.sockets.get(playerId);
+      if (!playerSocket) return;
+      sendMoveAck(playerSocket);
+
+      const nearIds = getPlayersOfInterest(roomId, playerId);
+      const { entered, left } = interestManager.update(playerId, nearIds);
+      if (entered.length > 0) playerSocket.emit('interest:enter', { playerIds: entered });
+      if (left.length > 0) playerSocket.emit('interest:leave', { playerIds: left });
+
+      const changes = worldSnapshots.buildSnapshot(roomId, playerId, isFarTick ? roomPlayerIds : nearIds);
+      if (!changes) return;
+      const snapshot = { t, players: changes };
+      playerSocket.emit('world-snapshot', (playerSocket.binaryMovement && encodeSnapshot(snapshot)) || snapshot);
+    });
+  });
+}, 1000 / WORLD_TICK_RATE);
+
+// Extra round state each game mode sends along with gameStart and gameStatus
+function getModeState(game) {
+  if (isFreezeTag(game)) return { frozenPlayerIds: getFrozenPlayerIds(game) };
+  if (isInfection(game)) return { infectedPlayerIds: getInfectedPlayerIds(game) };
+  if (isHideAndSeek(game)) return getHideAndSeekState(game);
+  return {};
+}
+
+// Each game mode ranks its players differently
+function buildRoundScoreboard(game) {
+  // Freeze tag ranks by time frozen and rescues
+  if (isFreezeTag(game)) return buildFreezeTagScoreboard(game, game.endTime);
+  // Infection ranks by how long each player survived
+  if (isInfection(game)) return buildInfectionScoreboard(game, game.endTime);
+  // Hide and seek ranks hiders by time hidden and seekers by finds
+  if (isHideAndSeek(game)) return buildHideAndSeekScoreboard(game, game.endTime);
+  // Classic tag ranks by time spent as IT, tags and times tagged
+  return buildScoreboard(game, localGameConfig(game.gameType).winCondition, game.endTime);
+}
+
 function endGame(io, roomId) {
   console.log(`
 [SERVER] ⏱️ ENDING GAME ${roomId}...
@@ -919,9 +1408,29 @@ function endGame(io, roomId) {
   // Mark game as ended but keep the game object for ceremony/UI purposes
   game.state = 'ended';
   game.endTime = Date.now();
+  clearTagCooldowns(tagCooldowns, game.players);
+
+  const scoreboard = buildRoundScoreboard(game);
+  if (scoreboard.length > 0) {
+    console.log(`[SERVER] 🏆 ${scoreboard[0].playerId.substring(0, 6)} won ${roomId}`);
+  }
+
+  // Matches carry the round's points over and break for an intermission before the next round
+  const { match } = game;
+  let matchSummary = null;
+  if (match) {
+    recordRound(match, scoreboard);
+    match.finished = game.round >= match.rounds;
+    match.nextRoundAt = match.finished ? null : game.endTime + NEXT_ROUND_DELAY_MS;
+    matchSummary = buildMatchSummary(game);
+    if (match.finished) {
+      console.log(`[SERVER] 🏆 ${matchSummary.standings[0]?.playerId.substring(0, 6)} won the ${match.rounds}-round match in ${roomId}`);
+    }
+  }
 
   // Notify ONLY the players that were in the game that it has ended
   game.players.forEach(playerId => {
+    movementValidator.grantSpawnTeleport(playerId, game.endTime);
     const playerSocket = io.sockets.sockets.get(playerId);
     if (playerSocket) {
       console.log(`[SERVER] 📣 Sending game end to player ${playerId ? playerId.substring(0, 6) : 'null'}`);
@@ -931,13 +1440,16 @@ function endGame(io, roomId) {
         players: game.players,
         taggedPlayerId: game.taggedPlayerId,
         endTime: game.endTime,
+        scoreboard,
+        match: matchSummary,
       });
     }
   });
   
-  // Send a global gameStateUpdate with the ended state
+  // Send a room-wide gameStateUpdate with the ended state
   // This helps spectators know the game ended without triggering end UI
-  io.emit('gameStateUpdate', {
+  const worldRoomId = game.worldRoomId || DEFAULT_ROOM_ID;
+  io.to(worldRoomId).emit('gameStateUpdate', {
     roomId,
     gameType: game.gameType,
     state: 'ended',
@@ -952,24 +1464,11 @@ function endGame(io, roomId) {
     state: 'ended'
   };
 
-  // Remove this game from the current active game mapping
-  delete currentActiveGame[game.gameType];
-  
-  // IMMEDIATE CLEANUP: Clear player queues right away to prevent stale queue issues
-  console.log(`[SERVER] 🧹 Immediately clearing player queue for ${game.gameType}`);
-  playerQueues[game.gameType] = [];
-  
-  // Reset zone player tracking to allow new games to start
-  if (playersInGameZones[game.gameType]) {
-    playersInGameZones[game.gameType].clear();
-    console.log(`[SERVER] 🧹 Immediately cleared join zone state for ${game.gameType}`);
-  }
-  
-  // Reset any active countdown
-  if (queueCountdowns[game.gameType]) {
-    queueCountdowns[game.gameType] = false;
-    console.log(`[SERVER] 🔄 Immediately resetting countdown for ${game.gameType}`);
-  }
+  // Spectators keep watching between the rounds of a match
+  if (!match || match.finished) endSpectating(io, game);
+
+  // The zone's queue carries on; its players just see one game fewer in progress
+  emitQueueStatus(io, worldRoomId, game.zoneType || game.gameType);
   
   // Set a cleanup timer to fully remove the game object after the ceremony time
   setTimeout(() => {
@@ -977,29 +1476,82 @@ function endGame(io, roomId) {
     
     // If the game is still in the ended state (hasn't been restarted), clean it up
     if (activeGames[roomId] && activeGames[roomId].state === 'ended') {
-      // Double check that the queues and zones are still clear
-      // (this is redundant with the immediate cleanup, but serves as a safety check)
-      if (playerQueues[game.gameType] && playerQueues[game.gameType].length > 0) {
-        console.log(`[SERVER] ⚠️ WARNING: Player queue for ${game.gameType} was not empty during final cleanup`);
-        playerQueues[game.gameType] = [];
-      }
-      
-      if (playersInGameZones[game.gameType] && playersInGameZones[game.gameType].size > 0) {
-        console.log(`[SERVER] ⚠️ WARNING: Join zone tracking for ${game.gameType} was not empty during final cleanup`);
-        playersInGameZones[game.gameType].clear();
-      }
-      
-      // Finally, clean up the actual game object
       delete activeGames[roomId];
       console.log(`[SERVER] 🗑️ Removed ended game ${roomId}`);
     } else {
       console.log(`[SERVER] Game ${roomId} no longer in ended state or already removed`);
     }
   }, 10000); // 10 seconds after game end (allowing time for ceremony)
+
+  if (match && !match.finished) {
+    setTimeout(() => startNextRound(io, roomId), NEXT_ROUND_DELAY_MS);
+  }
+}
+
+// Intermission between rounds of a match, long enough to read the scoreboard (ms)
+const NEXT_ROUND_DELAY_MS = 8000;
+
+/**
+ * Where a match stands after a round, sent with gameEnded
+ * @param {Object} game - The round that just ended
+ * @returns {{round: number, rounds: number, finished: boolean, standings: Array, nextRoundAt: number|null, nextItId: string|null}}
+ */
+function buildMatchSummary(game) {
+  const { match } = game;
+  return {
+    round: game.round,
+    rounds: match.rounds,
+    finished: match.finished,
+    standings: buildMatchStandings(match),
+    nextRoundAt: match.nextRoundAt,
+    nextItId: match.finished ? null : pickNextIt(match, game.players),
+  };
+}
+
+// Start the next round of a match with the players still connected and anyone who joined mid-match.
+// The last round's best player is IT.
+function startNextRound(io, roomId) {
+  const game = activeGames[roomId];
+  if (!game || game.state !== 'ended' || !game.match) return;
+
+  const { match } = game;
+  const isConnected = playerId => io.sockets.sockets.get(playerId)?.connected;
+  const nextPlayers = [...new Set([...game.players, ...match.pendingPlayers])].filter(isConnected);
+  match.pendingPlayers = [];
+
+  if (nextPlayers.length < getTagLobbyMinPlayers(game.settings)) {
+    console.log(`[SERVER] ❌ Not enough players left for round ${game.round + 1} of ${roomId}, ending the match`);
+    match.finished = true;
+    const matchSummary = buildMatchSummary(game);
+    nextPlayers.forEach(playerId => {
+      io.sockets.sockets.get(playerId)?.emit('matchEnded', { roomId, gameType: game.gameType, match: matchSummary });
+    });
+    endSpectating(io, game);
+    return;
+  }
+
+  startGame(io, game.zoneType, nextPlayers, roomId, game.worldRoomId, {
+    settings: game.settings,
+    round: game.round + 1,
+    match,
+    itPlayerId: pickNextIt(match, nextPlayers),
+  });
 }
 
 // Start the server right away (no initialization needed)
 server.listen(3000, () => {
   console.log('[SERVER] Listening on port 3000');
   console.log('[SERVER] Race builder system ready');
+  console.log(`[SERVER] World snapshots at ${WORLD_TICK_RATE}Hz`);
 });
+
+// Write any queued object and leaderboard changes before the process exits
+function shutdown(signal) {
+  console.log(`[SERVER] ${signal} received, saving room objects and leaderboards...`);
+  Promise.all([objectStore.flush(), leaderboards.flush()])
+    .catch(err => console.error('[SERVER] ❌ Failed to save data on shutdown:', err))
+    .finally(() => process.exit(0));
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -19,6 +19,8 @@ import { RaceGame3D, RaceGameUI } from './games/race';
 import RaceBuilderUI from './games/race/components/RaceBuilderUI';
 import RaceHUD from './games/race/RaceHUD';
 import TagGameOverlay from './games/tag/TagGameOverlay';
+import { HideAndSeekUI } from './games/hideAndSeek';
+import { SpectatorUI } from './components/spectator';
 import PhoneMenu, { PhoneMenuButton } from './components/PhoneMenu';
 
 // Using simpler approach without 3D context provider
@@ -204,7 +206,7 @@ function App() {
   }), []);
 
   return (
-    <MultiplayerProvider characterColor={characterColor} position={[0, 2, 0]}>
+    <MultiplayerProvider characterColor={characterColor} position={[0, 2, 0]} roomId={roomId}>
       <VoiceChatProvider>
         <GameSystemProvider>
           <KeyboardControls map={keyboardMap}>
@@ -246,6 +248,16 @@ function App() {
             
             {/* Race HUD - Shows race timer and other race UI elements */}
             <RaceHUD />
+
+            {/* Tag game HUDs and end-of-round scoreboards */}
+            <TagGameOverlay />
+            <TagGameOverlay gameType="freezeTag" />
+            <TagGameOverlay gameType="infection" />
+            <TagGameOverlay gameType="hideAndSeek" />
+            <HideAndSeekUI />
+
+            {/* Watching games the player isn't in */}
+            <SpectatorUI />
           </KeyboardControls>
           {/* WondR Logo in top left */}
           <a 
@@ -2,6 +2,7 @@ import React, { useRef, useEffect, useState } from 'react';
 import { useGLTF, useAnimations } from '@react-three/drei';
 import { clone } from 'three/examples/jsm/utils/SkeletonUtils';
 import * as THREE from 'three';
+import { saveBaseAppearance, setModelOpacity } from '../utils/modelOpacity';
 
 const MODEL_PATH = '/models/character.glb';
 useGLTF.preload(MODEL_PATH);
@@ -11,6 +12,7 @@ export function Character({
   position = [0, 0, 0],
   rotation = [0, 0, 0],
   animation = 'idle',
+  opacity = 1,
 }) {
   const animationRef = useRef();
   const [localScene, setLocalScene] = useState(null);
@@ -60,6 +62,7 @@ export function Character({
         child.material.side = originalSide;
         child.material.transparent = originalTransparent;
         child.material.opacity = originalOpacity;
+        saveBaseAppearance(child.material);
       }
     });
   }, [scene]);
@@ -85,6 +88,12 @@ export function Character({
     });
   }, [color, localScene]);
 
+  // Make the model see-through (race ghosts, found hiders), and solid again when opacity goes back to 1
+  useEffect(() => {
+    if (!localScene) return;
+    setModelOpacity(localScene, opacity);
+  }, [opacity, localScene]);
+
   // Hook into animations
   const { actions } = useAnimations(animations, animationRef);
   const prevAnimationRef = useRef('idle');
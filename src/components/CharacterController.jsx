@@ -10,9 +10,14 @@ import { useMultiplayer } from "./MultiplayerProvider";
 import { useGameSystem } from "./GameSystemProvider";
 import styles from "./RemotePlayer.module.css";
 import TagPlayerIndicator from "../games/tag/TagPlayerIndicator";
+import { useFreezeTagStore, selectIsFrozen } from "../games/tag/freezeTagStore";
+import { freezeTagConfig } from "../games/tag/freezeTagConfig";
+import { useHideAndSeekStore, selectIsBlindfolded } from "../games/hideAndSeek/store";
+import { useSpectatorStore, selectIsSpectatorCamera } from "./spectator/store";
 import { handleGameCollision } from "../utils/handleGameCollision";
 import { useCameraStore } from "./CameraToggleButton";
 import { useVoiceChat } from "./VoiceChatProvider";
+import { lerpAngle } from "../utils/angles";
 
 // Throttle function to limit how often a function gets called
 const throttle = (callback, delay) => {
@@ -31,6 +36,10 @@ const RUN_SPEED = 5;
 const ROTATION_SPEED = 0.1;
 const VERTICAL_OFFSET = -0.18; // Character's vertical offset from the ground
 
+// Inputs used while frozen in freeze tag or waiting to seek - the camera still moves, the character doesn't
+const NO_KEYS = { forward: false, backward: false, left: false, right: false, run: false, jump: false };
+const NO_MOBILE_MOVEMENT = { joystick: { x: 0, y: 0 }, jump: false, run: false };
+
 // Camera configuration
 const CAMERA_HEIGHT = 2.5; // Camera height above character
 const CAMERA_DISTANCE = 6; // Camera distance behind character
@@ -49,25 +58,6 @@ const BASE_CAMERA_DISTANCE = 6; // Base camera distance
 const MIN_DYNAMIC_DISTANCE = 3; // Minimum distance when looking up
 const ZOOM_FACTOR = 0.7; // How much to zoom in when looking up (0 = no zoom, 1 = full zoom)
 
-const normalizeAngle = (angle) => {
-  while (angle > Math.PI) angle -= 2 * Math.PI;
-  while (angle < -Math.PI) angle += 2 * Math.PI;
-  return angle;
-};
-
-const lerpAngle = (start, end, t) => {
-  start = normalizeAngle(start);
-  end = normalizeAngle(end);
-  if (Math.abs(end - start) > Math.PI) {
-    if (end > start) {
-      start += 2 * Math.PI;
-    } else {
-      end += 2 * Math.PI;
-    }
-  }
-  return normalizeAngle(start + (end - start) * t);
-};
-
 // Object Pool for reusing Vector3 objects to avoid garbage collection
 const vector3Pool = [];
 const getVector3FromPool = () => {
@@ -87,9 +77,14 @@ export function CharacterController({ initialPosition = [0, 0, 0], characterColo
   const character = useRef();
   const container = useRef();
   const [, getKeys] = useKeyboardControls();
-  const { sendMove, sendEmoji, emoji, myId, emojis } = useMultiplayer();
+  const { sendMove, sendEmoji, emoji, myId, emojis, onPositionCorrection, onPositionReset } = useMultiplayer();
   const { activeGames } = useGameSystem();
   const { isVoiceChatEnabled, voiceActivity, connectionStatus } = useVoiceChat();
+  const isFrozen = useFreezeTagStore(selectIsFrozen(myId));
+  const isBlindfolded = useHideAndSeekStore(selectIsBlindfolded(myId));
+  // While spectating, the spectator camera takes the keys and the camera
+  const isSpectatorCamera = useSpectatorStore(selectIsSpectatorCamera);
+  const isInputDisabled = isFrozen || isBlindfolded || isSpectatorCamera;
   
   // Define state variables first
   const [isOnGround, setIsOnGround] = useState(true); // Start as on ground
@@ -237,7 +232,8 @@ export function CharacterController({ initialPosition = [0, 0, 0], characterColo
   useFrame((state, delta) => {
     // Cap delta to avoid large jumps if framerate drops temporarily
     const cappedDelta = Math.min(delta, 0.1);
-    const keys = getKeys();
+    const keys = isInputDisabled ? NO_KEYS : getKeys();
+    const mobileMovement = isInputDisabled ? NO_MOBILE_MOVEMENT : mobileInputs.current;
     if (!rigidBody.current) return;
     
     // Check if camera mode changed and start transition timer
@@ -373,16 +369,16 @@ export function CharacterController({ initialPosition = [0, 0, 0], characterColo
 
     // Combine keyboard and mobile inputs with deadzone for joystick
     const joystickDeadzone = 0.15; // Increased deadzone to prevent drift and reset movement
-    const combinedMoveForward = keys.forward || mobileInputs.current.joystick.y > joystickDeadzone;
-    const combinedMoveBackward = keys.backward || mobileInputs.current.joystick.y < -joystickDeadzone;
-    const combinedMoveLeft = keys.left || mobileInputs.current.joystick.x < -joystickDeadzone;
-    const combinedMoveRight = keys.right || mobileInputs.current.joystick.x > joystickDeadzone;
-    const combinedIsRunning = keys.run || mobileInputs.current.run;
-    const combinedIsJumping = keys.jump || mobileInputs.current.jump;
+    const combinedMoveForward = keys.forward || mobileMovement.joystick.y > joystickDeadzone;
+    const combinedMoveBackward = keys.backward || mobileMovement.joystick.y < -joystickDeadzone;
+    const combinedMoveLeft = keys.left || mobileMovement.joystick.x < -joystickDeadzone;
+    const combinedMoveRight = keys.right || mobileMovement.joystick.x > joystickDeadzone;
+    const combinedIsRunning = keys.run || mobileMovement.run;
+    const combinedIsJumping = keys.jump || mobileMovement.jump;
 
     // Calculate movement intensity for mobile joystick (only if above deadzone)
     const joystickIntensity = Math.sqrt(
-      mobileInputs.current.joystick.x ** 2 + mobileInputs.current.joystick.y ** 2
+      mobileMovement.joystick.x ** 2 + mobileMovement.joystick.y ** 2
     );
     const mobileSpeedMultiplier = joystickIntensity > joystickDeadzone ? Math.min(joystickIntensity, 1) : 0;
 
@@ -497,7 +493,7 @@ export function CharacterController({ initialPosition = [0, 0, 0], characterColo
       if (isMoving) {
         // Calculate the angle based on joystick input
         // Negate x to swap left/right directions for mobile
-        const joystickAngle = Math.atan2(-mobileInputs.current.joystick.x, mobileInputs.current.joystick.y);
+        const joystickAngle = Math.atan2(-mobileMovement.joystick.x, mobileMovement.joystick.y);
         
         // Apply camera rotation offset to make movement relative to camera
         characterRotationTarget.current = joystickAngle + rotationTarget.current;
@@ -804,7 +800,7 @@ export function CharacterController({ initialPosition = [0, 0, 0], characterColo
     }
 
     // Update camera position using refs with delta-time interpolation
-    if (cameraTarget.current) {
+    if (cameraTarget.current && !isSpectatorCamera) {
       // Get target world position (where we're looking at)
       cameraTarget.current.getWorldPosition(cameraLookAtWorldPosition.current);
       
@@ -987,6 +983,32 @@ export function CharacterController({ initialPosition = [0, 0, 0], characterColo
     return () => clearInterval(physicsLoop);
   }, []);
 
+  // The server refused a teleport it doesn't allow (or an unsequenced move): snap back to where it says we are
+  useEffect(() => {
+    if (!onPositionReset) return;
+
+    return onPositionReset((position) => {
+      if (!rigidBody.current) return;
+      rigidBody.current.setTranslation({ x: position[0], y: position[1], z: position[2] }, true);
+      rigidBody.current.setLinvel({ x: 0, y: 0, z: 0 }, true);
+      currentPosition.current = position;
+    });
+  }, [onPositionReset]);
+
+  // The server clamped or refused one of our sequenced moves: shift by the difference from where we
+  // predicted, keeping the movement made since (the moves it hasn't seen yet) and our velocity
+  useEffect(() => {
+    if (!onPositionCorrection) return;
+
+    return onPositionCorrection(([dx, dy, dz]) => {
+      if (!rigidBody.current) return;
+      const { x, y, z } = rigidBody.current.translation();
+      const corrected = { x: x + dx, y: y + dy, z: z + dz };
+      rigidBody.current.setTranslation(corrected, true);
+      currentPosition.current = [corrected.x, corrected.y, corrected.z];
+    });
+  }, [onPositionCorrection]);
+
   // Set up mobile controls interface
   useEffect(() => {
     // Create global mobile controls interface
@@ -1693,7 +1715,7 @@ export function CharacterController({ initialPosition = [0, 0, 0], characterColo
             
             <group ref={character}>
               <Character 
-                color={characterColor} 
+                color={isFrozen ? freezeTagConfig.frozenPlayerColor : characterColor} 
                 animation={animationState} 
               />
               {emoji && (
@@ -11,12 +11,17 @@ import GameElements3D from "./games/GameElements3D";
 import RemotePlayer from "./RemotePlayer";
 import { GameSystemContext } from "./GameSystemProvider";
 import TagGameRefactored from "../games/tag/TagGameRefactored";
+import FreezeTagGame from "../games/tag/FreezeTagGame";
+import InfectionGame from "../games/tag/InfectionGame";
+import { HideAndSeekGame3D } from "../games/hideAndSeek";
+import { Spectator3D } from "./spectator";
 import { RaceGame3D } from "../games/race";
 import JumpPad from "./JumpPad";
 import Portal from "./Portal";
 import ObjectManager from "./ObjectManager";
 import { Tree } from "./models/Tree";
 import { IceRink } from "./IceRink";
+import { SPAWN_POSITION, JUMP_PADS, PORTALS } from "../utils/worldLayout";
 
 const maps = {
   castle_on_hills: {
@@ -41,7 +46,7 @@ const maps = {
   },
 };
 
-const defaultPosition = [0, 0.8, 0];
+const defaultPosition = SPAWN_POSITION;
 function RemotePlayersPool() {
   const { players, myId } = useMultiplayer();
   
@@ -136,6 +141,14 @@ export const Experience = React.memo(({ characterColor, showRaceGame, raceRoomId
           attach={"shadow-camera"}
         />
       </directionalLight>
+      {/* Freeze tag round state and freeze/unfreeze detection */}
+      <FreezeTagGame />
+      {/* Infection round state and infection detection */}
+      <InfectionGame />
+      {/* Hide and seek join zone and seeker find detection */}
+      <HideAndSeekGame3D />
+      {/* Follow / free-fly camera while watching a game */}
+      <Spectator3D />
       <Physics>
         {/* CRITICAL FIX: Only show tag game if player is actually in it */}
         {activeTagGame && activeTagGame[1]?.players?.includes(myId) ? (
@@ -154,22 +167,14 @@ export const Experience = React.memo(({ characterColor, showRaceGame, raceRoomId
             {showRaceGame && <RaceGame3D roomId={sharedRoomId} />}
             
             {/* Jump Pads for Tag Game */}
-            <JumpPad position={[7.84, 0.18, -2.22]} />
-            <JumpPad position={[-4.22, -0.82, -11.37]} mini={true} />
-            <JumpPad position={[-10.95, 0.18, -16.17]} mini={true} />
-            <JumpPad position={[17.12, -0.82, -13.14]} mini={true} />
-            <JumpPad position={[8.17, 0.18, -13.34]} mini={true} />
-            <JumpPad position={[-1.45, 1.18, -16.53]} />
-            <JumpPad position={[14.88, -0.82, -0.01]} mini={true} />
+            {JUMP_PADS.map(({ position, mini }) => (
+              <JumpPad key={position.join(',')} position={position} mini={mini} />
+            ))}
             
             {/* Portal Pair for Tag Game */}
-            <Portal 
-              portalA={[-9.39, -0.82, 3.05]} 
-              portalB={[15.76, 1.18, -29.7]} 
-              rotationA={[0, 0, 0]} // Back to original orientation (no rotation)
-              rotationB={[0, -Math.PI / 2, 0]} // Face west (-90 degrees Y rotation)
-              radius={1.2}
-            />
+            {PORTALS.map((portal) => (
+              <Portal key={portal.portalA.join(',')} {...portal} />
+            ))}
             
             {/* Object Manager for Tag Game */}
             <ObjectManager roomId={activeTagGame[0] || sharedRoomId} />
@@ -197,22 +202,14 @@ export const Experience = React.memo(({ characterColor, showRaceGame, raceRoomId
             {showRaceGame && <RaceGame3D roomId={sharedRoomId} />}
             
             {/* Jump Pads for Normal Game */}
-            <JumpPad position={[7.84, 0.18, -2.22]} />
-            <JumpPad position={[-4.22, -0.82, -11.37]} mini={true} />
-            <JumpPad position={[-10.95, 0.18, -16.17]} mini={true} />
-            <JumpPad position={[17.12, -0.82, -13.14]} mini={true} />
-            <JumpPad position={[8.17, 0.18, -13.34]} mini={true} />
-            <JumpPad position={[-1.45, 1.18, -16.53]} />
-            <JumpPad position={[14.88, -0.82, -0.01]} mini={true} />
+            {JUMP_PADS.map(({ position, mini }) => (
+              <JumpPad key={position.join(',')} position={position} mini={mini} />
+            ))}
             
             {/* Portal Pair for Normal Game */}
-            <Portal 
-              portalA={[-9.39, -0.82, 3.05]} 
-              portalB={[15.76, 1.18, -29.7]} 
-              rotationA={[0, 0, 0]} // Back to original orientation (no rotation)
-              rotationB={[0, -Math.PI / 2, 0]} // Face west (-90 degrees Y rotation)
-              radius={1.2}
-            />
+            {PORTALS.map((portal) => (
+              <Portal key={portal.portalA.join(',')} {...portal} />
+            ))}
             
             {/* Object Manager for Normal Game */}
             <ObjectManager roomId={sharedRoomId} />
@@ -1,7 +1,15 @@
 import React, { createContext, useContext, useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { io } from 'socket.io-client';
-import { Vector3 } from 'three';
 import { getSocket } from '../utils/socketManager';
+import { getPlayerKey } from '../utils/playerKey';
+import { SnapshotBuffer } from '../utils/snapshotBuffer';
+import { MovePredictor } from '../utils/movePrediction';
+import {
+  BINARY_MOVEMENT_PROTOCOL,
+  isBinaryMessage,
+  encodeMove,
+  decodeSnapshot,
+} from '../utils/movementCodec';
 
 // Throttle function to limit network updates
 const throttle = (callback, limit) => {
@@ -57,7 +65,7 @@ const createDelta = (current, previous) => {
 
 const MultiplayerContext = createContext();
 
-export function MultiplayerProvider({ characterColor, position, children }) {
+export function MultiplayerProvider({ characterColor, position, roomId = 'main-room', children }) {
   const [players, setPlayers] = useState({});
   const [myId, setMyId] = useState(null);
   const [emoji, setEmoji] = useState(null);
@@ -68,10 +76,19 @@ export function MultiplayerProvider({ characterColor, position, children }) {
   
   // Store previous state for delta compression
   const prevStateRef = useRef({});
+  // Set once the server has agreed to binary movement messages
+  const binaryMovementRef = useRef(false);
   
-  // Refs for interpolation
-  const interpolationTargets = useRef({});
-  const lastUpdateTime = useRef({});
+  // Per remote player: server-timestamped movement snapshots that RemotePlayer interpolates between
+  const snapshotBuffers = useRef({});
+  // Remote players in our area of interest; the server sends the rest less often
+  const nearPlayerIds = useRef(new Set());
+  // Numbers our moves and reconciles them with the server's acknowledgements
+  const movePredictor = useRef(new MovePredictor());
+  // Called with [dx, dy, dz] when the server moved the local player somewhere we didn't predict
+  const correctionListeners = useRef(new Set());
+  // Called with [x, y, z] when the server puts the local player back at a position outright
+  const resetListeners = useRef(new Set());
 
   // Send move data with delta compression
   const sendMove = useCallback((moveData) => {
@@ -86,9 +103,11 @@ export function MultiplayerProvider({ characterColor, position, children }) {
     // Use delta compression
     const delta = createDelta(fullData, prevStateRef.current[id]);
     
-    // Only send if there are actual changes
+    // Only send if there are actual changes, in binary when the server takes it
     if (delta) {
-      socketRef.current.emit('move', delta);
+      delta.seq = movePredictor.current.recordSent(fullData.position);
+      const binary = binaryMovementRef.current && encodeMove(delta);
+      socketRef.current.emit('move', binary || delta);
       prevStateRef.current[id] = { ...fullData };
     }
     
@@ -224,17 +243,23 @@ export function MultiplayerProvider({ characterColor, position, children }) {
     socket.on('connect', () => {
       const id = socket.id;
       setMyId(id);
+      movePredictor.current.reset();
 
-      // Join the game
+      // Join the game - the server only relays updates between players in the same room
       const initialPlayerData = {
         id,
+        roomId,
         color: characterColor,
         position,
         animation: 'idle',
         rotation: 0
       };
       
-      socket.emit('join', initialPlayerData);
+      socket.emit('join', {
+        ...initialPlayerData,
+        playerKey: getPlayerKey(),
+        movementProtocol: BINARY_MOVEMENT_PROTOCOL
+      });
       
       // Request a full player list when joining
       socket.emit('request-players');
@@ -247,7 +272,12 @@ export function MultiplayerProvider({ characterColor, position, children }) {
       // Setup reconnection handling
       socket.io.on("reconnect", () => {
         // Re-join and get full player list on reconnection
-        socket.emit('join', initialPlayerData);
+        binaryMovementRef.current = false;
+        socket.emit('join', {
+          ...initialPlayerData,
+          playerKey: getPlayerKey(),
+          movementProtocol: BINARY_MOVEMENT_PROTOCOL
+        });
         socket.emit('request-players');
       });
     });
@@ -345,46 +375,74 @@ export function MultiplayerProvider({ characterColor, position, children }) {
       }
     });
 
-    socket.on('player-moved', ({ id, position, animation, rotation, showSkateboard }) => {
-      if (id === socket.id) return;
-      
-      // Set target for interpolation
-      if (position) {
-        if (!interpolationTargets.current[id]) {
-          interpolationTargets.current[id] = {
-            position: new Vector3().fromArray(position),
-            prevPosition: new Vector3().fromArray(position),
-            rotation: rotation || 0
-          };
-        } else {
-          // Store previous position for interpolation
-          interpolationTargets.current[id].prevPosition.copy(
-            interpolationTargets.current[id].position
-          );
-          // Update target position
-          interpolationTargets.current[id].position.fromArray(position);
-          if (rotation !== undefined) {
-            interpolationTargets.current[id].rotation = rotation;
-          }
+    // The server processed our moves up to ack.seq; if it moved us somewhere else than we
+    // predicted, shift the local player by the difference (keeping the moves made since)
+    socket.on('movement:ack', (ack) => {
+      const offset = movePredictor.current.reconcile(ack);
+      if (!offset) return;
+      console.log(`[MultiplayerProvider] Server corrected move ${ack.seq} (${ack.reason || 'position'}) by [${offset.map(v => v.toFixed(2)).join(', ')}]`);
+      correctionListeners.current.forEach(listener => listener(offset, ack.reason));
+    });
+
+    // The server refused a teleport (or an unsequenced move) and says where we are instead;
+    // moves still in flight were predicted from the refused position, so they're dropped
+    socket.on('movement:correction', ({ position, reason } = {}) => {
+      if (!Array.isArray(position)) return;
+      movePredictor.current.reset();
+      resetListeners.current.forEach(listener => listener(position, reason));
+    });
+
+    socket.on('movement-protocol', ({ protocol }) => {
+      binaryMovementRef.current = protocol === BINARY_MOVEMENT_PROTOCOL;
+    });
+
+    // One batched movement update per server tick, with only the fields that changed
+    socket.on('world-snapshot', (message) => {
+      const snapshot = isBinaryMessage(message) ? decodeSnapshot(message) : message;
+      if (!snapshot) return;
+      const { t, players: changes } = snapshot;
+      const movedIds = Object.keys(changes).filter(id => id !== socket.id);
+      if (movedIds.length === 0) return;
+
+      // Buffer the snapshots; RemotePlayer draws them ~100ms later, interpolated
+      movedIds.forEach(id => {
+        if (!snapshotBuffers.current[id]) {
+          snapshotBuffers.current[id] = new SnapshotBuffer(!nearPlayerIds.current.has(id));
         }
-        lastUpdateTime.current[id] = performance.now();
-      }
+        snapshotBuffers.current[id].push(t, changes[id]);
+      });
       
       setPlayers(prev => {
-        if (!prev[id]) return prev;
-        return {
-          ...prev,
-          [id]: {
+        const next = { ...prev };
+        movedIds.forEach(id => {
+          if (!prev[id]) return;
+          const { position, rotation, animation, showSkateboard } = changes[id];
+          next[id] = {
             ...prev[id],
-            // Only update animation immediately, position will be interpolated
             animation: animation || prev[id].animation || 'idle',
-            // Store target position and rotation for interpolation
-            ...(position ? { targetPosition: position } : {}),
-            ...(rotation !== undefined ? { targetRotation: rotation } : {}),
+            // Latest known state, for game logic; rendering goes through the snapshot buffer
+            ...(position ? { position } : {}),
+            ...(rotation !== undefined ? { rotation } : {}),
             // Update skateboard state
             ...(typeof showSkateboard === 'boolean' ? { showSkateboard } : {})
-          }
-        };
+          };
+        });
+        return next;
+      });
+    });
+
+    // Players coming into and going out of range get played back with less or more delay
+    socket.on('interest:enter', ({ playerIds }) => {
+      playerIds.forEach(id => {
+        nearPlayerIds.current.add(id);
+        snapshotBuffers.current[id]?.setFar(false);
+      });
+    });
+
+    socket.on('interest:leave', ({ playerIds }) => {
+      playerIds.forEach(id => {
+        nearPlayerIds.current.delete(id);
+        snapshotBuffers.current[id]?.setFar(true);
       });
     });
 
@@ -401,6 +459,8 @@ export function MultiplayerProvider({ characterColor, position, children }) {
         delete newState[playerId];
         return newState;
       });
+      delete snapshotBuffers.current[playerId];
+      nearPlayerIds.current.delete(playerId);
       
       setEmojis(prev => {
         const next = { ...prev };
@@ -454,65 +514,7 @@ export function MultiplayerProvider({ characterColor, position, children }) {
       clearInterval(emojiInterval);
       socket.disconnect();
     };
-  }, [characterColor, position, requestResync]);
-
-  // Setup interpolation frame loop
-  useEffect(() => {
-    // Run interpolation at 60fps
-    const interpolationLoop = setInterval(() => {
-      let hasUpdates = false;
-
-      // Process all players needing interpolation
-      Object.keys(interpolationTargets.current).forEach((id) => {
-        const target = interpolationTargets.current[id];
-        if (!target) return;
-
-        const now = performance.now();
-        const timeSinceUpdate = now - (lastUpdateTime.current[id] || 0);
-
-        // Use a smooth interpolation factor
-        const lerpFactor = Math.min(0.2, timeSinceUpdate / 100); // Adjust based on network conditions
-
-        setPlayers((prev) => {
-          if (!prev[id]) return prev;
-
-          // Convert current position to Vector3 for interpolation
-          const currentPos = prev[id].position;
-          if (!currentPos) return prev;
-
-          // Create interpolated position
-          const currentVec = new Vector3().fromArray(currentPos);
-          currentVec.lerp(target.position, lerpFactor);
-
-          hasUpdates = true;
-          return {
-            ...prev,
-            [id]: {
-              ...prev[id],
-              position: [currentVec.x, currentVec.y, currentVec.z],
-              // Smoothly interpolate rotation as well if needed
-              ...(prev[id].targetRotation !== undefined ? {
-                rotation: prev[id].rotation + (prev[id].targetRotation - prev[id].rotation) * lerpFactor,
-              } : {}),
-            },
-          };
-        });
-      });
-
-      // Only trigger re-render if there were changes
-      if (!hasUpdates) {
-        // Clean up any stale players from interpolation targets
-        Object.keys(interpolationTargets.current).forEach((id) => {
-          if (!players[id]) {
-            delete interpolationTargets.current[id];
-            delete lastUpdateTime.current[id];
-          }
-        });
-      }
-    }, 1000 / 60); // 60 fps updates
-
-    return () => clearInterval(interpolationLoop);
-  }, [players]);
+  }, [characterColor, position, roomId, requestResync]);
 
   useEffect(() => {
     if (characterColor !== prevColorRef.current) {
@@ -551,14 +553,8 @@ export function MultiplayerProvider({ characterColor, position, children }) {
         socketRef.current = null;
       }
 
-      // Clean up all Three.js objects to prevent memory leaks
-      Object.values(interpolationTargets.current).forEach((target) => {
-        if (target.position) target.position = null;
-        if (target.prevPosition) target.prevPosition = null;
-      });
-
-      interpolationTargets.current = {};
-      lastUpdateTime.current = {};
+      snapshotBuffers.current = {};
+      nearPlayerIds.current.clear();
       prevStateRef.current = {};
     };
   }, []);
@@ -591,6 +587,21 @@ export function MultiplayerProvider({ characterColor, position, children }) {
     });
   }, [socketRef, myId]);
 
+  // Subscribe to server corrections of the local player's position; returns an unsubscribe function
+  const onPositionCorrection = useCallback((listener) => {
+    correctionListeners.current.add(listener);
+    return () => correctionListeners.current.delete(listener);
+  }, []);
+
+  // Subscribe to the server putting the local player back at a position; returns an unsubscribe function
+  const onPositionReset = useCallback((listener) => {
+    resetListeners.current.add(listener);
+    return () => resetListeners.current.delete(listener);
+  }, []);
+
+  // The snapshot buffer RemotePlayer samples each frame (null until the player has moved)
+  const getSnapshotBuffer = useCallback((id) => snapshotBuffers.current[id] || null, []);
+
   const value = {
     players,
     myId,
@@ -601,6 +612,9 @@ export function MultiplayerProvider({ characterColor, position, children }) {
     resendMyAnimation,
     requestResync,
     teleportPlayer, // Add the teleport function to the context
+    getSnapshotBuffer,
+    onPositionCorrection,
+    onPositionReset,
   };
 
   return (
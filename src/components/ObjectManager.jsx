@@ -3,7 +3,6 @@ import { useThree } from '@react-three/fiber';
 import * as THREE from 'three';
 import { RigidBody } from '@react-three/rapier';
 import { TransformControls } from '@react-three/drei';
-import { getSocket } from '../utils/socketManager';
 import { useMultiplayer } from './MultiplayerProvider';
 import { useCameraStore } from './CameraToggleButton';
 import { Tree } from './models/Tree';
@@ -241,8 +240,9 @@ const ObjectManager = ({ roomId = 'main-room' }) => {
   const selectedObjectRef = useRef();
 
   useEffect(() => {
-    const socket = getSocket();
-    if (!socket) return;
+    // Objects are synced over the game connection, which the server has put in this world's room
+    const socket = window.gameSocket;
+    if (!socket || !myId) return;
 
     socketRef.current = socket;
 
@@ -335,7 +335,7 @@ const ObjectManager = ({ roomId = 'main-room' }) => {
         clearTimeout(updateTimeoutRef.current);
       }
     };
-  }, [roomId, selectedObjectId]);
+  }, [roomId, selectedObjectId, myId]);
 
   // Add new object (simplified without collider type)
   const addObject = useCallback((objectType, position = [0, 1, 0]) => {
@@ -6,6 +6,7 @@ import { useMultiplayer } from './MultiplayerProvider';
 import { GameSystemContext } from './GameSystemProvider';
 import { getSocket } from '../utils/socketManager';
 import ObjectsTab from './ObjectsTab';
+import TagLobbyPanel from '../games/tag/TagLobbyPanel';
 
 // Tab content components
 const HomeTab = ({ onCustomizeClick, onCloseMenu, onToggleSkateboard, showSkateboard }) => {
@@ -79,7 +80,7 @@ const GamesTab = () => (
       <div className="game-item">
         <h3>Tag Game</h3>
         <p>Classic tag game - don't get caught!</p>
-        <button className="game-button">Play Now</button>
+        <TagLobbyPanel />
       </div>
       <div className="game-item">
         <h3>Race Game</h3>
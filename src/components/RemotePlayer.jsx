@@ -1,23 +1,30 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Character } from './Character';
 import { PlayerSkateboard } from './Skateboard';
 import { Html } from '@react-three/drei';
 import { useMultiplayer } from './MultiplayerProvider';
 import { useGameSystem } from './GameSystemProvider';
-import { Vector3, MathUtils } from 'three';
 import styles from './RemotePlayer.module.css';
 import { RigidBody } from '@react-three/rapier';
 import TagPlayerIndicator from '../games/tag/TagPlayerIndicator';
+import { useFreezeTagStore, selectIsFrozen } from '../games/tag/freezeTagStore';
+import { freezeTagConfig } from '../games/tag/freezeTagConfig';
+import { useHideAndSeekStore, selectIsHiddenFrom, selectIsSpectating } from '../games/hideAndSeek/store';
 import { useVoiceChat } from './VoiceChatProvider';
 
 export default function RemotePlayer({ player }) {
   // Always ensure animation is set to idle as fallback
   const { color, rotation = 0, id, showSkateboard = false } = player;
   const animation = player.animation || 'idle';
-  const { emojis } = useMultiplayer();
+  const { emojis, myId, getSnapshotBuffer } = useMultiplayer();
+  const isFrozen = useFreezeTagStore(selectIsFrozen(id));
+  // Seekers can't spot hiders by their overlays; found hiders sitting out are see-through
+  const isHiddenFromMe = useHideAndSeekStore(selectIsHiddenFrom(myId, id));
+  const isSpectating = useHideAndSeekStore(selectIsSpectating(id));
   const { isVoiceChatEnabled, voiceActivity, connectionStatus } = useVoiceChat();
   const characterRef = useRef();
+  const groupRef = useRef();
   const defaultPosition = [0, 2, 0];
   
   // Log remote player initialization and skateboard state changes
@@ -30,73 +37,42 @@ export default function RemotePlayer({ player }) {
     console.log(`[RemotePlayer] Player ${id} skateboard state changed to: ${showSkateboard}`);
   }, [showSkateboard, id]);
 
-  // Update physics position when network data arrives
-  useEffect(() => {
-    if (player.position && characterRef.current) {
-      const [x, y, z] = player.position;
-      // Only update if position has changed significantly
-      const currentPos = characterRef.current.translation();
-      const distance = Math.sqrt(
-        Math.pow(currentPos.x - x, 2) +
-        Math.pow(currentPos.y - y, 2) +
-        Math.pow(currentPos.z - z, 2)
-      );
-
-      if (distance > 0.1) { // Only update if moved more than 0.1 units
-        characterRef.current.setTranslation({ x, y, z });
-        // Reset velocities when teleporting
-        characterRef.current.setLinvel({ x: 0, y: 0, z: 0 });
-        characterRef.current.setAngvel({ x: 0, y: 0, z: 0 });
-      }
-    }
-  }, [player.position]);
-
+  // Draw the player where the snapshot buffer says they were ~100ms ago. The body is
+  // kinematic, so it follows the network instead of being pushed around by local physics.
   useFrame(() => {
-    if (!characterRef.current) return;
-
-    // Get current position
-    const worldPosition = characterRef.current.translation();
-
-    // Check if fallen too far
-    if (worldPosition.y < -25) {
-      // Respawn at default position
-      characterRef.current.setTranslation({ x: defaultPosition[0], y: defaultPosition[1], z: defaultPosition[2] });
-      characterRef.current.setLinvel({ x: 0, y: 0, z: 0 });
-      characterRef.current.setAngvel({ x: 0, y: 0, z: 0 });
-    }
+    const body = characterRef.current;
+    const sampled = getSnapshotBuffer(id)?.sample();
+    if (!body || !sampled) return;
 
-    // Debug log occasionally
-    if (Math.random() < 0.02 && false) {
-      console.log(`Player ${id} physics position:`, {
-        position: [worldPosition.x, worldPosition.y, worldPosition.z],
-        serverPosition: player.position,
-        animation
-      });
-    }
+    const [x, y, z] = sampled.position;
+    body.setNextKinematicTranslation({ x, y, z });
+    if (groupRef.current) groupRef.current.rotation.y = sampled.rotation;
   });
 
-  // Ensure we have a valid position
-  const currentPosition = player.position && player.position.length === 3 
-    ? [...player.position]
-    : [...defaultPosition];
+  // Ensure we have a valid position. Only used to place the body when it's created: a changing
+  // position prop would make rapier teleport it to the latest, un-buffered, network position.
+  const [spawnPosition] = useState(() => (
+    player.position && player.position.length === 3 ? [...player.position] : [...defaultPosition]
+  ));
 
   return (
     <RigidBody
       ref={characterRef}
       colliders="hull"
-      type="dynamic"
-      position={currentPosition}
+      type="kinematicPosition"
+      position={spawnPosition}
       enabledRotations={[false, false, false]}
       lockRotations
       friction={0.7}
       restitution={0}
-      linearDamping={12} // Increased damping to reduce sliding
-      angularDamping={0.5}
-      mass={1}
       userData={{ type: 'player', id: id }}
     >
-      <group rotation-y={rotation}>
-        <Character color={color} animation={animation} />
+      <group ref={groupRef} rotation-y={rotation}>
+        <Character
+          color={isFrozen ? freezeTagConfig.frozenPlayerColor : color}
+          animation={animation}
+          opacity={isSpectating ? 0.4 : 1}
+        />
         
         {/* Add skateboard under the remote player's feet if enabled */}
         {showSkateboard && (
@@ -112,7 +88,7 @@ export default function RemotePlayer({ player }) {
         )}
       </group>
       {/* Player emoji */}
-      {emojis[id]?.value && (
+      {emojis[id]?.value && !isHiddenFromMe && (
         <Html
           position={[0, 1, 0]}
           center
@@ -125,7 +101,7 @@ export default function RemotePlayer({ player }) {
       )}
       
       {/* Voice chat indicator */}
-      {isVoiceChatEnabled && connectionStatus[id] === 'connected' && (
+      {isVoiceChatEnabled && connectionStatus[id] === 'connected' && !isHiddenFromMe && (
         <Html position={[0, 0.8, 0]} center distanceFactor={8}>
           <div 
             className={styles.voiceChatIndicator}
@@ -143,7 +119,7 @@ export default function RemotePlayer({ player }) {
       )}
       
       {/* Tag game indicator - red for IT, blue for players */}
-      <TagPlayerIndicator playerId={id} />
+      {!isHiddenFromMe && <TagPlayerIndicator playerId={id} />}
       
       {/* Voice activity indicator */}
       {/* Removed VoiceActivityIndicator to eliminate floating circle */}
@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react';
+import { getSocket } from '../../utils/socketManager';
+
+/**
+ * The local player's place in each join zone's queue, from the server's matchmaking:status events
+ * @returns {Object} { [gameType]: { position, queueSize, minPlayers, maxPlayers, gamesInProgress } }
+ */
+export function useQueueStatus() {
+  const [statuses, setStatuses] = useState({});
+
+  useEffect(() => {
+    const socket = getSocket();
+    const sockets = [window.gameSocket, socket].filter((s, i, all) => s && all.indexOf(s) === i);
+
+    const handleStatus = (data) => {
+      if (!data?.gameType) return;
+      setStatuses(prev => {
+        const next = { ...prev };
+        // A null position means the player left the queue (or was put in a game)
+        if (data.position) next[data.gameType] = data;
+        else delete next[data.gameType];
+        return next;
+      });
+    };
+
+    sockets.forEach(s => s.on('matchmaking:status', handleStatus));
+    return () => sockets.forEach(s => s.off('matchmaking:status', handleStatus));
+  }, []);
+
+  return statuses;
+}
+
+/**
+ * One line describing a queue status, e.g. "#2 in queue - 3/4 players to start"
+ * @param {Object} status - A matchmaking:status payload
+ * @returns {string}
+ */
+export function describeQueueStatus({ position, queueSize, minPlayers, gamesInProgress }) {
+  const waiting = queueSize < minPlayers ? ` - ${queueSize}/${minPlayers} players to start` : ' - starting soon';
+  const inProgress = gamesInProgress > 0 ? ` (${gamesInProgress} in progress)` : '';
+  return `#${position} in queue${waiting}${inProgress}`;
+}
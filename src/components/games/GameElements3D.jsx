@@ -7,10 +7,12 @@ import { GameSystemContext } from '../GameSystemProvider';
 import { gameRegistry } from '../../games/gameRegistry';
 import { getSocket } from '../../utils/socketManager';
 import { Skateboard } from '../../components/Skateboard';
+import { useQueueStatus, describeQueueStatus } from '../game-systems/useQueueStatus';
 
 function GameElements3D() {
   const { myId, players } = useMultiplayer();
   const { activeGames, setActiveGames } = useContext(GameSystemContext);
+  const queueStatuses = useQueueStatus();
   
   // Define skateboard positions in the world - 5 units in front of spawn at [0,0,0]
   const [skateboards] = useState([
@@ -93,18 +95,12 @@ function GameElements3D() {
       const joinZone = game.config.joinZone;
       if (!joinZone) return;
       
-      // Check if a game of this type is already active
-      // Look through all active games to find any with matching gameType and active state
-      const activeGameOfType = Object.entries(activeGames || {}).find(([roomId, game]) => {
-        return game?.gameType === gameType && game?.state === 'playing';
-      });
-      
-      const isGameActive = !!activeGameOfType;
-      
-      if (isGameActive) {
-        console.log(`[GameElements3D] Game ${gameType} is active (${activeGameOfType[0]}), disabling join zone`);
-        return; // Skip zone detection when game is active
-      }
+      // Players in a game of this type don't queue for another one.
+      // Everyone else can step in to queue, even while other games are being played
+      const isPlayingThisType = Object.values(activeGames || {}).some(game =>
+        game?.gameType === gameType && game?.state === 'playing' && game.players?.includes(myId)
+      );
+      if (isPlayingThisType) return;
 
       const player = players[myId];
       const playerPos = new Vector3(...(player.position || [0, 0, 0]));
@@ -190,11 +186,26 @@ function GameElements3D() {
             {game.name || gameType}
           </Text>
           
-          {/* Join here text - only when not active */}
+          {/* Join here text - while a game is on, the zone queues players for the next one */}
+          <Text
+            position={[position[0], position[1] + 1, position[2]]}
+            fontSize={isGameActive ? 0.4 : 0.6}
+            color="#444444"
+            anchorX="center"
+            anchorY="middle"
+            billboard
+            renderOrder={20}
+            depthTest={false}
+            material-depthWrite={false}
+          >
+            {isGameActive ? "IN PROGRESS - QUEUE FOR NEXT GAME" : "JOIN HERE!"}
+          </Text>
+          
+          {/* Minimum players text - only when not active */}
           {!isGameActive && (
             <Text
-              position={[position[0], position[1] + 1, position[2]]}
-              fontSize={isGameActive ? 0.4 : 0.6}
+              position={[position[0], position[1] + 0.5, position[2]]}
+              fontSize={0.25}
               color="#444444"
               anchorX="center"
               anchorY="middle"
@@ -203,16 +214,15 @@ function GameElements3D() {
               depthTest={false}
               material-depthWrite={false}
             >
-              {isGameActive ? "IN PROGRESS" : "JOIN HERE!"}
+              Requires {minPlayers} players minimum
             </Text>
           )}
-          
-          {/* Minimum players text - only when not active */}
-          {!isGameActive && (
+          {/* The local player's place in this zone's queue */}
+          {queueStatuses[gameType] && (
             <Text
-              position={[position[0], position[1] + 0.5, position[2]]}
-              fontSize={0.25}
-              color="#444444"
+              position={[position[0], position[1] + 2.2, position[2]]}
+              fontSize={0.3}
+              color="#222222"
               anchorX="center"
               anchorY="middle"
               billboard
@@ -220,7 +230,7 @@ function GameElements3D() {
               depthTest={false}
               material-depthWrite={false}
             >
-              Requires {minPlayers} players minimum
+              {describeQueueStatus(queueStatuses[gameType])}
             </Text>
           )}
           {showCountdown[gameType] && (
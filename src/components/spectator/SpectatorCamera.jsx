@@ -0,0 +1,83 @@
+import { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useKeyboardControls } from "@react-three/drei";
+import { Vector3 } from "three";
+import { useMultiplayer } from "../MultiplayerProvider";
+import { useSpectatorStore } from "./store";
+
+// Follow cam: how far behind and above the watched player it sits
+const FOLLOW_DISTANCE = 7;
+const FOLLOW_HEIGHT = 3.5;
+// Free fly: movement speed (m/s) and turn speed (rad/s)
+const FLY_SPEED = 8;
+const TURN_SPEED = 1.8;
+
+// Drives the camera while the local player spectates. The character controller
+// leaves the camera alone (and ignores input) until spectating stops.
+export default function SpectatorCamera() {
+  const { players } = useMultiplayer();
+  const [, getKeys] = useKeyboardControls();
+  const roomId = useSpectatorStore((s) => s.roomId);
+  const mode = useSpectatorStore((s) => s.mode);
+  const targetId = useSpectatorStore((s) => s.targetId);
+
+  const desiredPosition = useRef(new Vector3());
+  const lookTarget = useRef(new Vector3());
+  // Free fly heading, picked up from wherever the camera faced when it was switched on
+  const flyYaw = useRef(null);
+
+  useFrame((state, delta) => {
+    if (!roomId) {
+      flyYaw.current = null;
+      return;
+    }
+    const cappedDelta = Math.min(delta, 0.1);
+    const camera = state.camera;
+
+    if (mode === "freeFly") {
+      if (flyYaw.current === null) {
+        const direction = new Vector3();
+        camera.getWorldDirection(direction);
+        flyYaw.current = Math.atan2(direction.x, direction.z);
+      }
+
+      const keys = getKeys();
+      if (keys.left) flyYaw.current += TURN_SPEED * cappedDelta;
+      if (keys.right) flyYaw.current -= TURN_SPEED * cappedDelta;
+
+      const step = FLY_SPEED * cappedDelta;
+      const forward = (keys.forward ? 1 : 0) - (keys.backward ? 1 : 0);
+      camera.position.x += Math.sin(flyYaw.current) * forward * step;
+      camera.position.z += Math.cos(flyYaw.current) * forward * step;
+      if (keys.jump) camera.position.y += step;
+      if (keys.run) camera.position.y -= step;
+
+      lookTarget.current.set(
+        camera.position.x + Math.sin(flyYaw.current),
+        camera.position.y - 0.3,
+        camera.position.z + Math.cos(flyYaw.current)
+      );
+      camera.lookAt(lookTarget.current);
+      return;
+    }
+
+    flyYaw.current = null;
+    const target = players[targetId];
+    if (!target?.position) return;
+
+    const [x, y, z] = target.position;
+    const rotation = target.rotation || 0;
+    desiredPosition.current.set(
+      x - Math.sin(rotation) * FOLLOW_DISTANCE,
+      y + FOLLOW_HEIGHT,
+      z - Math.cos(rotation) * FOLLOW_DISTANCE
+    );
+
+    const lerpFactor = Math.min(1, 0.08 * (60 * cappedDelta));
+    camera.position.lerp(desiredPosition.current, lerpFactor);
+    lookTarget.current.set(x, y + 1, z);
+    camera.lookAt(lookTarget.current);
+  });
+
+  return null;
+}
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import { useMultiplayer } from "../MultiplayerProvider";
+import { useGameSystem } from "../GameSystemProvider";
+import { GAME_TITLES } from "../../games/tag/TagGameOverlay";
+import { useSpectatorStore } from "./store";
+
+// What the game calls the player everyone runs from
+const IT_LABELS = {
+  tag: "IT",
+  freezeTag: "IT",
+  infection: "Patient zero",
+  hideAndSeek: "Seeker",
+};
+
+const panelStyle = {
+  backgroundColor: "rgba(0,0,0,0.8)", color: "#FFFFFF", borderRadius: "8px",
+  boxShadow: "0 4px 8px rgba(0,0,0,0.5)", fontFamily: "sans-serif", textAlign: "center",
+};
+
+const buttonStyle = {
+  fontSize: "14px", padding: "6px 10px", borderRadius: "5px", border: "1px solid #888",
+  background: "#fff", cursor: "pointer",
+};
+
+const shortId = (playerId) => (playerId ? `${playerId.substring(0, 5)}...` : "-");
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins.toString().padStart(2, "0")}:${secs.toString().padStart(2, "0")}`;
+};
+
+// "Watch" button for games the player isn't in, and the spectator HUD while watching one
+export default function SpectatorHUD() {
+  const { myId } = useMultiplayer();
+  const { activeGames } = useGameSystem();
+  const spectator = useSpectatorStore();
+  const { roomId, gameType, players, taggedPlayerId, endTime, mode, targetId, viewerCounts } = spectator;
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (!roomId || !endTime) return;
+
+    const update = () => setSecondsLeft(Math.max(0, Math.floor((endTime - Date.now()) / 1000)));
+    update();
+    const interval = setInterval(update, 1000);
+    return () => clearInterval(interval);
+  }, [roomId, endTime]);
+
+  // Q / E cycle through the players, F switches camera, Escape stops watching
+  useEffect(() => {
+    if (!roomId) return;
+
+    const handleKeyDown = (e) => {
+      if (e.code === "KeyQ") spectator.cycleTarget(-1);
+      else if (e.code === "KeyE") spectator.cycleTarget(1);
+      else if (e.code === "KeyF") spectator.toggleMode();
+      else if (e.code === "Escape") stopWatching();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [roomId]);
+
+  const startWatching = (gameRoomId) => {
+    window.gameSocket?.emit("spectate:start", { roomId: gameRoomId });
+  };
+
+  const stopWatching = () => {
+    window.gameSocket?.emit("spectate:stop");
+    spectator.stopSpectating();
+  };
+
+  if (!roomId) {
+    // Offer to watch a running game the player isn't in
+    const watchable = Object.entries(activeGames || {}).find(([, game]) =>
+      game && typeof game === "object" && game.state === "playing" && !game.players?.includes(myId)
+    );
+    if (!watchable) return null;
+
+    const [gameRoomId, game] = watchable;
+    return (
+      <div style={{ position: "fixed", bottom: 20, left: "50%", transform: "translateX(-50%)", zIndex: 1000 }}>
+        <button style={buttonStyle} onClick={(e) => { e.currentTarget.blur(); startWatching(gameRoomId); }}>
+          👁️ Watch {GAME_TITLES[game.gameType] || game.gameType}
+        </button>
+      </div>
+    );
+  }
+
+  const viewers = viewerCounts[roomId] || 0;
+
+  return (
+    <div style={{
+      position: "fixed", top: 20, left: "50%", transform: "translateX(-50%)", zIndex: 1000,
+      display: "flex", flexDirection: "column", alignItems: "center", gap: "8px", width: "320px"
+    }}>
+      <div style={{ ...panelStyle, padding: "10px 20px", width: "100%", fontWeight: "bold", fontSize: "18px" }}>
+        SPECTATING {GAME_TITLES[gameType] || gameType} - {formatTime(secondsLeft)}
+      </div>
+      <div style={{ ...panelStyle, padding: "8px 16px", width: "90%", fontSize: "15px" }}>
+        {taggedPlayerId && <div>{IT_LABELS[gameType] || "IT"}: {shortId(taggedPlayerId)}</div>}
+        <div>
+          {mode === "follow"
+            ? `Following ${shortId(targetId)}${targetId === taggedPlayerId ? ` (${IT_LABELS[gameType] || "IT"})` : ""}`
+            : "Free fly - WASD to move, Space / Shift for up / down"}
+        </div>
+        <div style={{ color: "#AAAAAA", fontSize: "13px" }}>
+          {players.length} playing - 👁️ {viewers} watching
+        </div>
+      </div>
+      <div style={{ display: "flex", gap: "6px" }}>
+        <button style={buttonStyle} onClick={(e) => { e.currentTarget.blur(); spectator.cycleTarget(-1); }}>◀ Q</button>
+        <button style={buttonStyle} onClick={(e) => { e.currentTarget.blur(); spectator.toggleMode(); }}>
+          {mode === "follow" ? "Free fly (F)" : "Follow (F)"}
+        </button>
+        <button style={buttonStyle} onClick={(e) => { e.currentTarget.blur(); spectator.cycleTarget(1); }}>E ▶</button>
+        <button style={buttonStyle} onClick={(e) => { e.currentTarget.blur(); stopWatching(); }}>Stop</button>
+      </div>
+    </div>
+  );
+}
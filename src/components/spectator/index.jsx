@@ -0,0 +1,19 @@
+import React from "react";
+import { SpectatorSocketListeners } from "./listeners";
+import SpectatorCamera from "./SpectatorCamera";
+import SpectatorHUD from "./SpectatorHUD";
+
+// Camera for use INSIDE <Canvas>
+export const Spectator3D = React.memo(function Spectator3D() {
+  return <SpectatorCamera />;
+});
+
+// UI/listener elements for use OUTSIDE <Canvas>
+export function SpectatorUI() {
+  return (
+    <>
+      <SpectatorSocketListeners />
+      <SpectatorHUD />
+    </>
+  );
+}
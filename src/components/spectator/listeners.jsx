@@ -0,0 +1,63 @@
+import { useEffect } from "react";
+import { useSpectatorStore } from "./store";
+import { getSocket } from "../../utils/socketManager";
+
+export function SpectatorSocketListeners() {
+  const startSpectating = useSpectatorStore((s) => s.startSpectating);
+  const stopSpectating = useSpectatorStore((s) => s.stopSpectating);
+  const updateGame = useSpectatorStore((s) => s.updateGame);
+  const setViewerCount = useSpectatorStore((s) => s.setViewerCount);
+
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket) return;
+    // Replies to spectate:start go to the socket that sent it, which may be window.gameSocket
+    const sockets = window.gameSocket && window.gameSocket !== socket ? [socket, window.gameSocket] : [socket];
+
+    const handleStarted = (data) => {
+      console.log(`[Spectator] 👁️ Watching ${data.roomId}`);
+      startSpectating(data);
+    };
+
+    const handleRejected = (data) => {
+      console.log(`[Spectator] Can't watch ${data?.roomId}: ${data?.reason}`);
+    };
+
+    // The watched game is over (not just between the rounds of a match)
+    const handleEnded = (data) => {
+      if (data?.roomId !== useSpectatorStore.getState().roomId) return;
+      console.log(`[Spectator] 🏁 ${data.roomId} is over, back to your own player`);
+      stopSpectating();
+    };
+
+    const handleGameStateUpdate = (data) => {
+      if (data?.roomId && data.roomId === useSpectatorStore.getState().roomId && data.state === "playing") {
+        updateGame(data);
+      }
+    };
+
+    const handleSpectators = (data) => {
+      if (data?.roomId) setViewerCount(data.roomId, data.count);
+    };
+
+    sockets.forEach((s) => {
+      s.on("spectate:started", handleStarted);
+      s.on("spectate:rejected", handleRejected);
+      s.on("spectate:ended", handleEnded);
+      s.on("gameStateUpdate", handleGameStateUpdate);
+      s.on("spectators:update", handleSpectators);
+    });
+
+    return () => {
+      sockets.forEach((s) => {
+        s.off("spectate:started", handleStarted);
+        s.off("spectate:rejected", handleRejected);
+        s.off("spectate:ended", handleEnded);
+        s.off("gameStateUpdate", handleGameStateUpdate);
+        s.off("spectators:update", handleSpectators);
+      });
+    };
+  }, [startSpectating, stopSpectating, updateGame, setViewerCount]);
+
+  return null;
+}
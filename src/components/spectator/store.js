@@ -0,0 +1,55 @@
+import { create } from 'zustand';
+
+// The game the local player is watching, and viewer counts for every game in the world room
+const initialState = {
+  roomId: null,
+  gameType: null,
+  players: [],
+  taggedPlayerId: null,
+  endTime: null,
+  mode: 'follow', // 'follow' (orbit a participant) or 'freeFly'
+  targetId: null, // Participant the follow cam is on
+};
+
+export const useSpectatorStore = create((set, get) => ({
+  ...initialState,
+  viewerCounts: {}, // roomId -> number of spectators
+
+  startSpectating: ({ roomId, gameType, players, taggedPlayerId, endTime }) => set({
+    roomId,
+    gameType,
+    players: players || [],
+    taggedPlayerId: taggedPlayerId || null,
+    endTime: endTime || null,
+    targetId: taggedPlayerId || players?.[0] || null,
+  }),
+  stopSpectating: () => set({ ...initialState, viewerCounts: get().viewerCounts }),
+
+  // Keep up with the watched game; the follow cam moves on if its target left
+  updateGame: ({ players, taggedPlayerId, endTime }) => set((state) => {
+    const nextPlayers = players || state.players;
+    return {
+      players: nextPlayers,
+      taggedPlayerId: taggedPlayerId || state.taggedPlayerId,
+      endTime: endTime || state.endTime,
+      targetId: nextPlayers.includes(state.targetId) ? state.targetId : (nextPlayers[0] || null),
+    };
+  }),
+
+  toggleMode: () => set((state) => ({ mode: state.mode === 'follow' ? 'freeFly' : 'follow' })),
+
+  // Move the follow cam to the next (step = 1) or previous (step = -1) participant
+  cycleTarget: (step) => set((state) => {
+    if (state.players.length === 0) return {};
+    const index = state.players.indexOf(state.targetId);
+    const next = (index + step + state.players.length) % state.players.length;
+    return { targetId: state.players[next], mode: 'follow' };
+  }),
+
+  setViewerCount: (roomId, count) => set((state) => ({
+    viewerCounts: { ...state.viewerCounts, [roomId]: count },
+  })),
+}));
+
+// Selector helper: whether the local player is watching a game instead of playing
+export const selectIsSpectatorCamera = (state) => !!state.roomId;
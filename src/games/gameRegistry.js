@@ -4,6 +4,9 @@
 // Import game logic hooks and configs
 import { useTagGameLogic } from './tag/useTagGameLogic';
 import { tagConfig } from './tag/config';
+import { freezeTagConfig } from './tag/freezeTagConfig';
+import { infectionConfig } from './tag/infectionConfig';
+import { hideAndSeekConfig } from './hideAndSeek/config';
 
 export const gameRegistry = {
   tag: {
@@ -12,6 +15,21 @@ export const gameRegistry = {
     useGameLogic: useTagGameLogic,
     config: tagConfig,
   },
+  freezeTag: {
+    name: 'Freeze Tag',
+    description: 'Tagged players freeze in place until a teammate thaws them!',
+    config: freezeTagConfig,
+  },
+  infection: {
+    name: 'Infection',
+    description: 'Everyone you tag joins the horde. Be the last survivor!',
+    config: infectionConfig,
+  },
+  hideAndSeek: {
+    name: 'Hide and Seek',
+    description: 'Hide before the seekers open their eyes!',
+    config: hideAndSeekConfig,
+  },
   race: {
     name: 'Race Builder',
     description: 'Create custom race tracks and compete for the best time!',
@@ -0,0 +1,116 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Text } from "@react-three/drei";
+import GameZoneSystem from "../../../components/game-systems/GameZoneSystem";
+import { useQueueStatus, describeQueueStatus } from "../../../components/game-systems/useQueueStatus";
+import { useHideAndSeekStore } from "../store";
+import { hideAndSeekConfig } from "../config";
+
+const GAME_TYPE = "hideAndSeek";
+const ROOM_ID = `${GAME_TYPE}-1`;
+const ZONE_HEIGHT = 10;
+
+// Join zone for the hide and seek queue
+const HideAndSeekZone = React.memo(function HideAndSeekZone() {
+  const { center, radius } = hideAndSeekConfig.zone;
+  const isGameActive = useHideAndSeekStore((s) => !!s.roomId);
+  const [countdown, setCountdown] = useState(null);
+  const queueStatus = useQueueStatus()[GAME_TYPE];
+  const countdownTimerRef = useRef(null);
+
+  // The server queues players with the same events GameElements3D sends for the other games
+  const handleEntered = useCallback(() => {
+    window.gameSocket?.emit("playerEnteredZone", { gameType: GAME_TYPE, roomId: ROOM_ID });
+  }, []);
+  const handleExited = useCallback(() => {
+    window.gameSocket?.emit("playerExitedZone", { gameType: GAME_TYPE, roomId: ROOM_ID });
+  }, []);
+
+  // Show the queue countdown above the zone
+  useEffect(() => {
+    const socket = window.gameSocket;
+    if (!socket) return;
+
+    const handleCountdown = (data) => {
+      if (data.gameType !== GAME_TYPE) return;
+      clearInterval(countdownTimerRef.current);
+
+      if (data.action === "cancelled") {
+        setCountdown(null);
+        return;
+      }
+
+      let remaining = Math.floor((data.duration || 5000) / 1000);
+      setCountdown(remaining);
+      countdownTimerRef.current = setInterval(() => {
+        remaining--;
+        if (remaining <= 0) {
+          clearInterval(countdownTimerRef.current);
+          setCountdown(null);
+        } else {
+          setCountdown(remaining);
+        }
+      }, 1000);
+    };
+
+    socket.on("gameJoinCountdown", handleCountdown);
+    return () => {
+      socket.off("gameJoinCountdown", handleCountdown);
+      clearInterval(countdownTimerRef.current);
+    };
+  }, []);
+
+  const textProps = {
+    anchorX: "center",
+    anchorY: "middle",
+    billboard: true,
+    renderOrder: 20,
+    depthTest: false,
+  };
+
+  return (
+    <GameZoneSystem
+      gameType={GAME_TYPE}
+      zonePosition={center}
+      zoneRadius={radius}
+      enableAutoEmit={false}
+      onPlayerEnteredZone={handleEntered}
+      onPlayerExitedZone={handleExited}
+      isGameActive={isGameActive}
+    >
+      {() => (
+        <>
+          {/* Drawn here at the full radius, like the GameElements3D zones */}
+          <mesh position={[center[0], center[1] + ZONE_HEIGHT / 2, center[2]]} renderOrder={1}>
+            <cylinderGeometry args={[radius, radius, ZONE_HEIGHT, 32]} />
+            <meshBasicMaterial
+              color={isGameActive ? "#CCCCCC" : "#00FF00"}
+              transparent
+              opacity={isGameActive ? 0.08 : 0.3}
+              depthWrite={false}
+            />
+          </mesh>
+          <Text position={[center[0], center[1] + 1.7, center[2]]} fontSize={isGameActive ? 0.5 : 0.6} color={isGameActive ? "#888888" : "#333333"} {...textProps}>
+            Hide and Seek {isGameActive ? "(IN PROGRESS)" : ""}
+          </Text>
+          <Text position={[center[0], center[1] + 1, center[2]]} fontSize={0.4} color="#444444" {...textProps}>
+            {isGameActive
+              ? "Step in to queue for the next game"
+              : `Requires ${hideAndSeekConfig.minPlayers} players minimum`}
+          </Text>
+          {queueStatus && (
+            <Text position={[center[0], center[1] + 2.2, center[2]]} fontSize={0.3} color="#222222" {...textProps}>
+              {describeQueueStatus(queueStatus)}
+            </Text>
+          )}
+          {countdown !== null && (
+            <Text position={[center[0], center[1] + 2.7, center[2]]} fontSize={1} color="#FFFFFF" {...textProps}>
+              {countdown}
+            </Text>
+          )}
+        </>
+      )}
+    </GameZoneSystem>
+  );
+});
+
+export default HideAndSeekZone;
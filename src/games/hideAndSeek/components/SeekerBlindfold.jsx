@@ -0,0 +1,39 @@
+import React, { useEffect, useState } from "react";
+import { useMultiplayer } from "../../../components/MultiplayerProvider";
+import { useHideAndSeekStore, selectIsBlindfolded } from "../store";
+
+// Blacks out the screen for seekers while the hiders hide
+export default function SeekerBlindfold() {
+  const { myId } = useMultiplayer();
+  const isBlindfolded = useHideAndSeekStore(selectIsBlindfolded(myId));
+  const seekStartsAt = useHideAndSeekStore((s) => s.seekStartsAt);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (!isBlindfolded || !seekStartsAt) return;
+
+    const update = () => setSecondsLeft(Math.max(0, Math.ceil((seekStartsAt - Date.now()) / 1000)));
+    update();
+    const interval = setInterval(update, 250);
+    return () => clearInterval(interval);
+  }, [isBlindfolded, seekStartsAt]);
+
+  if (!isBlindfolded) return null;
+
+  return (
+    <div style={{
+      position: "fixed", inset: 0, zIndex: 999,
+      backgroundColor: "#000000", color: "#FFFFFF",
+      display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center",
+      fontFamily: "sans-serif", textAlign: "center"
+    }}>
+      <div style={{ fontSize: "28px", fontWeight: "bold", marginBottom: "12px" }}>
+        You are seeking! No peeking...
+      </div>
+      <div style={{ fontSize: "72px", fontWeight: "bold" }}>{secondsLeft}</div>
+      <div style={{ fontSize: "16px", color: "#AAAAAA", marginTop: "12px" }}>
+        The hiders are finding a spot
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import { useEffect, useRef } from "react";
+import { useMultiplayer } from "../../../components/MultiplayerProvider";
+import { useHideAndSeekStore } from "../store";
+import { hideAndSeekConfig } from "../config";
+
+// Don't resend a find for the same hider while the server is answering
+const REQUEST_COOLDOWN_MS = 500;
+
+const distanceXZ = (a, b) => Math.hypot(a[0] - b[0], a[2] - b[2]);
+
+// Seekers find hiders by getting close to them once the seek phase starts
+export default function SeekerDetector() {
+  const { myId, players } = useMultiplayer();
+  const { roomId, phase, seekers, hiders } = useHideAndSeekStore();
+  const lastRequestRef = useRef({});
+
+  const isSeeking = !!roomId && phase === "seeking" && seekers.includes(myId);
+
+  // Position-based detection, like the race checkpoints
+  useEffect(() => {
+    if (!isSeeking) return;
+
+    const myPos = players[myId]?.position;
+    if (!myPos) return;
+
+    const now = Date.now();
+    hiders.forEach((hiderId) => {
+      const hiderPos = players[hiderId]?.position;
+      if (!hiderPos) return;
+
+      const distance = distanceXZ(myPos, hiderPos);
+      if (distance > hideAndSeekConfig.findDistance) return;
+      if (now - (lastRequestRef.current[hiderId] || 0) < REQUEST_COOLDOWN_MS) return;
+
+      lastRequestRef.current[hiderId] = now;
+      console.log(`[HideAndSeek] 👀 Found ${hiderId.substring(0, 6)} at ${distance.toFixed(2)}m`);
+      window.gameSocket?.emit("hideAndSeek:find", { roomId, targetId: hiderId });
+    });
+  }, [isSeeking, players, myId, roomId, hiders]);
+
+  return null;
+}
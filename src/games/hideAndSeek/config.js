@@ -0,0 +1,46 @@
+// src/games/hideAndSeek/config.js
+// Configuration for the Hide and Seek game
+
+const HIDING_DURATION = 20; // seconds
+const SEEK_DURATION = 120; // seconds
+
+export const hideAndSeekConfig = {
+  minPlayers: 2,
+  maxPlayers: 10,
+  hidingDuration: HIDING_DURATION, // Seekers are frozen and blindfolded while hiders hide
+  seekDuration: SEEK_DURATION,
+  roundDuration: HIDING_DURATION + SEEK_DURATION, // seconds, both phases
+
+  // Join zone, rendered with GameZoneSystem by HideAndSeekGame3D
+  // (not `joinZone`, so GameElements3D doesn't draw a second one)
+  zone: {
+    center: [7, -0.75, -8],
+    radius: 1.67,
+  },
+
+  // Spawn positions for all players (same location)
+  spawnPoints: [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ],
+
+  // Seek mechanics
+  seekerCount: 1, // Seekers picked at the start of the round
+  findDistance: 1.5, // How close a seeker needs to get to find a hider
+
+  // Game rules
+  // What happens to a hider once they're found:
+  //   'spectator' - they sit out the rest of the round
+  //   'seeker'    - they join the seekers
+  foundHiderRole: 'spectator',
+  // The round ends when every hider is found (seekers win) or when the timer runs out,
+  // in which case the hiders still hidden win
+};
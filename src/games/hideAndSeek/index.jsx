@@ -0,0 +1,25 @@
+import React from "react";
+import { HideAndSeekSocketListeners } from "./listeners";
+import HideAndSeekZone from "./components/HideAndSeekZone";
+import SeekerDetector from "./components/SeekerDetector";
+import SeekerBlindfold from "./components/SeekerBlindfold";
+
+// 3D/gameplay elements for use INSIDE <Canvas>
+export const HideAndSeekGame3D = React.memo(function HideAndSeekGame3D() {
+  return (
+    <>
+      <HideAndSeekZone />
+      <SeekerDetector />
+    </>
+  );
+});
+
+// UI/listener elements for use OUTSIDE <Canvas>
+export function HideAndSeekUI() {
+  return (
+    <>
+      <HideAndSeekSocketListeners />
+      <SeekerBlindfold />
+    </>
+  );
+}
@@ -0,0 +1,58 @@
+import { useEffect } from "react";
+import { useHideAndSeekStore } from "./store";
+import { getSocket } from "../../utils/socketManager";
+import { useMultiplayer } from "../../components/MultiplayerProvider";
+
+const GAME_TYPE = "hideAndSeek";
+
+export function HideAndSeekSocketListeners() {
+  const { myId } = useMultiplayer();
+  const setRound = useHideAndSeekStore((s) => s.setRound);
+  const reset = useHideAndSeekStore((s) => s.reset);
+
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket) return;
+    // Events sent to the player's own socket may arrive on window.gameSocket
+    const sockets = window.gameSocket && window.gameSocket !== socket ? [socket, window.gameSocket] : [socket];
+
+    // gameStart only reaches the players; the world room gets gameStateUpdate and hideAndSeek:state
+    const handleRoundState = (data) => {
+      if (data?.gameType !== GAME_TYPE) return;
+      if (data.state === "ended") {
+        reset();
+      } else if (data.seekers) {
+        setRound(data);
+        if (data.change?.type === "seeking") {
+          console.log("[HideAndSeek] 👀 Seekers released");
+        }
+      }
+    };
+
+    const handleGameEnded = (data) => {
+      if (data?.gameType !== GAME_TYPE) return;
+      console.log(`[HideAndSeek] 🏁 Round ${data.roomId} ended`);
+      reset();
+    };
+
+    sockets.forEach((s) => {
+      s.on("gameStart", handleRoundState);
+      s.on("gameStatus", handleRoundState);
+      s.on("gameStateUpdate", handleRoundState);
+      s.on("hideAndSeek:state", handleRoundState);
+      s.on("gameEnded", handleGameEnded);
+    });
+
+    return () => {
+      sockets.forEach((s) => {
+        s.off("gameStart", handleRoundState);
+        s.off("gameStatus", handleRoundState);
+        s.off("gameStateUpdate", handleRoundState);
+        s.off("hideAndSeek:state", handleRoundState);
+        s.off("gameEnded", handleGameEnded);
+      });
+    };
+  }, [myId, setRound, reset]);
+
+  return null;
+}
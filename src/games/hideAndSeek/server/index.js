@@ -0,0 +1,220 @@
+// src/games/hideAndSeek/server/index.js
+// Hide and Seek: seekers wait blindfolded while hiders hide, then find them by getting close.
+// Found hiders sit out or join the seekers, depending on hideAndSeekConfig.foundHiderRole.
+const { hideAndSeekConfig } = require('../config');
+const { checkTouchDistance, describeTouchDistance } = require('../../../server/touchDistance');
+
+const HIDE_AND_SEEK = 'hideAndSeek';
+
+function isHideAndSeek(game) {
+  return !!game && game.gameType === HIDE_AND_SEEK;
+}
+
+/**
+ * Returns the hiders nobody has found yet
+ * @param {Object} game - Hide and seek game object from activeGames
+ * @returns {string[]}
+ */
+function getHiders(game) {
+  return game.players.filter(playerId => !game.seekers.includes(playerId) && !game.found[playerId]);
+}
+
+// Found hiders who sit out the rest of the round
+function getSpectators(game) {
+  return game.players.filter(playerId => game.found[playerId] && !game.seekers.includes(playerId));
+}
+
+/**
+ * The round's state as sent to clients
+ * @param {Object} game - Hide and seek game object from activeGames
+ */
+function getHideAndSeekState(game) {
+  return {
+    roomId: game.roomId,
+    gameType: HIDE_AND_SEEK,
+    players: game.players,
+    phase: game.phase,
+    seekStartsAt: game.seekStartsAt,
+    endTime: game.endTime,
+    seekers: game.seekers.filter(playerId => game.players.includes(playerId)),
+    hiders: getHiders(game),
+    spectators: getSpectators(game),
+  };
+}
+
+/**
+ * Tell everyone in the world room about the round, so spectators follow along too
+ * @param {Object} io - Socket.IO server
+ * @param {Object} game - Hide and seek game object from activeGames
+ * @param {Object} [change] - What just happened: { type: 'seeking' } or { type: 'found', playerId, byId }
+ */
+function emitHideAndSeekState(io, game, change = null) {
+  io.to(game.worldRoomId || 'main-room').emit('hideAndSeek:state', { ...getHideAndSeekState(game), change });
+}
+
+/**
+ * Pick the seekers and start the hiding phase. The game's IT is always a seeker.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} game - Hide and seek game object from activeGames
+ * @param {number} now - Round start time (ms)
+ */
+function initHideAndSeek(io, game, now) {
+  const others = game.players.filter(playerId => playerId !== game.taggedPlayerId);
+  const extraSeekers = Math.min(hideAndSeekConfig.seekerCount - 1, others.length - 1);
+  const shuffled = [...others].sort(() => Math.random() - 0.5);
+
+  game.seekers = [game.taggedPlayerId, ...shuffled.slice(0, Math.max(0, extraSeekers))];
+  game.originalSeekers = [...game.seekers];
+  game.found = {}; // playerId -> time they were found (ms)
+  game.finds = {}; // playerId -> hiders they found
+  game.phase = 'hiding';
+  game.seekStartsAt = now + hideAndSeekConfig.hidingDuration * 1000;
+
+  setTimeout(() => {
+    if (game.state !== 'playing' || game.phase !== 'hiding') return;
+    game.phase = 'seeking';
+    console.log(`[SERVER] 👀 Seekers released in ${game.roomId}`);
+    emitHideAndSeekState(io, game, { type: 'seeking' });
+  }, hideAndSeekConfig.hidingDuration * 1000);
+}
+
+/**
+ * Keep the round playable after players leave: a new seeker is picked if every seeker left,
+ * and the round ends once nobody is left hiding.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} game - Hide and seek game object from activeGames
+ * @param {Function} endGame - Ends the round: endGame(io, roomId)
+ * @returns {boolean} Whether the round ended
+ */
+function refreshHideAndSeek(io, game, endGame) {
+  if (!isHideAndSeek(game) || game.state !== 'playing') return false;
+
+  if (!game.seekers.some(playerId => game.players.includes(playerId))) {
+    const hiders = getHiders(game);
+    if (hiders.length > 0) {
+      const seekerId = hiders[Math.floor(Math.random() * hiders.length)];
+      game.seekers.push(seekerId);
+      game.taggedPlayerId = seekerId;
+      console.log(`[SERVER] 👀 Every seeker left ${game.roomId}, ${seekerId.substring(0, 6)} is seeking now`);
+    }
+  }
+
+  if (getHiders(game).length === 0) {
+    endGame(io, game.roomId);
+    return true;
+  }
+
+  emitHideAndSeekState(io, game);
+  return false;
+}
+
+/**
+ * Build the ranked scoreboard for the end of a round.
+ * If every hider was found the starting seekers rank first (most finds first);
+ * otherwise the hiders still hidden share first place and the seekers rank last.
+ * Found hiders rank by how long they stayed hidden.
+ * @param {Object} game - Hide and seek game object from activeGames
+ * @param {number} now - Round end time (ms)
+ * @returns {Array<{playerId: string, rank: number, isIt: boolean, role: string, found: boolean, left: boolean, finds: number, secondsHidden: number}>}
+ */
+function buildHideAndSeekScoreboard(game, now) {
+  if (!game.seekers) return [];
+
+  const allPlayers = new Set([...game.originalSeekers, ...game.players, ...Object.keys(game.found)]);
+  const seekersWon = getHiders(game).length === 0;
+
+  const entries = [...allPlayers].map(playerId => {
+    const isSeeker = game.originalSeekers.includes(playerId);
+    const hiddenMs = isSeeker ? 0 : (game.found[playerId] || now) - game.seekStartsAt;
+    return {
+      playerId,
+      isIt: isSeeker,
+      role: isSeeker ? 'seeker' : 'hider',
+      found: !!game.found[playerId],
+      left: !game.players.includes(playerId),
+      finds: game.finds[playerId] || 0,
+      secondsHidden: Math.round(Math.max(0, hiddenMs) / 100) / 10,
+    };
+  });
+
+  const group = (entry) => {
+    if (seekersWon) return entry.isIt ? 0 : 1;
+    if (entry.isIt) return 2;
+    return entry.found ? 1 : 0;
+  };
+
+  entries.sort((a, b) => {
+    // Players who left the round always rank below those who stayed
+    if (a.left !== b.left) return a.left ? 1 : -1;
+    if (group(a) !== group(b)) return group(a) - group(b);
+    if (a.finds !== b.finds) return b.finds - a.finds;
+    return b.secondsHidden - a.secondsHidden;
+  });
+
+  // Hiders nobody found share the win
+  return entries.map((entry, index) => ({
+    ...entry,
+    rank: !seekersWon && !entry.isIt && !entry.found && !entry.left ? 1 : index + 1,
+  }));
+}
+
+/**
+ * Sets up the hide and seek socket handlers for a connection
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Connected client socket
+ * @param {Object} activeGames - All running games, keyed by game room ID
+ * @param {Object} players - Players per world room: { [worldRoomId]: { [playerId]: player } }
+ * @param {Object} options
+ * @param {Function} options.endGame - Ends the round: endGame(io, roomId)
+ */
+function setupHideAndSeekSocketHandlers(io, socket, activeGames, players, { endGame }) {
+  // A seeker finds a hider
+  socket.on('hideAndSeek:find', (data) => {
+    const { roomId, targetId } = data || {};
+    const game = activeGames[roomId];
+    if (!isHideAndSeek(game) || game.state !== 'playing' || !targetId) {
+      console.log(`[SERVER] ❌ Find failed: No hide and seek game running in ${roomId}`);
+      return;
+    }
+
+    if (game.phase !== 'seeking') {
+      console.log(`[SERVER] ⛔ Find rejected: seekers aren't released yet in ${roomId}`);
+      return;
+    }
+    if (!game.players.includes(socket.id) || !game.seekers.includes(socket.id)) {
+      console.log(`[SERVER] ⛔ Find rejected: ${socket.id.substring(0, 6)} is not a seeker`);
+      return;
+    }
+    if (!getHiders(game).includes(targetId)) return;
+
+    const check = checkTouchDistance(players[game.worldRoomId], socket.id, targetId, hideAndSeekConfig.findDistance);
+    if (!check.inRange) {
+      console.log(`[SERVER] ❌ Find distance check failed: ${describeTouchDistance(check, hideAndSeekConfig.findDistance)}`);
+      return;
+    }
+
+    game.found[targetId] = Date.now();
+    game.finds[socket.id] = (game.finds[socket.id] || 0) + 1;
+    if (hideAndSeekConfig.foundHiderRole === 'seeker') {
+      game.seekers.push(targetId);
+    }
+    console.log(`[SERVER] 👀 ${socket.id.substring(0, 6)} found ${targetId.substring(0, 6)} in ${roomId} (${getHiders(game).length} still hidden)`);
+
+    emitHideAndSeekState(io, game, { type: 'found', playerId: targetId, byId: socket.id });
+
+    if (getHiders(game).length === 0) {
+      console.log(`[SERVER] 👀 Every hider in ${roomId} was found`);
+      endGame(io, roomId);
+    }
+  });
+}
+
+module.exports = {
+  HIDE_AND_SEEK,
+  isHideAndSeek,
+  initHideAndSeek,
+  getHideAndSeekState,
+  refreshHideAndSeek,
+  buildHideAndSeekScoreboard,
+  setupHideAndSeekSocketHandlers,
+};
@@ -0,0 +1,41 @@
+import { create } from 'zustand';
+
+// Hide and seek round state, filled from gameStart / hideAndSeek:state for any round
+// in the world room so players outside the round see it too
+const initialState = {
+  roomId: null,
+  players: [],
+  phase: null, // 'hiding' or 'seeking'
+  seekStartsAt: null,
+  endTime: null,
+  seekers: [],
+  hiders: [], // Hiders nobody has found yet
+  spectators: [], // Found hiders sitting out the rest of the round
+};
+
+export const useHideAndSeekStore = create((set) => ({
+  ...initialState,
+  setRound: ({ roomId, players, phase, seekStartsAt, endTime, seekers, hiders, spectators }) => set({
+    roomId,
+    players: players || [],
+    phase: phase || 'hiding',
+    seekStartsAt: seekStartsAt || null,
+    endTime: endTime || null,
+    seekers: seekers || [],
+    hiders: hiders || [],
+    spectators: spectators || [],
+  }),
+  reset: () => set(initialState),
+}));
+
+// Selector helper: seekers can't move or see while the hiders hide
+export const selectIsBlindfolded = (playerId) => (state) =>
+  !!playerId && state.phase === 'hiding' && state.seekers.includes(playerId);
+
+// Selector helper: whether `viewerId` is a seeker who shouldn't see `playerId`'s overlays
+export const selectIsHiddenFrom = (viewerId, playerId) => (state) =>
+  !!viewerId && state.seekers.includes(viewerId) && state.hiders.includes(playerId);
+
+// Selector helper: whether a found hider is sitting out the round
+export const selectIsSpectating = (playerId) => (state) =>
+  !!playerId && state.spectators.includes(playerId);
@@ -22,8 +22,8 @@ const RaceManager = React.memo(function RaceManager({ roomId = "race-1" }) {
     startLine,
     timeStart,
     finishRace,
-    checkpoints,
-    currentCheckpointIndex,
+    laps,
+    lapsCompleted,
     roomId: storeRoomId,
     setRoomId
   } = useRaceStore();
@@ -84,6 +84,11 @@ const RaceManager = React.memo(function RaceManager({ roomId = "race-1" }) {
 
   const raceFinished = useRef(false);
 
+  // Allow the next race to finish again
+  useEffect(() => {
+    if (isRaceRunning) raceFinished.current = false;
+  }, [isRaceRunning]);
+
   useFrame(() => {
     if (!isRaceRunning || !isJoined || !startLine || !timeStart) return;
 
@@ -91,10 +96,10 @@ const RaceManager = React.memo(function RaceManager({ roomId = "race-1" }) {
     const now = Date.now();
     const timeElapsed = now - timeStart;
 
-    // Complete race when all checkpoints passed
+    // Complete race when every lap is done
     if (
       !raceFinished.current &&
-      currentCheckpointIndex >= checkpoints.length
+      lapsCompleted >= laps
     ) {
       raceFinished.current = true; // prevent repeat
       finishRace(); // will emit to server
@@ -1,5 +1,149 @@
 import React, { useState, useEffect } from "react";
 import { useRaceStore } from "./store";
+import { useMultiplayer } from "../../components/MultiplayerProvider";
+
+const formatRaceTime = (ms) => `${(ms / 1000).toFixed(2)}s`;
+
+const ordinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = n % 100;
+  return `${n}${lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[n % 10] || 'th')}`;
+};
+
+const formatDelta = (ms) => `${ms < 0 ? '-' : '+'}${(Math.abs(ms) / 1000).toFixed(2)}s`;
+
+// How long the split banner stays up after each checkpoint
+const SPLIT_BANNER_MS = 3000;
+
+// Green when ahead, red when behind
+const deltaColor = (ms) => (ms <= 0 ? '#2ecc71' : '#e74c3c');
+
+// Split at the last checkpoint compared to our personal best and the race leader
+function SplitBanner({ lastSplit }) {
+  const hasPB = lastSplit.pbDelta !== null;
+  const hasLeader = lastSplit.isLeader || lastSplit.leaderDelta !== null;
+  if (!hasPB && !hasLeader) return null;
+
+  return (
+    <div style={{
+      marginTop: 8,
+      padding: '4px 12px',
+      borderRadius: 6,
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      fontSize: 18,
+      textAlign: 'center'
+    }}>
+      {hasPB && (
+        <div style={{ color: deltaColor(lastSplit.pbDelta) }}>
+          {formatDelta(lastSplit.pbDelta)} vs PB
+        </div>
+      )}
+      {lastSplit.isLeader ? (
+        <div style={{ color: '#f1c40f' }}>Leading</div>
+      ) : hasLeader && (
+        <div style={{ color: deltaColor(lastSplit.leaderDelta) }}>
+          {formatDelta(lastSplit.leaderDelta)} vs leader
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Personal best result for the race we just finished
+function PersonalBestLine({ lastTime }) {
+  if (!lastTime) return null;
+
+  if (lastTime.isNewPB) {
+    return (
+      <div style={{ color: '#f1c40f', fontWeight: 'bold' }}>
+        🎉 New PB!{lastTime.delta !== null && ` ${formatDelta(lastTime.delta)}`}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ color: '#e74c3c' }}>
+      {formatDelta(lastTime.delta)} vs PB ({formatRaceTime(lastTime.previousBest)})
+    </div>
+  );
+}
+
+// Split time for each lap of a circuit race
+function LapSplits({ lapTimes, style }) {
+  if (!lapTimes || lapTimes.length === 0) return null;
+
+  return (
+    <div style={style}>
+      {lapTimes.map((lapTime, index) => (
+        <span key={index} style={{ marginRight: 10 }}>
+          L{index + 1} {formatRaceTime(lapTime)}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Live race positions while racing
+function LiveStandings({ standings, myId }) {
+  if (!standings || standings.length < 2) return null;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 80,
+      right: 20,
+      minWidth: 140,
+      padding: '8px 12px',
+      borderRadius: 6,
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      color: 'white',
+      fontSize: 16
+    }}>
+      {standings.map((entry) => (
+        <div
+          key={entry.playerId}
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: 12,
+            fontWeight: entry.playerId === myId ? 'bold' : 'normal',
+            color: entry.playerId === myId ? '#2ecc71' : 'white'
+          }}
+        >
+          <span>{ordinal(entry.position)}</span>
+          <span>{entry.playerId === myId ? 'You' : entry.playerId.substring(0, 6)}{entry.finished ? ' 🏁' : ''}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Fastest times ever on this track
+function LeaderboardList({ leaderboard }) {
+  if (!leaderboard || !leaderboard.top || leaderboard.top.length === 0) return null;
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ fontSize: 18, fontWeight: 'bold', marginBottom: 6 }}>📋 Track Leaderboard</div>
+      {leaderboard.top.map((entry, index) => (
+        <div
+          key={`${entry.playerId}-${entry.achievedAt}`}
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: 24,
+            padding: '2px 8px',
+            fontWeight: entry.isMine ? 'bold' : 'normal',
+            color: entry.isMine ? '#2ecc71' : 'white'
+          }}
+        >
+          <span>{index + 1}. {entry.isMine ? 'You' : entry.playerId.substring(0, 6)}</span>
+          <span>{formatRaceTime(entry.timeElapsed)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
 
 export default function RaceOverlay() {
   const { 
@@ -8,8 +152,21 @@ export default function RaceOverlay() {
     isJoined,
     isCountdownActive,
     countdownStartTime,
-    countdownDuration
+    countdownDuration,
+    mode,
+    laps,
+    lapsCompleted,
+    lapStartTime,
+    lapTimes,
+    lastSplit,
+    standings,
+    myPosition,
+    finishInfo,
+    raceResults,
+    leaderboard,
+    clearRaceResults
   } = useRaceStore();
+  const { myId } = useMultiplayer() || {};
   
   const [now, setNow] = useState(Date.now());
   const [countdownValue, setCountdownValue] = useState(3);
@@ -71,7 +228,23 @@ export default function RaceOverlay() {
             textShadow: '2px 2px 4px rgba(0,0,0,0.7)' 
           }}>
             ⏱️ {seconds}s
+            {myPosition && standings.length > 1 && (
+              <div style={{ fontSize: 20, textAlign: 'center' }}>
+                {ordinal(myPosition)} / {standings.length}
+              </div>
+            )}
+            {mode === 'circuit' && (
+              <div style={{ fontSize: 18, textAlign: 'center' }}>
+                🔁 Lap {Math.min(lapsCompleted + 1, laps)}/{laps}
+                {lapStartTime && lapsCompleted < laps && ` - ${formatRaceTime(now - lapStartTime)}`}
+                <LapSplits lapTimes={lapTimes} style={{ fontSize: 14, fontWeight: 'normal' }} />
+              </div>
+            )}
+            {lastSplit && now - lastSplit.receivedAt < SPLIT_BANNER_MS && (
+              <SplitBanner lastSplit={lastSplit} />
+            )}
           </div>
+          <LiveStandings standings={standings} myId={myId} />
         </div>
       </div>
     );
@@ -139,6 +312,104 @@ export default function RaceOverlay() {
     );
   }
   
+  // Final standings once the server ends the race
+  if (raceResults && raceResults.standings) {
+    return (
+      <div style={resultsPanelStyle}>
+        <div style={{ fontSize: 22, fontWeight: 'bold', marginBottom: 12 }}>
+          🏆 Race Results
+        </div>
+        {raceResults.mode === 'circuit' && (
+          <div style={{ marginBottom: 8, color: '#bdc3c7' }}>{raceResults.laps} lap circuit</div>
+        )}
+        {raceResults.standings.map((entry) => (
+          <div
+            key={entry.playerId}
+            style={{
+              padding: '4px 8px',
+              borderRadius: 4,
+              backgroundColor: entry.playerId === myId ? 'rgba(46, 204, 113, 0.35)' : 'transparent'
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: 24 }}>
+              <span>{ordinal(entry.position)} {entry.playerId === myId ? 'You' : entry.playerId.substring(0, 6)}</span>
+              <span>
+                {entry.finished
+                  ? formatRaceTime(entry.timeElapsed)
+                  : `DNF (${entry.checkpointsPassed}/${raceResults.checkpointCount})`}
+              </span>
+            </div>
+            {raceResults.mode === 'circuit' && (
+              <LapSplits lapTimes={entry.lapTimes} style={{ fontSize: 12, color: '#bdc3c7', textAlign: 'right' }} />
+            )}
+          </div>
+        ))}
+        <div style={{ marginTop: 12 }}>
+          <PersonalBestLine lastTime={leaderboard?.lastTime} />
+        </div>
+        <LeaderboardList leaderboard={leaderboard} />
+        <button
+          onClick={(e) => {
+            clearRaceResults();
+            e.currentTarget.blur(); // Remove focus
+          }}
+          style={{
+            marginTop: 16,
+            padding: '8px 16px',
+            backgroundColor: '#3498db',
+            color: 'white',
+            border: 'none',
+            borderRadius: 5,
+            cursor: 'pointer',
+            fontWeight: 'bold'
+          }}
+        >
+          Close
+        </button>
+      </div>
+    );
+  }
+  
+  // Our finish is confirmed but others are still racing
+  if (finishInfo) {
+    return (
+      <div style={{ 
+        position: 'fixed', 
+        top: 20, 
+        left: '50%', 
+        transform: 'translateX(-50%)', 
+        fontSize: 24, 
+        fontWeight: 'bold', 
+        color: 'white', 
+        textAlign: 'center',
+        textShadow: '2px 2px 4px rgba(0,0,0,0.7)',
+        zIndex: 16569306,
+        pointerEvents: 'none'
+      }}>
+        🏁 {ordinal(finishInfo.position)} place - {formatRaceTime(finishInfo.timeElapsed)}
+        <div style={{ fontSize: 18 }}>
+          <PersonalBestLine lastTime={leaderboard?.lastTime} />
+        </div>
+        <div style={{ fontSize: 16, fontWeight: 'normal' }}>Waiting for other racers...</div>
+      </div>
+    );
+  }
+  
   // Nothing to show
   return null;
 }
+
+const resultsPanelStyle = {
+  position: 'fixed',
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  minWidth: 280,
+  padding: 20,
+  backgroundColor: 'rgba(0, 0, 0, 0.8)',
+  color: 'white',
+  borderRadius: 10,
+  fontSize: 16,
+  textAlign: 'center',
+  zIndex: 16569306
+};
@@ -1,12 +1,13 @@
 import { useRaceStore } from "../store";
 import { useMultiplayer } from "../../../components/MultiplayerProvider";
-import React, { useRef, useState, useEffect } from "react";
+import React, { useRef, useEffect } from "react";
 
 // Using React.memo to prevent unnecessary re-renders
 const Checkpoint = React.memo(function Checkpoint({ position, index, radius = 2 }) {
   const { isRaceRunning, currentCheckpointIndex, passCheckpoint, checkpoints } = useRaceStore();
   const { players, myId } = useMultiplayer();
-  const [active, setActive] = useState(true);
+  // Passed checkpoints are hidden; if the server rejects a pass the index moves back and it reappears
+  const active = !isRaceRunning || index >= currentCheckpointIndex;
   const ref = useRef();
   
   // Log when a checkpoint becomes the current one
@@ -49,8 +50,7 @@ const Checkpoint = React.memo(function Checkpoint({ position, index, radius = 2
       
       // Use the checkpoint ID if available, otherwise use the index
       const checkpointId = checkpoints[index]?.id || index;
-      passCheckpoint(checkpointId);
-      setActive(false); // hide checkpoint
+      passCheckpoint(checkpointId); // advancing the index hides this checkpoint
     }
   }, [active, isRaceRunning, currentCheckpointIndex, index, players, myId, position, radius, passCheckpoint, checkpoints]);
 
@@ -105,7 +105,7 @@ export const CheckpointField = React.memo(function CheckpointField() {
             key={checkpoint.id || `checkpoint-${index}`} 
             position={position} 
             index={index} 
-            radius={2} // Larger radius for easier detection
+            radius={checkpoint.radius || 2} // Set per checkpoint in the builder
           />
         );
       })}
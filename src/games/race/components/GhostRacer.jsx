@@ -0,0 +1,65 @@
+import React, { useRef, useState } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useRaceStore } from "../store";
+import { Character } from "../../../components/Character";
+import { lerpAngle } from "../../../utils/angles";
+
+const GHOST_COLOR = "#9be7ff";
+const GHOST_OPACITY = 0.35;
+
+// Replays the local player's personal best run, in sync with the race clock
+export default function GhostRacer() {
+  const ghost = useRaceStore((s) => s.ghost);
+  const isRaceRunning = useRaceStore((s) => s.isRaceRunning);
+  const timeStart = useRaceStore((s) => s.timeStart);
+  const groupRef = useRef();
+  const sampleIndex = useRef(0);
+  const [animation, setAnimation] = useState("idle");
+
+  useFrame(() => {
+    const group = groupRef.current;
+    const samples = ghost?.samples;
+    if (!group || !samples || samples.length === 0 || !timeStart) return;
+
+    const t = Date.now() - timeStart;
+
+    // The ghost has finished its run
+    if (t > samples[samples.length - 1].t) {
+      group.visible = false;
+      return;
+    }
+    group.visible = true;
+
+    // Move forward to the pair of samples around the current time
+    if (sampleIndex.current >= samples.length || samples[sampleIndex.current].t > t) {
+      sampleIndex.current = 0;
+    }
+    while (sampleIndex.current < samples.length - 1 && samples[sampleIndex.current + 1].t <= t) {
+      sampleIndex.current++;
+    }
+
+    const from = samples[sampleIndex.current];
+    const to = samples[Math.min(sampleIndex.current + 1, samples.length - 1)];
+    const span = to.t - from.t;
+    const alpha = span > 0 ? Math.min(Math.max((t - from.t) / span, 0), 1) : 0;
+
+    group.position.set(
+      from.position[0] + (to.position[0] - from.position[0]) * alpha,
+      from.position[1] + (to.position[1] - from.position[1]) * alpha,
+      from.position[2] + (to.position[2] - from.position[2]) * alpha
+    );
+    group.rotation.y = lerpAngle(from.rotation || 0, to.rotation || 0, alpha);
+
+    if (from.animation && from.animation !== animation) {
+      setAnimation(from.animation);
+    }
+  });
+
+  if (!isRaceRunning || !ghost?.samples?.length) return null;
+
+  return (
+    <group ref={groupRef} visible={false}>
+      <Character color={GHOST_COLOR} animation={animation} opacity={GHOST_OPACITY} />
+    </group>
+  );
+}
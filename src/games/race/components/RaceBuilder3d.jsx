@@ -1,79 +1,153 @@
-import React, { useEffect, useState } from "react";
-import { useRaceBuilderStore } from "../raceBuilderStore";
+import React, { useEffect, useRef, useCallback } from "react";
+import { TransformControls, CatmullRomLine } from "@react-three/drei";
+import { useRaceBuilderStore, DEFAULT_CHECKPOINT_RADIUS } from "../raceBuilderStore";
 import { useRaceStore } from "../store";
 
+// Function to get position from a checkpoint (handles both formats)
+const getCheckpointPosition = (checkpoint) => {
+  // If checkpoint is an array, it's already a position
+  if (Array.isArray(checkpoint)) {
+    return checkpoint;
+  }
+  // If checkpoint is an object with position property, use that
+  if (checkpoint && checkpoint.position) {
+    return checkpoint.position;
+  }
+  // Fallback
+  return [0, 0, 0];
+};
+
+function CheckpointMarker({ color, radius, onClick }) {
+  return (
+    <>
+      {/* Checkpoint sphere, sized to its detection radius */}
+      <mesh onClick={onClick}>
+        <sphereGeometry args={[radius, 16, 16]} />
+        <meshStandardMaterial color={color} opacity={0.3} transparent depthWrite={false} />
+      </mesh>
+
+      {/* Vertical pole for better visibility */}
+      <mesh position={[0, 2, 0]} onClick={onClick}>
+        <cylinderGeometry args={[0.1, 0.1, 4, 8]} />
+        <meshStandardMaterial color={color} />
+      </mesh>
+
+      {/* Checkpoint number */}
+      <mesh position={[0, 0.5, 0]}>
+        <sphereGeometry args={[0.3, 16, 16]} />
+        <meshStandardMaterial color="white" />
+      </mesh>
+    </>
+  );
+}
+
 // Using React.memo to prevent unnecessary re-renders
 const RaceBuilder3D = React.memo(function RaceBuilder3D() {
   // Get data from both stores - builder for editing, race store for active race
-  const { startLine: builderStartLine, checkpoints: builderCheckpoints } = useRaceBuilderStore();
-  const { 
-    startLine: raceStartLine, 
+  const {
+    startLine: builderStartLine,
+    startRotation: builderStartRotation,
+    checkpoints: builderCheckpoints,
+    selectedIndex,
+    mode: builderMode,
+    selectCheckpoint,
+    moveCheckpoint
+  } = useRaceBuilderStore();
+  const {
+    startLine: raceStartLine,
+    startRotation: raceStartRotation,
     checkpoints: raceCheckpoints,
+    mode: raceMode,
     isJoined,
     roomId
   } = useRaceStore();
-  
+  const controlsRef = useRef();
+
   // Use race data when joined, otherwise use builder data
   const startLine = isJoined ? raceStartLine : builderStartLine;
+  const startRotation = (isJoined ? raceStartRotation : builderStartRotation) || 0;
   const checkpoints = isJoined ? raceCheckpoints : builderCheckpoints;
-  
-  // Function to get position from a checkpoint (handles both formats)
-  const getCheckpointPosition = (checkpoint) => {
-    // If checkpoint is an array, it's already a position
-    if (Array.isArray(checkpoint)) {
-      return checkpoint;
-    }
-    // If checkpoint is an object with position property, use that
-    if (checkpoint && checkpoint.position) {
-      return checkpoint.position;
-    }
-    // Fallback
-    return [0, 0, 0];
-  };
-  
+  const mode = isJoined ? raceMode : builderMode;
+  const isEditing = !isJoined;
+
   // Debug logging
   useEffect(() => {
-    console.log('🏁 RaceBuilder3D rendering:', { 
-      startLine, 
+    console.log('🏁 RaceBuilder3D rendering:', {
+      startLine,
       checkpoints: Array.isArray(checkpoints) ? checkpoints.length : 0,
       isJoined,
       roomId
     });
   }, [startLine, checkpoints, isJoined, roomId]);
 
+  // Save the new position once the builder lets go of the gizmo
+  const handleDragEnd = useCallback(() => {
+    const object = controlsRef.current?.object;
+    if (!object || selectedIndex === null) return;
+    moveCheckpoint(selectedIndex, [object.position.x, object.position.y, object.position.z]);
+  }, [selectedIndex, moveCheckpoint]);
+
+  // Route preview: start line, every checkpoint, and back to the start on circuits
+  const routePoints = [
+    ...(startLine ? [startLine] : []),
+    ...(checkpoints || []).map(getCheckpointPosition)
+  ];
+  const isClosedRoute = mode === 'circuit' && !!startLine && routePoints.length > 2;
+
   return (
     <>
       {startLine && (
-        <mesh position={startLine}>
+        <mesh position={startLine} rotation-y={startRotation}>
           <boxGeometry args={[2, 0.2, 1]} />
           <meshStandardMaterial color="green" opacity={0.7} transparent />
         </mesh>
       )}
-      {checkpoints && checkpoints.map((checkpoint, idx) => (
-        <group key={idx} position={getCheckpointPosition(checkpoint)}>
-          {/* Checkpoint sphere */}
-          <mesh>
-            <sphereGeometry args={[0.8, 16, 16]} />
-            <meshStandardMaterial 
-              color={idx === checkpoints.length - 1 ? "#e74c3c" : "#3498db"} 
-              opacity={0.5} 
-              transparent 
-            />
-          </mesh>
-          
-          {/* Vertical pole for better visibility */}
-          <mesh position={[0, 2, 0]}>
-            <cylinderGeometry args={[0.1, 0.1, 4, 8]} />
-            <meshStandardMaterial color={idx === checkpoints.length - 1 ? "#e74c3c" : "#3498db"} />
-          </mesh>
-          
-          {/* Checkpoint number */}
-          <mesh position={[0, 0.5, 0]}>
-            <sphereGeometry args={[0.3, 16, 16]} />
-            <meshStandardMaterial color="white" />
-          </mesh>
-        </group>
-      ))}
+      {checkpoints && checkpoints.map((checkpoint, idx) => {
+        const position = getCheckpointPosition(checkpoint);
+        const radius = (checkpoint && checkpoint.radius) || DEFAULT_CHECKPOINT_RADIUS;
+        const isSelected = isEditing && idx === selectedIndex;
+        const color = isSelected ? "#f1c40f" : (idx === checkpoints.length - 1 ? "#e74c3c" : "#3498db");
+        const handleClick = isEditing
+          ? (event) => {
+              event.stopPropagation();
+              selectCheckpoint(isSelected ? null : idx);
+            }
+          : undefined;
+
+        if (isSelected) {
+          return (
+            <TransformControls
+              key={`selected-${idx}`}
+              ref={controlsRef}
+              position={position}
+              mode="translate"
+              size={0.8}
+              onMouseUp={handleDragEnd}
+            >
+              <CheckpointMarker color={color} radius={radius} onClick={handleClick} />
+            </TransformControls>
+          );
+        }
+
+        return (
+          <group key={idx} position={position}>
+            <CheckpointMarker color={color} radius={radius} onClick={handleClick} />
+          </group>
+        );
+      })}
+      {routePoints.length > 1 && (
+        <CatmullRomLine
+          points={routePoints}
+          closed={isClosedRoute}
+          curveType="centripetal"
+          segments={Math.max(20, routePoints.length * 16)}
+          color="#f1c40f"
+          lineWidth={3}
+          dashed
+          dashSize={0.5}
+          gapSize={0.3}
+        />
+      )}
     </>
   );
 });
@@ -1,11 +1,29 @@
 import React, { useState, useEffect } from "react";
-import { useRaceBuilderStore } from "../raceBuilderStore";
+import { useRaceBuilderStore, MIN_CHECKPOINT_RADIUS, MAX_CHECKPOINT_RADIUS } from "../raceBuilderStore";
 import { useMultiplayer } from "../../../components/MultiplayerProvider";
 
 export default function RaceBuilderUI() {
-  const { startLine, checkpoints, setStartLine, addCheckpoint, undoCheckpoint, reset } = useRaceBuilderStore();
+  const {
+    startLine, startRotation, checkpoints, selectedIndex, mode, laps,
+    setMode, setLaps, setStartLine, rotateStartLine, addCheckpoint, undoCheckpoint,
+    selectCheckpoint, insertCheckpointAfter, deleteCheckpoint, setCheckpointRadius, reset
+  } = useRaceBuilderStore();
   const { myId, players } = useMultiplayer();
   const [currentPosition, setCurrentPosition] = useState([0, 0, 0]);
+  const [savedTracks, setSavedTracks] = useState([]);
+  
+  // Fetch the saved track library from the server
+  useEffect(() => {
+    if (!window.gameSocket) return;
+    
+    const handleTracks = (tracks) => setSavedTracks(tracks || []);
+    window.gameSocket.on('race:tracks', handleTracks);
+    window.gameSocket.emit('race:listTracks');
+    
+    return () => {
+      window.gameSocket.off('race:tracks', handleTracks);
+    };
+  }, []);
   
   // Update current position from players object
   useEffect(() => {
@@ -14,6 +32,8 @@ export default function RaceBuilderUI() {
     }
   }, [players, myId]);
 
+  const selectedCheckpoint = selectedIndex !== null ? checkpoints[selectedIndex] : null;
+
   const handleAddStart = () => setStartLine([...currentPosition]);
   const handleAddCheckpoint = () => addCheckpoint([...currentPosition]);
   const handleUndo = () => undoCheckpoint();
@@ -22,7 +42,10 @@ export default function RaceBuilderUI() {
     const raceData = {
       roomId: `race_${Date.now()}`,
       startLine,
-      checkpoints
+      startRotation,
+      checkpoints,
+      mode,
+      laps: mode === 'circuit' ? laps : 1
     };
     console.log('🏁 Sending race build data:', raceData);
     window.gameSocket.emit("race:build", raceData);
@@ -32,6 +55,11 @@ export default function RaceBuilderUI() {
     reset(); // Reset builder state
   };
 
+  const handleLoadTrack = (trackId) => {
+    console.log('🏁 Loading saved track:', trackId);
+    window.gameSocket.emit("race:loadTrack", { trackId });
+  };
+
   return (
     <div style={{ position: 'fixed', top: 80, left: 20, zIndex: 1000, display: 'flex', flexDirection: 'column', gap: '8px' }}>
       <button 
@@ -45,6 +73,13 @@ export default function RaceBuilderUI() {
       >
         📍 {startLine ? 'Starting Line Added' : 'Add Starting Line'}
       </button>
+      {startLine && (
+        <div style={rowStyle}>
+          <span style={{ flex: 1 }}>Start line</span>
+          <button onClick={() => rotateStartLine(-Math.PI / 12)} style={smallButtonStyle}>⟲</button>
+          <button onClick={() => rotateStartLine(Math.PI / 12)} style={smallButtonStyle}>⟳</button>
+        </div>
+      )}
       <button 
         onClick={handleAddCheckpoint}
         style={buttonStyle}
@@ -57,12 +92,92 @@ export default function RaceBuilderUI() {
       >
         ↩️ Undo
       </button>
+      {selectedCheckpoint && (
+        <div style={{ ...rowStyle, flexDirection: 'column', alignItems: 'stretch' }}>
+          <div style={{ fontWeight: 'bold' }}>
+            Checkpoint {selectedIndex + 1} of {checkpoints.length}
+          </div>
+          <div style={{ fontSize: '11px', opacity: 0.8 }}>Drag the arrows to move it</div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            Radius
+            <input
+              type="range"
+              min={MIN_CHECKPOINT_RADIUS}
+              max={MAX_CHECKPOINT_RADIUS}
+              step={0.5}
+              value={selectedCheckpoint.radius}
+              onChange={(e) => setCheckpointRadius(selectedIndex, parseFloat(e.target.value))}
+              style={{ flex: 1 }}
+            />
+            {selectedCheckpoint.radius}
+          </label>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <button
+              onClick={() => insertCheckpointAfter(selectedIndex)}
+              disabled={selectedIndex >= checkpoints.length - 1}
+              style={{ ...smallButtonStyle, flex: 1, opacity: selectedIndex >= checkpoints.length - 1 ? 0.5 : 1 }}
+            >
+              ➕ Insert after
+            </button>
+            <button
+              onClick={() => deleteCheckpoint(selectedIndex)}
+              style={{ ...smallButtonStyle, flex: 1, backgroundColor: '#e74c3c' }}
+            >
+              🗑️ Delete
+            </button>
+          </div>
+          <button onClick={() => selectCheckpoint(null)} style={smallButtonStyle}>
+            Done editing
+          </button>
+        </div>
+      )}
+      <div style={rowStyle}>
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          style={{ flex: 1, padding: '4px' }}
+        >
+          <option value="sprint">Sprint</option>
+          <option value="circuit">Circuit</option>
+        </select>
+        {mode === 'circuit' && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            Laps
+            <input
+              type="number"
+              min={1}
+              max={20}
+              value={laps}
+              onChange={(e) => setLaps(Math.max(1, parseInt(e.target.value, 10) || 1))}
+              style={{ width: '44px', padding: '4px' }}
+            />
+          </label>
+        )}
+      </div>
       <button 
         onClick={handleDone}
         style={{...buttonStyle, backgroundColor: '#2ecc71'}}
       >
         ✅ Save Race
       </button>
+      
+      {savedTracks.length > 0 && (
+        <div style={trackListStyle}>
+          <div style={{ fontWeight: 'bold', marginBottom: 4 }}>📂 Saved Tracks</div>
+          {savedTracks.map(track => (
+            <button
+              key={track.id}
+              onClick={(e) => {
+                handleLoadTrack(track.id);
+                e.currentTarget.blur(); // Remove focus
+              }}
+              style={{ ...buttonStyle, backgroundColor: '#8e44ad', fontSize: '12px', padding: '6px 10px' }}
+            >
+              {track.name} ({track.checkpointCount} checkpoints{track.mode === 'circuit' ? `, ${track.laps} laps` : ''})
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -78,3 +193,40 @@ const buttonStyle = {
   fontSize: '14px',
   width: '180px'
 };
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '6px 8px',
+  backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  color: 'white',
+  borderRadius: '5px',
+  fontSize: '13px',
+  width: '164px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 8px',
+  backgroundColor: '#3498db',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '12px'
+};
+
+const trackListStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '4px',
+  maxHeight: '200px',
+  overflowY: 'auto',
+  padding: '8px',
+  backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  color: 'white',
+  borderRadius: '5px',
+  fontSize: '13px',
+  width: '180px'
+};
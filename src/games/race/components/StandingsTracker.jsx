@@ -0,0 +1,24 @@
+import React, { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useRaceStore } from "../store";
+import { useMultiplayer } from "../../../components/MultiplayerProvider";
+
+// Recomputes live race positions every frame from everyone's progress and position
+const StandingsTracker = React.memo(function StandingsTracker() {
+  const { players, myId } = useMultiplayer();
+  const isRaceRunning = useRaceStore((s) => s.isRaceRunning);
+  const racerCount = useRaceStore((s) => s.racerIds.length);
+
+  // Keep the latest positions without re-creating the frame callback
+  const playersRef = useRef(players);
+  playersRef.current = players;
+
+  useFrame(() => {
+    if (!isRaceRunning || racerCount === 0 || !myId) return;
+    useRaceStore.getState().updateStandings(playersRef.current, myId);
+  });
+
+  return null;
+});
+
+export default StandingsTracker;
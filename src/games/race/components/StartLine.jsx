@@ -1,15 +1,38 @@
-import React from "react";
-import { useRaceStore } from "../store";
+import React, { useEffect } from "react";
+import { useRaceStore, START_FINISH_ID } from "../store";
+import { useMultiplayer } from "../../../components/MultiplayerProvider";
+
+// How close (horizontally) the player must get to the line to complete a circuit lap
+const START_FINISH_RADIUS = 3;
 
 export default function StartLine() {
-  const { startLine } = useRaceStore();
+  const { startLine, startRotation, mode, isRaceRunning, currentCheckpointIndex, checkpoints, passCheckpoint } = useRaceStore();
+  const { players, myId } = useMultiplayer();
+
+  // On circuits the line is the last target of every lap
+  const isLapTarget = mode === "circuit" && isRaceRunning && currentCheckpointIndex === checkpoints.length;
+
+  // Position-based detection, like the checkpoints
+  useEffect(() => {
+    if (!isLapTarget || !startLine) return;
+
+    const playerPos = players[myId]?.position;
+    if (!playerPos) return;
+
+    const dx = playerPos[0] - startLine[0];
+    const dz = playerPos[2] - startLine[2];
+    if (dx * dx + dz * dz <= START_FINISH_RADIUS * START_FINISH_RADIUS) {
+      console.log('[StartLine] ✅ Crossed the start/finish line');
+      passCheckpoint(START_FINISH_ID);
+    }
+  }, [isLapTarget, startLine, players, myId, passCheckpoint]);
 
   if (!startLine) return null;
 
   return (
-    <mesh position={startLine}>
+    <mesh position={startLine} rotation-y={startRotation || 0}>
       <boxGeometry args={[2, 0.2, 1]} />
-      <meshStandardMaterial color="green" />
+      <meshStandardMaterial color={isLapTarget ? "orange" : "green"} />
     </mesh>
   );
 }
@@ -7,6 +7,8 @@ import StartLine from "./components/StartLine";
 import JoinArea from "./components/JoinArea";
 import RaceBuilderUI from "./components/RaceBuilderUI";
 import RaceBuilder3D from "./components/RaceBuilder3d";
+import GhostRacer from "./components/GhostRacer";
+import StandingsTracker from "./components/StandingsTracker";
 
 // 3D/gameplay elements for use INSIDE <Canvas>
 // Using React.memo to prevent unnecessary re-renders
@@ -27,6 +29,8 @@ export const RaceGame3D = React.memo(function RaceGame3D({ roomId = "race-1" })
       <StartLine />
       <CheckpointField />
       <JoinArea />
+      <GhostRacer />
+      <StandingsTracker />
       <RaceBuilder3D />
     </>
   );
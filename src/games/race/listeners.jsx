@@ -32,11 +32,14 @@ export function RaceSocketListeners() {
     if (!window.gameSocket) return;
 
     window.gameSocket.on("opponent:checkpoint", (data) => {
-      setOpponentProgress && setOpponentProgress(data);
+      setOpponentProgress(data);
     });
 
     window.gameSocket.on("race:start", (data) => {
-      // Trigger race start logic (animation, sounds, etc)
+      // Only racers track standings
+      if (data && Array.isArray(data.players) && data.players.includes(window.gameSocket.id)) {
+        useRaceStore.getState().setRacers(data.players, window.gameSocket.id);
+      }
     });
 
     window.gameSocket.on("race:data", (data) => {
@@ -65,13 +68,47 @@ export function RaceSocketListeners() {
     });
 
     window.gameSocket.on("race:finished", (data) => {
-      // Show leaderboard, update UI, etc
+      // Only our own finish is shown here; everyone's appears in race:results
+      if (data && data.playerId === window.gameSocket.id) {
+        useRaceStore.getState().setFinishInfo({
+          timeElapsed: data.timeElapsed,
+          position: data.position
+        });
+      } else if (data) {
+        useRaceStore.getState().setOpponentFinished(data);
+      }
+    });
+
+    window.gameSocket.on("race:results", (data) => {
+      console.log('[RaceSocketListeners] Received race:results:', data);
+      useRaceStore.getState().setRaceResults(data);
+    });
+
+    window.gameSocket.on("race:leaderboard", (data) => {
+      useRaceStore.getState().setLeaderboard(data);
+    });
+
+    window.gameSocket.on("race:split", (data) => {
+      useRaceStore.getState().recordSplit(data);
+    });
+
+    window.gameSocket.on("race:ghost", (data) => {
+      useRaceStore.getState().setGhost(data?.ghost || null);
+    });
+
+    window.gameSocket.on("race:checkpoint_rejected", (data) => {
+      useRaceStore.getState().rejectCheckpoint(data);
     });
 
     return () => {
       window.gameSocket.off("opponent:checkpoint");
       window.gameSocket.off("race:start");
       window.gameSocket.off("race:finished");
+      window.gameSocket.off("race:results");
+      window.gameSocket.off("race:leaderboard");
+      window.gameSocket.off("race:split");
+      window.gameSocket.off("race:ghost");
+      window.gameSocket.off("race:checkpoint_rejected");
       window.gameSocket.off("race:data");
     };
   }, []);
@@ -1,14 +1,58 @@
 import { create } from 'zustand';
 
+export const DEFAULT_CHECKPOINT_RADIUS = 2;
+export const MIN_CHECKPOINT_RADIUS = 1;
+export const MAX_CHECKPOINT_RADIUS = 10;
+
+// Checkpoints are { position: [x, y, z], radius }
+const clampRadius = (radius) =>
+  Math.min(Math.max(Number(radius) || DEFAULT_CHECKPOINT_RADIUS, MIN_CHECKPOINT_RADIUS), MAX_CHECKPOINT_RADIUS);
+
 export const useRaceBuilderStore = create((set, get) => ({
     startLine: null,
+    startRotation: 0, // Start/finish line rotation around Y, in radians
     checkpoints: [],
+    selectedIndex: null, // Checkpoint being edited
+    mode: 'sprint', // 'sprint' or 'circuit'
+    laps: 3, // Used by circuits
+    setMode: (mode) => set({ mode }),
+    setLaps: (laps) => set({ laps }),
     setStartLine: (position) => set({ startLine: position }),
+    rotateStartLine: (angle) => set((state) => ({ startRotation: state.startRotation + angle })),
     addCheckpoint: (position) => set((state) => ({
-      checkpoints: [...state.checkpoints, position]
+      checkpoints: [...state.checkpoints, { position, radius: DEFAULT_CHECKPOINT_RADIUS }]
     })),
     undoCheckpoint: () => set((state) => ({
-      checkpoints: state.checkpoints.slice(0, -1)
+      checkpoints: state.checkpoints.slice(0, -1),
+      selectedIndex: state.selectedIndex === state.checkpoints.length - 1 ? null : state.selectedIndex
+    })),
+    selectCheckpoint: (index) => set({ selectedIndex: index }),
+    moveCheckpoint: (index, position) => set((state) => ({
+      checkpoints: state.checkpoints.map((checkpoint, i) => (i === index ? { ...checkpoint, position } : checkpoint))
+    })),
+    setCheckpointRadius: (index, radius) => set((state) => ({
+      checkpoints: state.checkpoints.map((checkpoint, i) => (i === index ? { ...checkpoint, radius: clampRadius(radius) } : checkpoint))
+    })),
+    // Add a checkpoint halfway between this one and the next, and select it
+    insertCheckpointAfter: (index) => {
+      const { checkpoints } = get();
+      const current = checkpoints[index];
+      const next = checkpoints[index + 1];
+      if (!current || !next) return;
+
+      const position = current.position.map((value, axis) => (value + next.position[axis]) / 2);
+      set({
+        checkpoints: [
+          ...checkpoints.slice(0, index + 1),
+          { position, radius: current.radius },
+          ...checkpoints.slice(index + 1)
+        ],
+        selectedIndex: index + 1
+      });
+    },
+    deleteCheckpoint: (index) => set((state) => ({
+      checkpoints: state.checkpoints.filter((_, i) => i !== index),
+      selectedIndex: null
     })),
-    reset: () => set({ startLine: null, checkpoints: [] }),
-  }));
\ No newline at end of file
+    reset: () => set({ startLine: null, startRotation: 0, checkpoints: [], selectedIndex: null, mode: 'sprint', laps: 3 }),
+  }));
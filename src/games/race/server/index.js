@@ -1,53 +1,506 @@
 // src/games/race/server/index.js
+const { TrackLibrary, normalizeCheckpoint, normalizeRaceMode, trackToRaceLayout } = require('./trackLibrary');
+const { LeaderboardStore } = require('./leaderboards');
+
+// Checkpoint detection radius used by the client (CheckpointField)
+const CHECKPOINT_RADIUS = 2;
+// How close to the start/finish line a racer must be to complete a circuit lap
+const START_FINISH_RADIUS = 3;
+// ID the client uses when it crosses the start/finish line
+const START_FINISH_ID = 'start-finish';
+// Slack (m) added to a checkpoint's radius: the server's copy of a racer's position trails the client's
+const CHECKPOINT_TOLERANCE = 3;
+// Players needed in the join zone to start (and keep) the countdown
+const RACE_MIN_PLAYERS = 1;
+// Racers who haven't finished by then are listed as DNF
+const RACE_TIMEOUT_MS = 5 * 60 * 1000;
+// Ghost replays keep one `move` sample per interval, which is enough to interpolate smoothly
+const GHOST_SAMPLE_INTERVAL_MS = 100;
+const MAX_GHOST_SAMPLES = Math.ceil(RACE_TIMEOUT_MS / GHOST_SAMPLE_INTERVAL_MS);
+
+/**
+ * Returns the Socket.IO room that race broadcasts for a game should reach.
+ * Races are scoped to the world room of the player who built them.
+ */
+function getRaceBroadcastRoom(game, socket) {
+  return (game && game.worldRoomId) || socket.roomId || 'main-room';
+}
+
+/**
+ * Returns the targets a racer passes each lap, in order.
+ * Circuits end every lap by crossing the start/finish line; sprints end at the last checkpoint.
+ * @param {Object} game - Race game object from activeGames
+ * @returns {Array<{id: string, position: Array, radius?: number}>}
+ */
+function getLapTargets(game) {
+  if (game.mode !== 'circuit') return game.checkpoints;
+  return [
+    ...game.checkpoints,
+    { id: START_FINISH_ID, position: game.startLine, radius: START_FINISH_RADIUS },
+  ];
+}
+
+/**
+ * Creates a race game from a layout and announces it to the world room
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} activeGames - Object tracking active games across the server
+ * @param {Object} options
+ * @param {string} options.roomId - Race room ID
+ * @param {string} options.worldRoomId - World room the race belongs to
+ * @param {Array} options.startLine - Start line position [x, y, z]
+ * @param {number} [options.startRotation] - Start line rotation around Y, in radians
+ * @param {Array<{id: string, position: Array, radius?: number}>} options.checkpoints - Checkpoints in race order
+ * @param {string|null} [options.trackId] - Library track the layout came from
+ * @param {string} [options.mode] - 'sprint' or 'circuit'
+ * @param {number} [options.laps] - Number of laps for circuit races
+ * @returns {Object} - The race data stored under the race room ID
+ */
+function publishRace(io, activeGames, { roomId, worldRoomId, startLine, startRotation = 0, checkpoints, trackId = null, mode, laps }) {
+  // Create race data object
+  const raceData = {
+    roomId,
+    worldRoomId,
+    trackId,
+    gameType: 'race',
+    ...normalizeRaceMode({ mode, laps }),
+    startLine,
+    startRotation,
+    checkpoints,
+    state: 'waiting',
+    players: [],
+  };
+  
+  // Save to the dynamic room ID
+  activeGames[roomId] = raceData;
+  
+  // Also save under the world room so its join area finds it
+  activeGames[worldRoomId] = {
+    ...raceData,
+    roomId: worldRoomId // Override roomId to be the world room
+  };
+
+  console.log(`[SERVER] 🏁 Race published for room ${roomId} and ${worldRoomId}`);
+
+  // Emit both room IDs to everyone in the world
+  io.to(worldRoomId).emit('race:data', activeGames[roomId]);
+  io.to(worldRoomId).emit('race:data', activeGames[worldRoomId]);
+
+  return raceData;
+}
+
+/**
+ * Take a player out of a race's join zone, cancelling the countdown if too few are left
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} game - Race game object from activeGames
+ * @param {string} playerId
+ * @param {string} broadcastRoom - Socket.IO room to notify
+ */
+function leaveJoinZone(io, game, playerId, broadcastRoom) {
+  if (!game.playersInJoinZone || !game.playersInJoinZone.has(playerId)) return;
+  game.playersInJoinZone.delete(playerId);
+  console.log(`[SERVER] 🚶 Player ${playerId.substring(0,6)} left race join zone for ${game.roomId} (${game.playersInJoinZone.size} players remaining)`);
+
+  if (game.countdownActive && game.playersInJoinZone.size < RACE_MIN_PLAYERS) {
+    console.log(`[SERVER] ⛔ Cancelling race countdown for ${game.roomId} - not enough players in join zone`);
+    clearTimeout(game.countdownTimer);
+    game.countdownTimer = null;
+    game.countdownActive = false;
+
+    io.to(broadcastRoom).emit('race:countdown_cancelled', {
+      roomId: game.roomId,
+      reason: 'not_enough_players',
+      message: 'Race countdown cancelled - not enough players in join zone'
+    });
+  }
+}
+
+/**
+ * Starts a race, timed by the server, for the given racers
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} game - Race game object from activeGames
+ * @param {string} broadcastRoom - Socket.IO room to notify
+ * @param {Array<string>} racerIds - Players taking part
+ * @param {Object} raceStorage - Persistent race storage ({ trackLibrary, leaderboards })
+ */
+function startRace(io, game, broadcastRoom, racerIds, raceStorage = {}) {
+  // The join zone is for the next race; players rejoin it once this one is over
+  clearTimeout(game.countdownTimer);
+  game.countdownTimer = null;
+  game.countdownActive = false;
+  if (game.playersInJoinZone) game.playersInJoinZone.clear();
+
+  game.state = 'racing';
+  game.startTime = Date.now();
+  game.finishOrder = [];
+  game.leaderSplits = [];
+  game.racers = {};
+  racerIds.forEach(playerId => {
+    const playerSocket = io.sockets.sockets.get(playerId);
+    game.racers[playerId] = {
+      playerId,
+      playerKey: (playerSocket && playerSocket.playerKey) || playerId,
+      lap: 0,
+      lapStartTime: game.startTime,
+      lapTimes: [],
+      splits: [],
+      pbSplits: null,
+      nextCheckpoint: 0,
+      finished: false,
+      timeElapsed: null,
+      position: null,
+      samples: [],
+    };
+  });
+
+  clearTimeout(game.raceTimeout);
+  game.raceTimeout = setTimeout(() => endRace(io, game, broadcastRoom, 'timeout'), RACE_TIMEOUT_MS);
+
+  console.log(`[SERVER] 🏁 Race started in room ${game.roomId} with ${racerIds.length} racers (${game.mode}, ${game.laps} laps)`);
+
+  io.to(broadcastRoom).emit('race:start', {
+    roomId: game.roomId,
+    timeStart: game.startTime,
+    mode: game.mode,
+    laps: game.laps,
+    players: racerIds
+  });
+
+  // Saved tracks compare each racer against their personal best and replay it as a ghost
+  if (game.trackId && raceStorage.leaderboards) {
+    Object.values(game.racers).forEach(racer => {
+      loadPersonalBestSplits(game, racer, raceStorage.leaderboards);
+      sendGhost(io, game, racer, raceStorage.leaderboards);
+    });
+  }
+}
+
+/**
+ * Loads a racer's personal best splits so each checkpoint can be compared against them
+ * @param {Object} game - Race game object from activeGames
+ * @param {Object} racer - Racer entry
+ * @param {LeaderboardStore} leaderboards - Leaderboard storage
+ */
+async function loadPersonalBestSplits(game, racer, leaderboards) {
+  try {
+    const personalBest = await leaderboards.getPersonalBest(game.trackId, racer.playerKey);
+    racer.pbSplits = personalBest && Array.isArray(personalBest.splits) ? personalBest.splits : null;
+  } catch (err) {
+    console.error(`[SERVER] ❌ Failed to load personal best for track ${game.trackId}:`, err);
+  }
+}
+
+/**
+ * Records a racer's split at a checkpoint and sends them how it compares
+ * to their personal best and to the race leader
+ * @param {Object} socket - The racer's socket
+ * @param {Object} game - Race game object from activeGames
+ * @param {Object} racer - Racer entry
+ * @param {number} split - Time since the race start in ms
+ */
+function recordSplit(socket, game, racer, split) {
+  const index = racer.splits.length;
+  racer.splits.push(split);
+
+  // The first racer to reach a checkpoint is leading at that point
+  if (!game.leaderSplits[index]) {
+    game.leaderSplits[index] = { playerId: racer.playerId, split };
+  }
+  const leader = game.leaderSplits[index];
+  const isLeader = leader.playerId === racer.playerId;
+  const pbSplit = racer.pbSplits ? racer.pbSplits[index] : undefined;
+
+  socket.emit('race:split', {
+    roomId: game.roomId,
+    index,
+    lap: racer.lap,
+    split,
+    pbDelta: typeof pbSplit === 'number' ? split - pbSplit : null,
+    leaderDelta: isLeader ? null : split - leader.split,
+    isLeader
+  });
+}
+
+/**
+ * Sends a racer the ghost of their personal best on the race's track
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} game - Race game object from activeGames
+ * @param {Object} racer - Racer entry
+ * @param {LeaderboardStore} leaderboards - Leaderboard storage
+ */
+async function sendGhost(io, game, racer, leaderboards) {
+  try {
+    const ghost = await leaderboards.loadGhost(game.trackId, racer.playerKey);
+    const playerSocket = io.sockets.sockets.get(racer.playerId);
+    if (playerSocket) {
+      playerSocket.emit('race:ghost', { roomId: game.roomId, trackId: game.trackId, ghost });
+    }
+  } catch (err) {
+    console.error(`[SERVER] ❌ Failed to load ghost for track ${game.trackId}:`, err);
+  }
+}
+
+/**
+ * Adds a `move` update to a racer's recorded path
+ * @param {Object} game - Race game object from activeGames
+ * @param {Object} racer - Racer entry
+ * @param {Object} data - `move` payload ({ position, rotation, animation })
+ */
+function recordGhostSample(game, racer, data) {
+  if (!Array.isArray(data.position) || racer.samples.length >= MAX_GHOST_SAMPLES) return;
+
+  const t = Date.now() - game.startTime;
+  const last = racer.samples[racer.samples.length - 1];
+  if (last && t - last.t < GHOST_SAMPLE_INTERVAL_MS) return;
+
+  // `move` only includes rotation and animation when they're known, so carry them forward
+  racer.samples.push({
+    t,
+    position: data.position.map(value => Math.round(value * 100) / 100),
+    rotation: typeof data.rotation === 'number' ? Math.round(data.rotation * 1000) / 1000 : (last ? last.rotation : 0),
+    animation: data.animation || (last ? last.animation : 'idle'),
+  });
+}
+
+/**
+ * Adds a player's move to the ghost recording of any race they're running. Called by
+ * server.js with the decoded, validated move, so ghosts follow the server-clamped path.
+ * @param {Object} activeGames - All active games
+ * @param {string} playerId
+ * @param {Object} move - Validated `move` fields ({ position, rotation, animation })
+ */
+function recordRaceMove(activeGames, playerId, move) {
+  Object.values(activeGames).forEach(game => {
+    if (!game || game.gameType !== 'race' || game.state !== 'racing' || !game.racers) return;
+    const racer = game.racers[playerId];
+    if (racer && !racer.finished) {
+      recordGhostSample(game, racer, move);
+    }
+  });
+}
+
+/**
+ * Records a racer's finish using the server's clock
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} game - Race game object from activeGames
+ * @param {string} broadcastRoom - Socket.IO room to notify
+ * @param {string} playerId - Player who crossed the last checkpoint
+ * @param {Object} raceStorage - Persistent race storage ({ trackLibrary, leaderboards })
+ */
+function finishRacer(io, game, broadcastRoom, playerId, raceStorage) {
+  const racer = game.racers[playerId];
+  racer.finished = true;
+  racer.timeElapsed = Date.now() - game.startTime;
+  game.finishOrder.push(playerId);
+  racer.position = game.finishOrder.length;
+
+  console.log(`[SERVER] 🏁 Player ${playerId.substring(0,6)} finished ${game.roomId} in position ${racer.position} (${racer.timeElapsed}ms)`);
+
+  io.to(broadcastRoom).emit('race:finished', {
+    roomId: game.roomId,
+    playerId,
+    timeElapsed: racer.timeElapsed,
+    position: racer.position,
+    lapTimes: racer.lapTimes
+  });
+
+  // Saved tracks keep a leaderboard and personal bests
+  if (game.trackId && raceStorage.leaderboards) {
+    recordLeaderboardTime(io, game.trackId, racer, raceStorage.leaderboards);
+  }
+
+  const allFinished = Object.values(game.racers).every(r => r.finished);
+  if (allFinished) {
+    endRace(io, game, broadcastRoom, 'completed');
+  }
+}
+
+/**
+ * Records a finish on the track's leaderboard and sends the racer their result
+ * @param {Object} io - Socket.io server instance
+ * @param {string} trackId - Library track the race uses
+ * @param {Object} racer - Finished racer entry
+ * @param {LeaderboardStore} leaderboards - Leaderboard storage
+ */
+async function recordLeaderboardTime(io, trackId, racer, leaderboards) {
+  try {
+    const result = await leaderboards.recordTime(trackId, racer.playerKey, racer.playerId, racer.timeElapsed, {
+      splits: racer.splits,
+      samples: racer.samples
+    });
+    const leaderboard = await leaderboards.getLeaderboard(trackId, racer.playerKey);
+
+    const playerSocket = io.sockets.sockets.get(racer.playerId);
+    if (playerSocket) {
+      playerSocket.emit('race:leaderboard', {
+        ...leaderboard,
+        lastTime: {
+          timeElapsed: racer.timeElapsed,
+          ...result
+        }
+      });
+    }
+  } catch (err) {
+    console.error(`[SERVER] ❌ Failed to record leaderboard time for track ${trackId}:`, err);
+  }
+}
+
+/**
+ * Builds the final standings: finishers by position, then DNFs by progress
+ * @param {Object} game - Race game object from activeGames
+ * @returns {Array<Object>} - Standings entries
+ */
+function getStandings(game) {
+  const targetsPerLap = getLapTargets(game).length;
+  const progress = racer => racer.lap * targetsPerLap + racer.nextCheckpoint;
+
+  const racers = Object.values(game.racers || {});
+  const finishers = racers
+    .filter(r => r.finished)
+    .sort((a, b) => a.position - b.position);
+  const unfinished = racers
+    .filter(r => !r.finished)
+    .sort((a, b) => progress(b) - progress(a));
+
+  return [...finishers, ...unfinished].map((racer, index) => ({
+    playerId: racer.playerId,
+    position: index + 1,
+    finished: racer.finished,
+    timeElapsed: racer.timeElapsed,
+    checkpointsPassed: progress(racer),
+    lapsCompleted: racer.lap,
+    lapTimes: racer.lapTimes,
+    splits: racer.splits,
+  }));
+}
+
+/**
+ * Ends a race and broadcasts the standings
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} game - Race game object from activeGames
+ * @param {string} broadcastRoom - Socket.IO room to notify
+ * @param {string} reason - 'completed' when everyone finished, 'timeout' or 'abandoned' otherwise
+ */
+function endRace(io, game, broadcastRoom, reason) {
+  if (game.state !== 'racing') return;
+
+  clearTimeout(game.raceTimeout);
+  game.raceTimeout = null;
+
+  const results = {
+    roomId: game.roomId,
+    reason,
+    startTime: game.startTime,
+    endTime: Date.now(),
+    mode: game.mode,
+    laps: game.laps,
+    checkpointCount: getLapTargets(game).length * game.laps,
+    standings: getStandings(game),
+  };
+
+  console.log(`[SERVER] 🏆 Race in ${game.roomId} ended (${reason}) with ${results.standings.length} racers`);
+
+  // Keep the results and get the track ready for the next race
+  game.lastResults = results;
+  game.state = 'waiting';
+  game.racers = {};
+  game.finishOrder = [];
+  if (game.playersInJoinZone) game.playersInJoinZone.clear();
+
+  io.to(broadcastRoom).emit('race:results', results);
+}
 
 /**
  * Sets up socket handlers for race game functionality
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} socket - Socket connection for a specific client
+ * @param {Object} activeGames - Object tracking active games across the server
+ * @param {Object} players - Connected players partitioned by room ({ roomId: { socketId: player } })
+ * @param {Object} [raceStorage] - Persistent race storage
+ * @param {TrackLibrary} [raceStorage.trackLibrary] - Saved tracks, used to load tracks and save new builds
+ * @param {LeaderboardStore} [raceStorage.leaderboards] - Per-track leaderboards and personal bests
  */
-function setupRaceBuilderSocketHandlers(io, socket, activeGames, players) {
+function setupRaceBuilderSocketHandlers(io, socket, activeGames, players, raceStorage = {}) {
+    const { trackLibrary, leaderboards } = raceStorage;
     console.log('[SERVER] 🏁 Setting up race socket handlers');
     socket.on('race:build', (data) => {
       console.log('[SERVER] 🏁 Received race:build event', data);
-      const { roomId, startLine, checkpoints } = data;
+      const { roomId, startLine, checkpoints, name } = data;
+      const startRotation = Number(data.startRotation) || 0;
+      const { mode, laps } = normalizeRaceMode(data);
   
       if (!roomId || !startLine || !checkpoints || !checkpoints.length) {
         console.warn('[SERVER] ⚠️ Invalid race build data', data);
         return;
       }
   
-      // Create race data object
-      const raceData = {
+      const worldRoomId = socket.roomId || 'main-room';
+      const raceData = publishRace(io, activeGames, {
         roomId,
-        gameType: 'race',
+        worldRoomId,
         startLine,
-        checkpoints: checkpoints.map((pos, index) => ({
+        startRotation,
+        checkpoints: checkpoints.map((checkpoint, index) => ({
           id: `checkpoint-${index}-${Date.now()}`,
-          position: pos
+          ...normalizeCheckpoint(checkpoint)
         })),
-        state: 'waiting',
-        players: [],
-      };
-      
-      // Save to the dynamic room ID
-      activeGames[roomId] = raceData;
-      
-      // Also save to 'main-room' for consistent access
-      activeGames['main-room'] = {
-        ...raceData,
-        roomId: 'main-room' // Override roomId to be 'main-room'
-      };
-  
-      console.log(`[SERVER] 🏁 Race built for room ${roomId} and main-room`);
-  
-      // Emit to both room IDs
-      io.emit('race:data', activeGames[roomId]);
-      io.emit('race:data', activeGames['main-room']);
+        mode,
+        laps,
+      });
+
+      if (!trackLibrary) return;
+
+      // Save the layout to the track library so it survives restarts
+      trackLibrary.saveTrack({ name, startLine, startRotation, checkpoints, mode, laps })
+        .then(track => {
+          raceData.trackId = track.id;
+          if (activeGames[worldRoomId] && activeGames[worldRoomId].roomId === worldRoomId) {
+            activeGames[worldRoomId].trackId = track.id;
+          }
+          io.to(worldRoomId).emit('race:tracks', trackLibrary.listTracks());
+        })
+        .catch(err => {
+          console.error(`[SERVER] ❌ Failed to save track for race ${roomId}:`, err);
+          socket.emit('race:track_error', { message: 'Race is playable but could not be saved' });
+        });
+    });
+
+    // List the saved tracks in the library
+    socket.on('race:listTracks', () => {
+      if (!trackLibrary) return;
+      socket.emit('race:tracks', trackLibrary.listTracks());
+    });
+
+    // Load a saved track as the race for this player's world
+    socket.on('race:loadTrack', ({ trackId } = {}) => {
+      const track = trackLibrary && trackLibrary.getTrack(trackId);
+      if (!track) {
+        console.log(`[SERVER] ⚠️ Player ${socket.id.substring(0,6)} requested unknown track ${trackId}`);
+        socket.emit('race:track_error', { message: 'Track not found', trackId });
+        return;
+      }
+
+      const { startLine, startRotation, checkpoints, mode, laps } = trackToRaceLayout(track);
+      console.log(`[SERVER] 📂 Player ${socket.id.substring(0,6)} loaded track ${track.id} (${track.name})`);
+
+      publishRace(io, activeGames, {
+        roomId: `race_${Date.now()}`,
+        worldRoomId: socket.roomId || 'main-room',
+        startLine,
+        startRotation,
+        checkpoints,
+        trackId: track.id,
+        mode,
+        laps,
+      });
     });
   
     // Add handler for listing available race rooms
     socket.on('race:listRooms', () => {
-      // Filter active games to only include races
+      // Filter active games to only include races built in this player's world
+      const worldRoomId = socket.roomId || 'main-room';
       const raceRooms = Object.keys(activeGames).filter(roomId => {
-        return activeGames[roomId] && activeGames[roomId].gameType === 'race';
+        const game = activeGames[roomId];
+        return game && game.gameType === 'race' && getRaceBroadcastRoom(game, socket) === worldRoomId;
       });
       
       console.log(`[SERVER] 📋 Sending list of ${raceRooms.length} race rooms to ${socket.id.substring(0,6)}`);
@@ -91,16 +544,15 @@ function setupRaceBuilderSocketHandlers(io, socket, activeGames, players) {
       game.playersInJoinZone.add(actualPlayerId);
       
       // Start countdown if we have enough players and no countdown is running
-      const minPlayers = 1; // For race, we only need 1 player
-      if (game.playersInJoinZone.size >= minPlayers && !game.countdownActive) {
+      if (game.playersInJoinZone.size >= RACE_MIN_PLAYERS && !game.countdownActive) {
         game.countdownActive = true;
         game.countdownStartTime = Date.now();
         game.countdownDuration = 5000; // 5 seconds
         
         console.log(`[SERVER] ⏱ Starting race join countdown for room ${roomId} with ${game.playersInJoinZone.size} players`);
         
-        // Broadcast countdown to all players
-        io.emit('race:countdown', {
+        // Broadcast countdown to all players in the race's world
+        io.to(getRaceBroadcastRoom(game, socket)).emit('race:countdown', {
           roomId,
           startTime: game.countdownStartTime,
           duration: game.countdownDuration,
@@ -108,28 +560,12 @@ function setupRaceBuilderSocketHandlers(io, socket, activeGames, players) {
         });
         
         // Schedule race start after countdown
+        // Leaving the zone cancels this timer once too few players are left, so it always has racers
         game.countdownTimer = setTimeout(() => {
-          if (game.playersInJoinZone.size >= minPlayers) {
-            console.log(`[SERVER] 🏁 Starting race in room ${roomId} with ${game.playersInJoinZone.size} players`);
-            
-            // Update game state
-            game.state = 'racing';
-            game.startTime = Date.now();
-            
-            // Broadcast race start to all players
-            io.emit('race:start', {
-              roomId,
-              timeStart: game.startTime,
-              players: Array.from(game.playersInJoinZone)
-            });
-          } else {
-            console.log(`[SERVER] ⛔ Race countdown cancelled - not enough players in join zone`);
-            io.emit('race:countdown_cancelled', { roomId });
-          }
-          
-          // Reset countdown state
-          game.countdownActive = false;
-          game.countdownTimer = null;
+          console.log(`[SERVER] 🏁 Starting race in room ${roomId} with ${game.playersInJoinZone.size} players`);
+
+          // Start the server-timed race for everyone in the join zone
+          startRace(io, game, getRaceBroadcastRoom(game, socket), Array.from(game.playersInJoinZone), raceStorage);
         }, game.countdownDuration);
       }
   
@@ -137,7 +573,10 @@ function setupRaceBuilderSocketHandlers(io, socket, activeGames, players) {
       socket.emit('race:joined', {
         roomId,
         startLine: game.startLine,
+        startRotation: game.startRotation,
         checkpoints: game.checkpoints,
+        mode: game.mode,
+        laps: game.laps,
         countdown: game.countdownActive ? game.countdownDuration : 3000, // ms
         countdownStartTime: game.countdownStartTime,
         message: 'Successfully joined race! Get ready for the countdown.',
@@ -145,7 +584,7 @@ function setupRaceBuilderSocketHandlers(io, socket, activeGames, players) {
       });
   
       // Notify all other players about the new participant
-      socket.broadcast.emit('race:playerJoined', { 
+      socket.to(getRaceBroadcastRoom(game, socket)).emit('race:playerJoined', { 
         roomId, 
         playerId: actualPlayerId,
         playerCount: game.players.length,
@@ -171,32 +610,7 @@ function setupRaceBuilderSocketHandlers(io, socket, activeGames, players) {
       const actualPlayerId = playerId || socket.id;
       
       // Remove player from the join zone
-      if (game.playersInJoinZone && game.playersInJoinZone.has(actualPlayerId)) {
-        game.playersInJoinZone.delete(actualPlayerId);
-        console.log(`[SERVER] 🚶 Player ${actualPlayerId.substring(0,6)} left race join zone for ${roomId} (${game.playersInJoinZone.size} players remaining)`);
-        
-        // Check if we need to cancel the countdown
-        const minPlayers = 1; // For race, we only need 1 player
-        if (game.countdownActive && game.playersInJoinZone.size < minPlayers) {
-          console.log(`[SERVER] ⛔ Cancelling race countdown for ${roomId} - not enough players in join zone`);
-          
-          // Clear the countdown timer
-          if (game.countdownTimer) {
-            clearTimeout(game.countdownTimer);
-            game.countdownTimer = null;
-          }
-          
-          // Reset countdown state
-          game.countdownActive = false;
-          
-          // Notify all players that the countdown was cancelled
-          io.emit('race:countdown_cancelled', {
-            roomId,
-            reason: 'not_enough_players',
-            message: 'Race countdown cancelled - not enough players in join zone'
-          });
-        }
-      }
+      leaveJoinZone(io, game, actualPlayerId, getRaceBroadcastRoom(game, socket));
       
       // Remove player from the race participants list
       const playerIndex = game.players.indexOf(actualPlayerId);
@@ -205,7 +619,7 @@ function setupRaceBuilderSocketHandlers(io, socket, activeGames, players) {
         console.log(`[SERVER] 🚶 Player ${actualPlayerId.substring(0,6)} left race ${roomId} (${game.players.length} players remaining)`);
         
         // Notify other players
-        socket.broadcast.emit('race:playerLeft', {
+        socket.to(getRaceBroadcastRoom(game, socket)).emit('race:playerLeft', {
           roomId,
           playerId: actualPlayerId,
           playerCount: game.players.length,
@@ -214,47 +628,132 @@ function setupRaceBuilderSocketHandlers(io, socket, activeGames, players) {
       }
     });
     
-    socket.on('race:start', ({ roomId, timeStart }) => {
+    // A client whose countdown ran out. The server's countdown timer normally starts the race;
+    // this only lets a joined racer in the race's world start it once that countdown is over.
+    socket.on('race:start', ({ roomId } = {}) => {
       const game = activeGames[roomId];
-      if (!game) return;
-  
-      game.state = 'racing';
-      game.startTime = timeStart;
-  
-      console.log(`[SERVER] ⏱ Race started in room ${roomId}`);
-  
-      io.emit('race:start', { roomId, timeStart });
+      if (!game || game.gameType !== 'race' || game.state === 'racing') return;
+
+      const isRacer = game.players.includes(socket.id) && game.playersInJoinZone && game.playersInJoinZone.has(socket.id);
+      const isSameWorld = (game.worldRoomId || 'main-room') === socket.roomId;
+      const countdownOver = game.countdownActive && Date.now() >= game.countdownStartTime + game.countdownDuration;
+      if (!isRacer || !isSameWorld || !countdownOver) {
+        console.log(`[SERVER] ⛔ Ignored race:start from ${socket.id.substring(0,6)} for ${roomId}`);
+        return;
+      }
+
+      startRace(io, game, getRaceBroadcastRoom(game, socket), Array.from(game.playersInJoinZone), raceStorage);
     });
   
-    socket.on('race:checkpoint', ({ roomId, playerId, checkpointId, index }) => {
+    socket.on('race:checkpoint', ({ roomId, checkpointId }) => {
       const game = activeGames[roomId];
-      if (!game) return;
+      if (!game || game.state !== 'racing' || !game.racers) return;
+
+      // Only trust the socket's own identity, not the playerId in the payload
+      const playerId = socket.id;
+      const racer = game.racers[playerId];
+      if (!racer || racer.finished) return;
+
+      const targets = getLapTargets(game);
+      const index = racer.nextCheckpoint;
+      const checkpoint = targets[index];
+      const reject = (reason) => {
+        console.log(`[SERVER] ⛔ Rejected checkpoint ${checkpointId} from ${playerId.substring(0,6)} in ${roomId}: ${reason}`);
+        socket.emit('race:checkpoint_rejected', { roomId, checkpointId, expectedIndex: index, lap: racer.lap, reason });
+      };
+
+      // Checkpoints (and the start/finish line on circuits) must be passed in order
+      if (!checkpoint || (checkpointId !== checkpoint.id && checkpointId !== index)) {
+        reject('out_of_order');
+        return;
+      }
+
+      // The racer's last reported position must be near the checkpoint (horizontal distance, like the client)
+      const roomPlayers = players[getRaceBroadcastRoom(game, socket)] || {};
+      const playerPos = roomPlayers[playerId] && roomPlayers[playerId].position;
+      if (!Array.isArray(playerPos)) {
+        reject('no_position');
+        return;
+      }
+      const dx = playerPos[0] - checkpoint.position[0];
+      const dz = playerPos[2] - checkpoint.position[2];
+      const maxDistance = (checkpoint.radius || CHECKPOINT_RADIUS) + CHECKPOINT_TOLERANCE;
+      if (dx * dx + dz * dz > maxDistance * maxDistance) {
+        reject('too_far');
+        return;
+      }
 
-      console.log(`[SERVER] ✅ Player ${playerId} passed checkpoint ${checkpointId} in ${roomId}`);
+      const now = Date.now();
+      racer.nextCheckpoint = index + 1;
+      recordSplit(socket, game, racer, now - game.startTime);
+      console.log(`[SERVER] ✅ Player ${playerId.substring(0,6)} passed checkpoint ${index} (lap ${racer.lap + 1}) in ${roomId}`);
   
       // Broadcast to all other players
-      socket.broadcast.emit('opponent:checkpoint', {
+      socket.to(getRaceBroadcastRoom(game, socket)).emit('opponent:checkpoint', {
         roomId,
         playerId,
-        checkpointId,
-        index
+        checkpointId: checkpoint.id,
+        index,
+        lap: racer.lap
       });
-    });
-  
-    socket.on('race:finished', ({ roomId, timeElapsed }) => {
-      const game = activeGames[roomId];
-      if (!game) return;
-  
-      console.log(`[SERVER] 🏁 Race finished in ${roomId}, time: ${timeElapsed}ms`);
-  
-      io.emit('race:finished', {
+
+      if (racer.nextCheckpoint < targets.length) return;
+
+      // Lap complete
+      racer.lapTimes.push(now - racer.lapStartTime);
+      racer.lapStartTime = now;
+      racer.lap++;
+      racer.nextCheckpoint = 0;
+
+      if (racer.lap >= game.laps) {
+        finishRacer(io, game, getRaceBroadcastRoom(game, socket), playerId, raceStorage);
+        return;
+      }
+
+      console.log(`[SERVER] 🔁 Player ${playerId.substring(0,6)} completed lap ${racer.lap}/${game.laps} in ${roomId}`);
+      io.to(getRaceBroadcastRoom(game, socket)).emit('race:lap', {
         roomId,
-        timeElapsed,
+        playerId,
+        lap: racer.lap,
+        lapTime: racer.lapTimes[racer.lapTimes.length - 1]
+      });
+    });
+
+    // Send the leaderboard and the player's personal best for a track
+    socket.on('race:leaderboard', async ({ trackId } = {}) => {
+      if (!leaderboards || !trackId) return;
+
+      try {
+        socket.emit('race:leaderboard', await leaderboards.getLeaderboard(trackId, socket.playerKey || socket.id));
+      } catch (err) {
+        console.error(`[SERVER] ❌ Failed to load leaderboard for track ${trackId}:`, err);
+      }
+    });
+
+    // Players who disconnect can't race, and racers who disconnect can't finish, so don't
+    // make the others wait for them
+    socket.on('disconnect', () => {
+      Object.values(activeGames).forEach(game => {
+        if (!game || game.gameType !== 'race') return;
+        leaveJoinZone(io, game, socket.id, getRaceBroadcastRoom(game, socket));
+
+        if (game.state !== 'racing' || !game.racers) return;
+        const racer = game.racers[socket.id];
+        if (!racer || racer.finished) return;
+
+        delete game.racers[socket.id];
+        const remaining = Object.values(game.racers);
+        if (remaining.length === 0 || remaining.every(r => r.finished)) {
+          endRace(io, game, getRaceBroadcastRoom(game, socket), remaining.length === 0 ? 'abandoned' : 'completed');
+        }
       });
     });
 }
 
 // Export the function for use in server.js
 module.exports = {
-  setupRaceBuilderSocketHandlers
+  setupRaceBuilderSocketHandlers,
+  recordRaceMove,
+  TrackLibrary,
+  LeaderboardStore
 };
\ No newline at end of file
@@ -0,0 +1,231 @@
+// src/games/race/server/leaderboards.js
+// Per-track leaderboards and personal bests, stored as one JSON file per track
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('../../../server/writeJsonAtomic');
+
+/**
+ * Keeps the fastest times for every track on disk.
+ *
+ * Leaderboard files look like:
+ * {
+ *   trackId: 'race_1747162338025',
+ *   top: [{ playerKey, playerId, timeElapsed, achievedAt }, ...],   // best first, one entry per player
+ *   personalBests: { [playerKey]: { timeElapsed, achievedAt, splits } }   // splits: ms since the start at each checkpoint
+ * }
+ *
+ * Players are identified by their persistent player key (sent with `join`),
+ * since socket IDs change on every connection.
+ *
+ * The run behind each personal best is kept next to the leaderboard as a ghost,
+ * in `ghosts/<trackId>/<playerKey>.json`:
+ * {
+ *   trackId, timeElapsed, achievedAt,
+ *   samples: [{ t, position: [x, y, z], rotation, animation }, ...]   // t is ms since the race start
+ * }
+ */
+class LeaderboardStore {
+  /**
+   * @param {string} directory - Folder holding one `<trackId>.json` file per track
+   * @param {Object} [options]
+   * @param {number} [options.size=10] - Number of entries kept on each leaderboard
+   */
+  constructor(directory, { size = 10 } = {}) {
+    this.directory = directory;
+    this.size = size;
+
+    // Loaded boards by trackId (promises, so concurrent loads share one read)
+    this.boards = {};
+
+    // Last write per file (trackId, or trackId/playerKey for ghosts), so writes to the same file happen in order
+    this.writes = {};
+  }
+
+  /**
+   * Get the file path for a track
+   * @param {string} trackId - Track identifier
+   * @returns {string} - Absolute path of the track's leaderboard file
+   */
+  getFilePath(trackId) {
+    return path.join(this.directory, `${encodeURIComponent(trackId)}.json`);
+  }
+
+  /**
+   * Get the ghost file path for a player on a track
+   * @param {string} trackId - Track identifier
+   * @param {string} playerKey - Persistent player key
+   * @returns {string} - Absolute path of the player's ghost file
+   */
+  getGhostFilePath(trackId, playerKey) {
+    return path.join(this.directory, 'ghosts', encodeURIComponent(trackId), `${encodeURIComponent(playerKey)}.json`);
+  }
+
+  /**
+   * Load a track's leaderboard (cached after the first read)
+   * @param {string} trackId - Track identifier
+   * @returns {Promise<Object>} - The leaderboard data
+   */
+  load(trackId) {
+    if (!this.boards[trackId]) {
+      this.boards[trackId] = fs.promises.readFile(this.getFilePath(trackId), 'utf8')
+        .then(contents => {
+          const data = JSON.parse(contents);
+          return {
+            trackId,
+            top: Array.isArray(data.top) ? data.top : [],
+            personalBests: data.personalBests || {},
+          };
+        })
+        .catch(err => {
+          if (err.code === 'ENOENT') {
+            return { trackId, top: [], personalBests: {} };
+          }
+          // Allow a retry, and never overwrite a file we couldn't read
+          delete this.boards[trackId];
+          throw err;
+        });
+    }
+    return this.boards[trackId];
+  }
+
+  /**
+   * Get the leaderboard and a player's personal best for a track
+   * @param {string} trackId - Track identifier
+   * @param {string} [playerKey] - Player to include the personal best for
+   * @returns {Promise<{trackId: string, top: Array<{playerId, timeElapsed, achievedAt, isMine}>, personalBest: Object|null}>}
+   */
+  async getLeaderboard(trackId, playerKey) {
+    const board = await this.load(trackId);
+    return {
+      trackId,
+      // Player keys act as identities, so they are never sent to clients
+      top: board.top.map(({ playerKey: entryKey, ...entry }) => ({
+        ...entry,
+        isMine: !!playerKey && entryKey === playerKey,
+      })),
+      personalBest: (playerKey && board.personalBests[playerKey]) || null,
+    };
+  }
+
+  /**
+   * Get a player's personal best on a track
+   * @param {string} trackId - Track identifier
+   * @param {string} playerKey - Persistent player key
+   * @returns {Promise<{timeElapsed: number, achievedAt: string, splits?: Array<number>}|null>}
+   */
+  async getPersonalBest(trackId, playerKey) {
+    const board = await this.load(trackId);
+    return board.personalBests[playerKey] || null;
+  }
+
+  /**
+   * Record a finish time, updating the personal best and leaderboard if it's faster
+   * @param {string} trackId - Track identifier
+   * @param {string} playerKey - Persistent player key
+   * @param {string} playerId - Current socket ID, shown on the leaderboard
+   * @param {number} timeElapsed - Server-measured race time in ms
+   * @param {Object} [run] - Details kept with a new personal best
+   * @param {Array<number>} [run.splits] - Time at each checkpoint, compared against on later attempts
+   * @param {Array<Object>} [run.samples] - Path recorded during the run, saved as the ghost
+   * @returns {Promise<{isNewPB: boolean, previousBest: number|null, delta: number|null, rank: number|null}>}
+   */
+  async recordTime(trackId, playerKey, playerId, timeElapsed, { splits, samples } = {}) {
+    const board = await this.load(trackId);
+    const previous = board.personalBests[playerKey];
+    const previousBest = previous ? previous.timeElapsed : null;
+    const isNewPB = previousBest === null || timeElapsed < previousBest;
+
+    if (isNewPB) {
+      const achievedAt = new Date().toISOString();
+      board.personalBests[playerKey] = { timeElapsed, achievedAt, splits: Array.isArray(splits) ? splits : [] };
+
+      // One entry per player, keeping only the fastest times
+      board.top = board.top
+        .filter(entry => entry.playerKey !== playerKey)
+        .concat({ playerKey, playerId, timeElapsed, achievedAt })
+        .sort((a, b) => a.timeElapsed - b.timeElapsed)
+        .slice(0, this.size);
+
+      this.save(trackId, board);
+
+      if (Array.isArray(samples) && samples.length > 0) {
+        this.queueWrite(`${trackId}/${playerKey}`, this.getGhostFilePath(trackId, playerKey), {
+          trackId,
+          timeElapsed,
+          achievedAt,
+          samples,
+        });
+      }
+    }
+
+    const rankIndex = board.top.findIndex(entry => entry.playerKey === playerKey);
+    return {
+      isNewPB,
+      previousBest,
+      delta: previousBest === null ? null : timeElapsed - previousBest,
+      rank: rankIndex === -1 ? null : rankIndex + 1,
+    };
+  }
+
+  /**
+   * Load the ghost recorded with a player's personal best
+   * @param {string} trackId - Track identifier
+   * @param {string} playerKey - Persistent player key
+   * @returns {Promise<Object|null>} - The ghost, or null if the player has none for this track
+   */
+  async loadGhost(trackId, playerKey) {
+    // A ghost that is still being written is newer than the file
+    await this.writes[`${trackId}/${playerKey}`];
+
+    try {
+      const ghost = JSON.parse(await fs.promises.readFile(this.getGhostFilePath(trackId, playerKey), 'utf8'));
+      return Array.isArray(ghost.samples) ? ghost : null;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Write a track's leaderboard to disk after any earlier write finishes
+   * @param {string} trackId - Track identifier
+   * @param {Object} board - Leaderboard data
+   */
+  save(trackId, board) {
+    this.queueWrite(trackId, this.getFilePath(trackId), board);
+  }
+
+  /**
+   * Write a file after any earlier write with the same key finishes
+   * @param {string} key - Identifies the file being written
+   * @param {string} filePath - Destination path
+   * @param {Object} data - JSON data to write
+   */
+  queueWrite(key, filePath, data) {
+    const previousWrite = this.writes[key] || Promise.resolve();
+    const write = previousWrite
+      .catch(() => {})
+      .then(() => writeJsonAtomic(filePath, data))
+      .catch(err => {
+        console.error(`[Leaderboards] ❌ Failed to write ${filePath}:`, err);
+      });
+
+    this.writes[key] = write;
+    write.then(() => {
+      if (this.writes[key] === write) delete this.writes[key];
+    });
+  }
+
+  /**
+   * Wait for every pending write (used on shutdown)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(Object.values(this.writes));
+  }
+}
+
+module.exports = {
+  LeaderboardStore,
+};
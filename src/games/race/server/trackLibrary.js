@@ -0,0 +1,222 @@
+// src/games/race/server/trackLibrary.js
+// Saved race tracks, stored as one JSON file per track in data/races
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('../../../server/writeJsonAtomic');
+
+/**
+ * Library of race tracks kept on disk so they survive restarts and can be shared.
+ *
+ * Track files look like:
+ * {
+ *   id: 'race_1747162338025',
+ *   name: 'New Race',
+ *   mode: 'sprint' | 'circuit',   // circuit races cross the start/finish line to complete each lap
+ *   laps: 1,
+ *   startFinish: { position: [x, y, z], rotation: [x, y, z], width: 5 },
+ *   checkpoints: [{ id, position: [x, y, z], radius: 2, order: 1 }, ...],
+ *   createdAt: ISO date string
+ * }
+ *
+ * Tracks saved before modes existed are treated as single-lap sprints.
+ */
+
+const RACE_MODES = ['sprint', 'circuit'];
+const MAX_LAPS = 20;
+const DEFAULT_CHECKPOINT_RADIUS = 2;
+const MIN_CHECKPOINT_RADIUS = 1;
+const MAX_CHECKPOINT_RADIUS = 10;
+
+class TrackLibrary {
+  /**
+   * @param {string} directory - Folder containing the `race_*.json` track files
+   */
+  constructor(directory) {
+    this.directory = directory;
+
+    // Tracks by ID
+    this.tracks = {};
+  }
+
+  /**
+   * Scan the track directory and load every valid track file.
+   * Runs synchronously so the library is ready before the server accepts connections.
+   * @returns {number} - Number of tracks loaded
+   */
+  loadAll() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[TrackLibrary] ❌ Failed to read track directory ${this.directory}:`, err);
+      }
+      return 0;
+    }
+
+    files.forEach(file => {
+      try {
+        const track = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        if (!isValidTrack(track)) {
+          console.warn(`[TrackLibrary] ⚠️ Skipping invalid track file ${file}`);
+          return;
+        }
+        this.tracks[track.id] = track;
+      } catch (err) {
+        console.error(`[TrackLibrary] ❌ Failed to load track file ${file}:`, err.message);
+      }
+    });
+
+    console.log(`[TrackLibrary] 🏁 Loaded ${Object.keys(this.tracks).length} tracks from ${this.directory}`);
+    return Object.keys(this.tracks).length;
+  }
+
+  /**
+   * Get a summary of every track, newest first
+   * @returns {Array<{id: string, name: string, mode: string, laps: number, checkpointCount: number, createdAt: string}>}
+   */
+  listTracks() {
+    return Object.values(this.tracks)
+      .map(track => ({
+        id: track.id,
+        name: track.name,
+        ...normalizeRaceMode(track),
+        checkpointCount: track.checkpoints.length,
+        createdAt: track.createdAt,
+      }))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  /**
+   * Get a track by ID
+   * @param {string} trackId - Track identifier
+   * @returns {Object|null} - The track, or null if it doesn't exist
+   */
+  getTrack(trackId) {
+    return this.tracks[trackId] || null;
+  }
+
+  /**
+   * Create a track from builder data and save it to disk
+   * @param {Object} data - Builder data
+   * @param {string} [data.name] - Display name for the track
+   * @param {Array} data.startLine - Start/finish line position [x, y, z]
+   * @param {number} [data.startRotation] - Start/finish line rotation around Y, in radians
+   * @param {Array} data.checkpoints - Checkpoints ([x, y, z] or { position, radius }), in race order
+   * @param {string} [data.mode] - 'sprint' (default) or 'circuit'
+   * @param {number} [data.laps] - Number of laps for circuit races
+   * @returns {Promise<Object>} - The saved track
+   */
+  async saveTrack({ name, startLine, startRotation, checkpoints, mode, laps }) {
+    const now = Date.now();
+    const track = {
+      id: `race_${now}`,
+      name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 60) : 'New Race',
+      ...normalizeRaceMode({ mode, laps }),
+      startFinish: {
+        position: startLine,
+        rotation: [0, Number(startRotation) || 0, 0],
+        width: 5,
+      },
+      checkpoints: checkpoints.map((checkpoint, index) => ({
+        id: `cp_${now}_${index}`,
+        ...normalizeCheckpoint(checkpoint),
+        order: index + 1,
+      })),
+      createdAt: new Date(now).toISOString(),
+    };
+
+    await writeJsonAtomic(path.join(this.directory, `${track.id}.json`), track);
+    this.tracks[track.id] = track;
+
+    console.log(`[TrackLibrary] 💾 Saved track ${track.id} with ${track.checkpoints.length} checkpoints`);
+    return track;
+  }
+}
+
+/**
+ * Check that parsed file contents have the fields a race needs
+ * @param {Object} track - Parsed track file
+ * @returns {boolean}
+ */
+function isValidTrack(track) {
+  return !!track &&
+    typeof track.id === 'string' &&
+    !!track.startFinish &&
+    Array.isArray(track.startFinish.position) &&
+    Array.isArray(track.checkpoints) &&
+    track.checkpoints.length > 0 &&
+    track.checkpoints.every(cp => cp && Array.isArray(cp.position));
+}
+
+/**
+ * Clean up a race mode and lap count from a track file or the builder
+ * @param {Object} data
+ * @param {string} [data.mode] - Requested mode
+ * @param {number} [data.laps] - Requested number of laps
+ * @returns {{mode: string, laps: number}} - Sprints always have one lap
+ */
+function normalizeRaceMode({ mode, laps } = {}) {
+  if (!RACE_MODES.includes(mode) || mode === 'sprint') {
+    return { mode: 'sprint', laps: 1 };
+  }
+
+  const lapCount = Math.floor(Number(laps));
+  return {
+    mode,
+    laps: Number.isFinite(lapCount) ? Math.min(Math.max(lapCount, 1), MAX_LAPS) : 3,
+  };
+}
+
+/**
+ * Clean up a checkpoint from the builder
+ * @param {Array|Object} checkpoint - [x, y, z] or { position, radius }
+ * @returns {{position: Array, radius: number}}
+ */
+function normalizeCheckpoint(checkpoint) {
+  const position = Array.isArray(checkpoint) ? checkpoint : checkpoint.position;
+  const radius = Number(!Array.isArray(checkpoint) && checkpoint.radius) || DEFAULT_CHECKPOINT_RADIUS;
+  return {
+    position,
+    radius: Math.min(Math.max(radius, MIN_CHECKPOINT_RADIUS), MAX_CHECKPOINT_RADIUS),
+  };
+}
+
+/**
+ * Start/finish line rotation around Y. Tracks saved by older editors nest a whole
+ * [x, y, z] rotation in the Y slot ([0, [0, y, 0], 0]), so that shape is unwrapped too.
+ * @param {*} rotation - startFinish.rotation as stored
+ * @returns {number} Radians, 0 if the rotation is missing or malformed
+ */
+function getStartRotation(rotation) {
+  if (!Array.isArray(rotation)) return 0;
+  const y = Array.isArray(rotation[1]) ? rotation[1][1] : rotation[1];
+  const value = Number(y);
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Convert a track into the start line, checkpoints and mode used by a race game
+ * @param {Object} track - Track from the library
+ * @returns {{startLine: Array, startRotation: number, checkpoints: Array<{id: string, position: Array, radius: number}>, mode: string, laps: number}}
+ */
+function trackToRaceLayout(track) {
+  const checkpoints = [...track.checkpoints]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(cp => ({ id: cp.id, position: cp.position, radius: cp.radius || DEFAULT_CHECKPOINT_RADIUS }));
+
+  return {
+    startLine: track.startFinish.position,
+    startRotation: getStartRotation(track.startFinish.rotation),
+    checkpoints,
+    ...normalizeRaceMode(track),
+  };
+}
+
+module.exports = {
+  TrackLibrary,
+  normalizeCheckpoint,
+  normalizeRaceMode,
+  trackToRaceLayout,
+};
@@ -1,6 +1,23 @@
 import { create } from "zustand";
 // Uses window.gameSocket for multiplayer socket communication
 
+// ID sent to the server when crossing the start/finish line on a circuit
+export const START_FINISH_ID = "start-finish";
+
+// Targets passed each lap: circuits finish every lap at the start/finish line
+export const getLapTargets = (checkpoints, mode, startLine) => {
+  if (mode !== "circuit" || !startLine) return checkpoints;
+  return [...checkpoints, { id: START_FINISH_ID, position: startLine }];
+};
+
+// Horizontal distance, like checkpoint detection
+const distanceXZ = (a, b) => {
+  if (!a || !b) return Infinity;
+  const dx = a[0] - b[0];
+  const dz = a[2] - b[2];
+  return Math.sqrt(dx * dx + dz * dz);
+};
+
 export const useRaceStore = create((set, get) => ({
   // Race state
   currentCheckpointIndex: 0,
@@ -13,6 +30,30 @@ export const useRaceStore = create((set, get) => ({
   raceData: null,
   isRaceReady: false,
   startLine: [0, -0.8, -7], // Positioned on the ground, 2 units behind join area
+  startRotation: 0,
+  
+  // Race mode: 'sprint' ends at the last checkpoint, 'circuit' runs `laps` laps through the start/finish line
+  mode: 'sprint',
+  laps: 1,
+  lapsCompleted: 0,
+  lapStartTime: null,
+  lapTimes: [], // Local split for each completed lap (the server's are in raceResults)
+  
+  // Server-timed split at every checkpoint, and the latest one compared to our PB and the leader
+  splits: [],
+  lastSplit: null, // { index, lap, split, pbDelta, leaderDelta, isLeader, receivedAt }
+  
+  // Live standings
+  racerIds: [], // Everyone in the current race, from race:start
+  opponents: {}, // { [playerId]: { lap, nextCheckpoint, finished, position } }
+  standings: [], // [{ playerId, position, finished }] ordered 1st to last
+  myPosition: null,
+  
+  // Results confirmed by the server
+  finishInfo: null, // { timeElapsed, position } for the local player
+  raceResults: null, // Final standings from race:results
+  leaderboard: null, // Track leaderboard and our personal best from race:leaderboard
+  ghost: null, // Recorded run of our personal best on this track, from race:ghost
   
   // Countdown state
   isCountdownActive: false,
@@ -50,11 +91,17 @@ export const useRaceStore = create((set, get) => ({
   // Update race data and set isRaceReady if we have valid data
   setRaceData: (data) => {
     const isReady = data && data.checkpoints && data.checkpoints.length > 0 && data.startLine;
+    // A ghost only belongs to the track it was recorded on
+    const sameTrack = !!data?.trackId && data.trackId === get().raceData?.trackId;
     set({ 
       raceData: data,
       checkpoints: data?.checkpoints || [],
       startLine: data?.startLine || get().startLine,
-      isRaceReady: isReady
+      startRotation: data?.startRotation || 0,
+      mode: data?.mode || 'sprint',
+      laps: data?.laps || 1,
+      isRaceReady: isReady,
+      ghost: sameTrack ? get().ghost : null
     });
     console.log('[RaceStore] Updated race data, race ready:', isReady);
   },
@@ -94,29 +141,48 @@ export const useRaceStore = create((set, get) => ({
 
 
   passCheckpoint: (id) => {
-    const { currentCheckpointIndex, checkpoints, roomId } = get();
+    const { currentCheckpointIndex, checkpoints, roomId, mode, laps, startLine, lapsCompleted, lapStartTime, lapTimes, timeStart } = get();
     console.log(`[RaceStore] Attempting to pass checkpoint ${id}, current index: ${currentCheckpointIndex}`);
     
-    // Check if this is the current checkpoint
-    const currentCheckpoint = checkpoints[currentCheckpointIndex];
+    // Check if this is the current checkpoint (or the start/finish line at the end of a circuit lap)
+    const targets = getLapTargets(checkpoints, mode, startLine);
+    const currentCheckpoint = targets[currentCheckpointIndex];
     if (currentCheckpoint && (currentCheckpoint.id === id || id === currentCheckpointIndex)) {
       const newIndex = currentCheckpointIndex + 1;
-      console.log(`[RaceStore] Passed checkpoint ${id}, advancing to index ${newIndex}`);
       
-      set({ currentCheckpointIndex: newIndex });
-      
-      // Emit to server if socket exists
+      // Emit to server if socket exists - the server validates order and distance
       if (window.gameSocket) {
-        window.gameSocket.emit("checkpoint:passed", { 
+        window.gameSocket.emit("race:checkpoint", { 
           roomId, 
           checkpointId: id, 
-          index: newIndex 
+          index: currentCheckpointIndex,
+          lap: lapsCompleted
         });
       }
       
+      if (newIndex < targets.length) {
+        console.log(`[RaceStore] Passed checkpoint ${id}, advancing to index ${newIndex}`);
+        set({ currentCheckpointIndex: newIndex });
+        return;
+      }
+      
+      // Lap complete
+      const now = Date.now();
+      const completed = lapsCompleted + 1;
+      const raceFinished = completed >= laps;
+      console.log(`[RaceStore] Completed lap ${completed}/${laps}`);
+      
+      set({
+        lapsCompleted: completed,
+        lapTimes: [...lapTimes, now - (lapStartTime || timeStart || now)],
+        lapStartTime: now,
+        // Start the next lap at the first checkpoint, or hide everything once finished
+        currentCheckpointIndex: raceFinished ? newIndex : 0
+      });
+      
       // Check if race is finished
-      if (newIndex >= checkpoints.length) {
-        console.log('[RaceStore] All checkpoints passed, finishing race!');
+      if (raceFinished) {
+        console.log('[RaceStore] All laps complete, finishing race!');
         setTimeout(() => get().finishRace(), 500); // Small delay to ensure last checkpoint is registered
       }
     } else {
@@ -124,6 +190,128 @@ export const useRaceStore = create((set, get) => ({
     }
   },
 
+  // Server rejected a checkpoint - go back to the one (and the lap) it expects
+  rejectCheckpoint: ({ expectedIndex, lap, reason }) => {
+    console.log(`[RaceStore] Checkpoint rejected by server (${reason}), back to index ${expectedIndex}`);
+    const update = { currentCheckpointIndex: expectedIndex };
+    if (typeof lap === 'number') {
+      update.lapsCompleted = lap;
+      update.lapTimes = get().lapTimes.slice(0, lap);
+    }
+    set(update);
+  },
+
+  // Server confirmed the local player's finish
+  setFinishInfo: (finishInfo) => set({ finishInfo }),
+
+  // Server sent the final standings
+  setRaceResults: (raceResults) => set({ raceResults }),
+
+  // Server sent the track leaderboard (with lastTime after we finish)
+  setLeaderboard: (leaderboard) => set({ leaderboard }),
+
+  // A race started: everyone else in it starts at the first checkpoint
+  setRacers: (racerIds, myId) => {
+    const opponents = {};
+    (racerIds || []).forEach(playerId => {
+      if (playerId !== myId) {
+        opponents[playerId] = { lap: 0, nextCheckpoint: 0, finished: false, position: null };
+      }
+    });
+    set({ racerIds: racerIds || [], opponents, standings: [], myPosition: null });
+  },
+
+  // An opponent passed a checkpoint (opponent:checkpoint)
+  setOpponentProgress: ({ playerId, index, lap = 0 }) => {
+    const { opponents, checkpoints, mode, startLine } = get();
+    const opponent = opponents[playerId];
+    if (!opponent || opponent.finished) return;
+
+    // Passing the last target of a lap starts the next one
+    const targetsPerLap = getLapTargets(checkpoints, mode, startLine).length;
+    const lapDone = index + 1 >= targetsPerLap;
+    set({
+      opponents: {
+        ...opponents,
+        [playerId]: {
+          ...opponent,
+          lap: lapDone ? lap + 1 : lap,
+          nextCheckpoint: lapDone ? 0 : index + 1
+        }
+      }
+    });
+  },
+
+  // An opponent's finish was confirmed by the server (race:finished)
+  setOpponentFinished: ({ playerId, position }) => {
+    const { opponents } = get();
+    if (!opponents[playerId]) return;
+    set({
+      opponents: {
+        ...opponents,
+        [playerId]: { ...opponents[playerId], finished: true, position }
+      }
+    });
+  },
+
+  // Rank every racer by laps and checkpoints passed, then by distance to their next checkpoint.
+  // Called every frame; only updates the store when the order changes.
+  updateStandings: (players, myId) => {
+    const {
+      opponents, checkpoints, mode, startLine, laps,
+      currentCheckpointIndex, lapsCompleted, finishInfo, standings
+    } = get();
+    const targets = getLapTargets(checkpoints, mode, startLine);
+    if (targets.length === 0) return;
+
+    const entries = Object.entries(opponents).map(([playerId, opponent]) => ({ playerId, ...opponent }));
+    entries.push({
+      playerId: myId,
+      lap: lapsCompleted,
+      nextCheckpoint: currentCheckpointIndex,
+      finished: !!finishInfo || lapsCompleted >= laps,
+      position: finishInfo ? finishInfo.position : null
+    });
+
+    const ranked = entries
+      .map(entry => {
+        const target = targets[Math.min(entry.nextCheckpoint, targets.length - 1)];
+        return {
+          ...entry,
+          progress: entry.lap * targets.length + entry.nextCheckpoint,
+          distance: distanceXZ(players?.[entry.playerId]?.position, target.position)
+        };
+      })
+      .sort((a, b) => {
+        if (a.finished !== b.finished) return a.finished ? -1 : 1;
+        if (a.finished) return (a.position || Infinity) - (b.position || Infinity);
+        if (a.progress !== b.progress) return b.progress - a.progress;
+        return a.distance - b.distance;
+      })
+      .map((entry, index) => ({ playerId: entry.playerId, position: index + 1, finished: entry.finished }));
+
+    const changed = ranked.length !== standings.length ||
+      ranked.some((entry, index) => entry.playerId !== standings[index].playerId || entry.finished !== standings[index].finished);
+    if (changed) {
+      set({
+        standings: ranked,
+        myPosition: ranked.find(entry => entry.playerId === myId)?.position || null
+      });
+    }
+  },
+
+  // Server confirmed a checkpoint and sent our split time
+  recordSplit: (split) => {
+    const splits = [...get().splits];
+    splits[split.index] = split.split;
+    set({ splits, lastSplit: { ...split, receivedAt: Date.now() } });
+  },
+
+  // Server sent our personal best run to replay (null if we have none on this track)
+  setGhost: (ghost) => set({ ghost }),
+
+  clearRaceResults: () => set({ raceResults: null, finishInfo: null, leaderboard: null }),
+
   startRace: () => {
     console.log('[RaceStore] Starting race!');
     const timeStart = Date.now();
@@ -133,7 +321,15 @@ export const useRaceStore = create((set, get) => ({
       isRaceRunning: true, 
       timeStart, 
       currentCheckpointIndex: 0,
-      isCountdownActive: false 
+      lapsCompleted: 0,
+      lapStartTime: timeStart,
+      lapTimes: [],
+      splits: [],
+      lastSplit: null,
+      isCountdownActive: false,
+      finishInfo: null,
+      raceResults: null,
+      leaderboard: null
     });
     
     // Emit to server if socket exists
@@ -145,27 +341,17 @@ export const useRaceStore = create((set, get) => ({
     }
   },
 
+  // The official time and position come from the server (race:finished / race:results)
   finishRace: () => {
-    const { timeStart, roomId } = get();
+    const { timeStart } = get();
     const timeElapsed = timeStart ? Date.now() - timeStart : 0;
     
-    console.log(`[RaceStore] Race finished in ${timeElapsed/1000} seconds!`);
+    console.log(`[RaceStore] Race finished in ${timeElapsed/1000} seconds (local estimate)`);
     
     set({ 
       isRaceRunning: false, 
       timeElapsed,
       isJoined: false // Reset joined state so player can join again
     });
-    
-    // Emit to server if socket exists
-    if (window.gameSocket) {
-      window.gameSocket.emit("race:finished", { 
-        roomId, 
-        timeElapsed 
-      });
-    }
-    
-    // Show completion message
-    alert(`Race completed in ${(timeElapsed/1000).toFixed(2)} seconds!`);
   },
 }));
@@ -0,0 +1,102 @@
+/**
+ * FreezeTagGame.jsx
+ * Keeps the freeze tag store in sync with the server and detects freezes and rescues.
+ * IT freezes runners by touching them; free runners thaw frozen ones the same way.
+ */
+import { useEffect, useRef } from 'react';
+import { useMultiplayer } from '../../components/MultiplayerProvider';
+import { getSocket } from '../../utils/socketManager';
+import { useFreezeTagStore } from './freezeTagStore';
+import { freezeTagConfig } from './freezeTagConfig';
+
+const GAME_TYPE = 'freezeTag';
+// Don't resend a freeze/unfreeze for the same player while the server is answering
+const REQUEST_COOLDOWN_MS = 500;
+
+const distanceXZ = (a, b) => Math.hypot(a[0] - b[0], a[2] - b[2]);
+
+export default function FreezeTagGame() {
+  const { myId, players } = useMultiplayer();
+  const { roomId, players: roundPlayers, taggedPlayerId, frozenPlayerIds, setRound, reset } = useFreezeTagStore();
+  const lastRequestRef = useRef({});
+
+  // Round state from the server
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket) return;
+    // Events sent to the player's own socket may arrive on window.gameSocket
+    const sockets = window.gameSocket && window.gameSocket !== socket ? [socket, window.gameSocket] : [socket];
+
+    // gameStart only reaches the players; the world room gets gameStateUpdate and freezeTag:state
+    const handleRoundState = (data) => {
+      if (data?.gameType !== GAME_TYPE) return;
+      if (data.state === 'ended') {
+        reset();
+      } else if (data.players) {
+        setRound(data);
+      }
+    };
+
+    const handleGameEnded = (data) => {
+      if (data?.gameType !== GAME_TYPE) return;
+      console.log(`[FreezeTag] 🏁 Round ${data.roomId} ended`);
+      reset();
+    };
+
+    sockets.forEach(s => {
+      s.on('gameStart', handleRoundState);
+      s.on('gameStatus', handleRoundState);
+      s.on('gameStateUpdate', handleRoundState);
+      s.on('freezeTag:state', handleRoundState);
+      s.on('gameEnded', handleGameEnded);
+    });
+
+    return () => {
+      sockets.forEach(s => {
+        s.off('gameStart', handleRoundState);
+        s.off('gameStatus', handleRoundState);
+        s.off('gameStateUpdate', handleRoundState);
+        s.off('freezeTag:state', handleRoundState);
+        s.off('gameEnded', handleGameEnded);
+      });
+    };
+  }, [myId, setRound, reset]);
+
+  const isPlaying = !!roomId && roundPlayers.includes(myId);
+  const isIt = taggedPlayerId === myId;
+  const amFrozen = frozenPlayerIds.includes(myId);
+
+  // Position-based touch detection, like the race checkpoints
+  useEffect(() => {
+    if (!isPlaying || amFrozen) return;
+
+    const myPos = players[myId]?.position;
+    if (!myPos) return;
+
+    const now = Date.now();
+    const request = (event, targetId) => {
+      if (now - (lastRequestRef.current[targetId] || 0) < REQUEST_COOLDOWN_MS) return;
+      lastRequestRef.current[targetId] = now;
+      window.gameSocket?.emit(event, { roomId, targetId });
+    };
+
+    roundPlayers.forEach(playerId => {
+      if (playerId === myId || playerId === taggedPlayerId) return;
+      const theirPos = players[playerId]?.position;
+      if (!theirPos) return;
+
+      const isFrozen = frozenPlayerIds.includes(playerId);
+      const distance = distanceXZ(myPos, theirPos);
+
+      if (isIt && !isFrozen && distance <= freezeTagConfig.tagDistance) {
+        console.log(`[FreezeTag] 🧊 Freezing ${playerId.substring(0, 6)} at ${distance.toFixed(2)}m`);
+        request('freezeTag:tag', playerId);
+      } else if (!isIt && isFrozen && distance <= freezeTagConfig.unfreezeDistance) {
+        console.log(`[FreezeTag] 🔥 Unfreezing ${playerId.substring(0, 6)} at ${distance.toFixed(2)}m`);
+        request('freezeTag:unfreeze', playerId);
+      }
+    });
+  }, [isPlaying, amFrozen, isIt, players, myId, roomId, roundPlayers, taggedPlayerId, frozenPlayerIds]);
+
+  return null;
+}
@@ -0,0 +1,91 @@
+/**
+ * InfectionGame.jsx
+ * Keeps the infection store in sync with the server and detects infections.
+ * Every infected player chases survivors; a survivor they touch is infected too.
+ */
+import { useEffect, useRef } from 'react';
+import { useMultiplayer } from '../../components/MultiplayerProvider';
+import { getSocket } from '../../utils/socketManager';
+import { useInfectionStore } from './infectionStore';
+import { infectionConfig } from './infectionConfig';
+
+const GAME_TYPE = 'infection';
+// Don't resend an infection for the same player while the server is answering
+const REQUEST_COOLDOWN_MS = 500;
+
+const distanceXZ = (a, b) => Math.hypot(a[0] - b[0], a[2] - b[2]);
+
+export default function InfectionGame() {
+  const { myId, players } = useMultiplayer();
+  const { roomId, players: roundPlayers, infectedPlayerIds, setRound, reset } = useInfectionStore();
+  const lastRequestRef = useRef({});
+
+  // Round state from the server
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket) return;
+    // Events sent to the player's own socket may arrive on window.gameSocket
+    const sockets = window.gameSocket && window.gameSocket !== socket ? [socket, window.gameSocket] : [socket];
+
+    // gameStart only reaches the players; the world room gets gameStateUpdate and infection:state
+    const handleRoundState = (data) => {
+      if (data?.gameType !== GAME_TYPE) return;
+      if (data.state === 'ended') {
+        reset();
+      } else if (data.players) {
+        setRound(data);
+      }
+    };
+
+    const handleGameEnded = (data) => {
+      if (data?.gameType !== GAME_TYPE) return;
+      console.log(`[Infection] 🏁 Round ${data.roomId} ended`);
+      reset();
+    };
+
+    sockets.forEach(s => {
+      s.on('gameStart', handleRoundState);
+      s.on('gameStatus', handleRoundState);
+      s.on('gameStateUpdate', handleRoundState);
+      s.on('infection:state', handleRoundState);
+      s.on('gameEnded', handleGameEnded);
+    });
+
+    return () => {
+      sockets.forEach(s => {
+        s.off('gameStart', handleRoundState);
+        s.off('gameStatus', handleRoundState);
+        s.off('gameStateUpdate', handleRoundState);
+        s.off('infection:state', handleRoundState);
+        s.off('gameEnded', handleGameEnded);
+      });
+    };
+  }, [myId, setRound, reset]);
+
+  const isInfected = !!roomId && roundPlayers.includes(myId) && infectedPlayerIds.includes(myId);
+
+  // Position-based touch detection, like the race checkpoints
+  useEffect(() => {
+    if (!isInfected) return;
+
+    const myPos = players[myId]?.position;
+    if (!myPos) return;
+
+    const now = Date.now();
+    roundPlayers.forEach(playerId => {
+      if (infectedPlayerIds.includes(playerId)) return;
+      const theirPos = players[playerId]?.position;
+      if (!theirPos) return;
+
+      const distance = distanceXZ(myPos, theirPos);
+      if (distance > infectionConfig.tagDistance) return;
+      if (now - (lastRequestRef.current[playerId] || 0) < REQUEST_COOLDOWN_MS) return;
+
+      lastRequestRef.current[playerId] = now;
+      console.log(`[Infection] 🧟 Infecting ${playerId.substring(0, 6)} at ${distance.toFixed(2)}m`);
+      window.gameSocket?.emit('infection:tag', { roomId, targetId: playerId });
+    });
+  }, [isInfected, players, myId, roomId, roundPlayers, infectedPlayerIds]);
+
+  return null;
+}
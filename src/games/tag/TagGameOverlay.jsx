@@ -7,6 +7,92 @@ import React, { useEffect, useState, useRef } from 'react';
 import { useMultiplayer } from '../../components/MultiplayerProvider';
 import { useGameSystem } from '../../components/GameSystemProvider';
 import { getSocket } from '../../utils/socketManager';
+import { useFreezeTagStore } from './freezeTagStore';
+import { useInfectionStore } from './infectionStore';
+import { useHideAndSeekStore } from '../hideAndSeek/store';
+import { useSpectatorStore } from '../../components/spectator/store';
+
+// How long the end-of-round results stay up before fading out
+const END_CEREMONY_MS = 8000;
+
+const ordinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = n % 100;
+  return `${n}${lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[n % 10] || 'th')}`;
+};
+
+export const GAME_TITLES = {
+  tag: 'TAG',
+  freezeTag: 'FREEZE TAG',
+  infection: 'INFECTION',
+  hideAndSeek: 'HIDE AND SEEK',
+};
+
+// Stat columns shown on the scoreboard for each game type
+const SCOREBOARD_COLUMNS = {
+  tag: [
+    { label: 'IT time', value: entry => `${entry.secondsAsIt.toFixed(1)}s` },
+    { label: 'Tags', value: entry => entry.tags },
+    { label: 'Tagged', value: entry => entry.timesTagged },
+  ],
+  freezeTag: [
+    { label: 'Frozen', value: entry => `${entry.secondsFrozen.toFixed(1)}s` },
+    { label: 'Freezes', value: entry => entry.freezes },
+    { label: 'Rescues', value: entry => entry.rescues },
+  ],
+  infection: [
+    { label: 'Survived', value: entry => `${entry.secondsSurvived.toFixed(1)}s` },
+    { label: 'Infected', value: entry => entry.infections },
+  ],
+  hideAndSeek: [
+    { label: 'Role', value: entry => entry.role },
+    { label: 'Hidden', value: entry => (entry.role === 'hider' ? `${entry.secondsHidden.toFixed(1)}s` : '-') },
+    { label: 'Found', value: entry => entry.finds },
+  ],
+};
+
+// Cumulative points across the rounds of a match
+const MATCH_COLUMNS = [
+  { label: 'Points', value: entry => entry.points },
+  { label: 'Round wins', value: entry => entry.roundWins },
+];
+
+// Ranked results sent by the server with gameEnded
+const Scoreboard = ({ scoreboard, myId, gameType, columns = SCOREBOARD_COLUMNS[gameType] || SCOREBOARD_COLUMNS.tag }) => {
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '15px' }}>
+      <thead>
+        <tr style={{ color: '#AAAAAA', fontSize: '12px' }}>
+          <th style={{ textAlign: 'left', padding: '4px' }}>#</th>
+          <th style={{ textAlign: 'left', padding: '4px' }}>Player</th>
+          {columns.map(column => (
+            <th key={column.label} style={{ padding: '4px' }}>{column.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {scoreboard.map(entry => (
+          <tr
+            key={entry.playerId}
+            style={{
+              backgroundColor: entry.playerId === myId ? 'rgba(85, 255, 85, 0.2)' : 'transparent',
+              opacity: entry.left ? 0.5 : 1
+            }}
+          >
+            <td style={{ textAlign: 'left', padding: '4px' }}>{ordinal(entry.rank)}</td>
+            <td style={{ textAlign: 'left', padding: '4px' }}>
+              {entry.playerId === myId ? 'You' : `${entry.playerId.substring(0, 5)}...`}
+              {entry.isIt && ' (IT)'}
+            </td>
+            {columns.map(column => (
+              <td key={column.label} style={{ padding: '4px' }}>{column.value(entry)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
 
 const TagGameOverlay = ({ gameType = 'tag' }) => {
   const { myId } = useMultiplayer();
@@ -22,7 +108,37 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
   const [gameState, setGameState] = useState('waiting');
   const [showEndCeremony, setShowEndCeremony] = useState(false);
   const [fadeOut, setFadeOut] = useState(false);
+  const [scoreboard, setScoreboard] = useState(null);
+  // Round number while a match is being played, and where the match stands after a round
+  const [matchRound, setMatchRound] = useState(null);
+  const [match, setMatch] = useState(null);
+  const [secondsToNextRound, setSecondsToNextRound] = useState(0);
   const fadeOutTimerRef = useRef(null);
+  const { players: freezeTagPlayers, taggedPlayerId: freezeTagIt, frozenPlayerIds } = useFreezeTagStore();
+  const { players: infectionPlayers, infectedPlayerIds } = useInfectionStore();
+  const { phase: hideAndSeekPhase, seekers, hiders } = useHideAndSeekStore();
+  const viewerCount = useSpectatorStore((s) => (roomId ? s.viewerCounts[roomId] || 0 : 0));
+
+  // Show the end ceremony, then fade it out
+  const startEndCeremony = () => {
+    if (fadeOutTimerRef.current) return; // Already showing
+    setFadeOut(false);
+    setShowEndCeremony(true);
+
+    fadeOutTimerRef.current = setTimeout(() => {
+      console.log(`[TagGameOverlay] Fading out end ceremony`);
+      setFadeOut(true);
+
+      // After fadeout animation completes, hide the UI completely
+      setTimeout(() => {
+        console.log(`[TagGameOverlay] Hiding UI completely`);
+        setShowEndCeremony(false);
+        setScoreboard(null);
+        setMatch(null);
+        fadeOutTimerRef.current = null;
+      }, 2000); // Match the CSS animation duration
+    }, END_CEREMONY_MS);
+  };
 
   // Format time as MM:SS
   const formatTime = (seconds) => {
@@ -75,19 +191,7 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
       else if (game.state === 'ended' && playerIsInGame) {
         // Game just ended - show end ceremony
         console.log(`[TagGameOverlay] Game ended, showing end ceremony`);
-        setShowEndCeremony(true);
-        
-        // Set a timer to fade out the UI after showing the end ceremony
-        fadeOutTimerRef.current = setTimeout(() => {
-          console.log(`[TagGameOverlay] Fading out end ceremony`);
-          setFadeOut(true);
-          
-          // After fadeout animation completes, hide the UI completely
-          setTimeout(() => {
-            console.log(`[TagGameOverlay] Hiding UI completely`);
-            setShowEndCeremony(false);
-          }, 2000); // Match the CSS animation duration
-        }, 5000); // Show end ceremony for 5 seconds
+        startEndCeremony();
       }
     } else {
       // No tag game found
@@ -99,14 +203,11 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
       setGameTimeRemaining(0);
     }
     
-    // Clean up any timers when component unmounts or dependencies change
-    return () => {
-      if (fadeOutTimerRef.current) {
-        clearTimeout(fadeOutTimerRef.current);
-      }
-    };
   }, [activeGames, myId, gameType]);
 
+  // Clean up the fade timer when the component unmounts
+  useEffect(() => () => clearTimeout(fadeOutTimerRef.current), []);
+
   // Set up continuous timer update (fixes timer freezing issue)
   useEffect(() => {
     // Only run timer when game is active and we have an end time
@@ -136,6 +237,16 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
     }
   }, [gameState]);
 
+  // Count down the intermission before the match's next round
+  useEffect(() => {
+    if (!match?.nextRoundAt) return;
+
+    const update = () => setSecondsToNextRound(Math.max(0, Math.ceil((match.nextRoundAt - Date.now()) / 1000)));
+    update();
+    const intermissionInterval = setInterval(update, 1000);
+    return () => clearInterval(intermissionInterval);
+  }, [match]);
+
   // Listen for game state updates
   useEffect(() => {
     if (!socket) return;
@@ -154,6 +265,11 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
         const remaining = Math.max(0, Math.floor((data.endTime - Date.now()) / 1000));
         setGameTimeRemaining(remaining);
       }
+
+      // Round starts say which round of the match is being played
+      if (data.rounds) {
+        setMatchRound(data.rounds > 1 ? { round: data.round, rounds: data.rounds } : null);
+      }
     };
     
     const handlePlayerTagged = (data) => {
@@ -166,12 +282,50 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
       }
     };
     
+    // The round's final scoreboard
+    const handleGameEnded = (data) => {
+      if (data.gameType !== gameType || !data.players?.includes(myId)) return;
+      
+      setScoreboard(Array.isArray(data.scoreboard) ? data.scoreboard : null);
+      setMatch(data.match || null);
+      setIsTagged(data.taggedPlayerId === myId);
+      startEndCeremony();
+    };
+
+    // A match stopped early because too few players were left for the next round
+    const handleMatchEnded = (data) => {
+      if (data.gameType !== gameType) return;
+
+      if (fadeOutTimerRef.current) {
+        clearTimeout(fadeOutTimerRef.current);
+        fadeOutTimerRef.current = null;
+      }
+      setScoreboard(null);
+      setMatch(data.match);
+      startEndCeremony();
+    };
+    
     socket.on('gameStateUpdate', handleGameStateUpdate);
     socket.on('playerTagged', handlePlayerTagged);
+    socket.on('gameEnded', handleGameEnded);
+    socket.on('matchEnded', handleMatchEnded);
+    
+    // gameEnded is sent to the player's own socket, which may be window.gameSocket
+    if (window.gameSocket && window.gameSocket !== socket) {
+      window.gameSocket.on('gameEnded', handleGameEnded);
+      window.gameSocket.on('matchEnded', handleMatchEnded);
+    }
     
     return () => {
       socket.off('gameStateUpdate', handleGameStateUpdate);
       socket.off('playerTagged', handlePlayerTagged);
+      socket.off('gameEnded', handleGameEnded);
+      socket.off('matchEnded', handleMatchEnded);
+      
+      if (window.gameSocket && window.gameSocket !== socket) {
+        window.gameSocket.off('gameEnded', handleGameEnded);
+        window.gameSocket.off('matchEnded', handleMatchEnded);
+      }
     };
   }, [socket, myId, gameType]);
 
@@ -197,9 +351,20 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
           fontWeight: 'bold', fontSize: '20px', textAlign: 'center', marginBottom: '10px',
           width: '100%', boxShadow: '0 4px 8px rgba(0,0,0,0.5)'
         }}>
-          {gameType.toUpperCase()} - {formatTime(gameTimeRemaining)} remainingz
+          {GAME_TITLES[gameType] || gameType.toUpperCase()} - {formatTime(gameTimeRemaining)} remainingz
+          {matchRound && (
+            <div style={{ fontSize: '14px', color: '#AAAAAA' }}>
+              Round {matchRound.round} of {matchRound.rounds}
+            </div>
+          )}
+          {viewerCount > 0 && (
+            <div style={{ fontSize: '14px', color: '#AAAAAA' }}>
+              👁️ {viewerCount} watching
+            </div>
+          )}
         </div>
-        {taggedPlayerId && (
+        {/* In infection everyone infected is IT, so show the survivor count instead */}
+        {taggedPlayerId && gameType !== 'infection' && gameType !== 'hideAndSeek' && (
           <div style={{
             backgroundColor: isTagged ? '#550000' : '#000000',
             color: isTagged ? '#FF5555' : '#FFFFFF',
@@ -209,14 +374,57 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
             {isTagged ? 'YOU ARE IT!' : `${taggedPlayerId.substring(0, 5)}... is IT!`}
           </div>
         )}
+        {gameType === 'freezeTag' && (
+          <div style={{
+            backgroundColor: frozenPlayerIds.includes(myId) ? '#1B4F72' : '#000000',
+            color: frozenPlayerIds.includes(myId) ? '#9ED8FF' : '#FFFFFF',
+            padding: '8px 16px', borderRadius: '8px', fontSize: '16px', textAlign: 'center',
+            width: '90%', marginTop: '10px', boxShadow: '0 4px 8px rgba(0,0,0,0.5)'
+          }}>
+            {frozenPlayerIds.includes(myId)
+              ? 'YOU ARE FROZEN! Wait for a teammate to thaw you'
+              : `${frozenPlayerIds.length} of ${freezeTagPlayers.filter(id => id !== freezeTagIt).length} runners frozen`}
+          </div>
+        )}
+        {gameType === 'infection' && (
+          <div style={{
+            backgroundColor: infectedPlayerIds.includes(myId) ? '#550000' : '#000000',
+            color: infectedPlayerIds.includes(myId) ? '#FF5555' : '#FFFFFF',
+            padding: '8px 16px', borderRadius: '8px', fontSize: '16px', textAlign: 'center',
+            width: '90%', boxShadow: '0 4px 8px rgba(0,0,0,0.5)'
+          }}>
+            {infectedPlayerIds.includes(myId) ? 'YOU ARE INFECTED! Catch the survivors' : 'SURVIVE!'}
+            {` - ${infectionPlayers.length - infectedPlayerIds.length} survivors left`}
+          </div>
+        )}
+        {gameType === 'hideAndSeek' && (
+          <div style={{
+            backgroundColor: seekers.includes(myId) ? '#550000' : '#000000',
+            color: seekers.includes(myId) ? '#FF5555' : '#FFFFFF',
+            padding: '8px 16px', borderRadius: '8px', fontSize: '16px', textAlign: 'center',
+            width: '90%', boxShadow: '0 4px 8px rgba(0,0,0,0.5)'
+          }}>
+            {seekers.includes(myId) && 'YOU ARE SEEKING!'}
+            {hiders.includes(myId) && (hideAndSeekPhase === 'hiding' ? 'HIDE!' : 'STAY HIDDEN!')}
+            {!seekers.includes(myId) && !hiders.includes(myId) && 'You were found - spectating'}
+            {` - ${hiders.length} hiding`}
+          </div>
+        )}
       </div>
     );
   }
   
   // End game ceremony UI
   if (showEndCeremony) {
-    // Determine if the player won or lost
-    const playerWon = !isTagged; // If you're not tagged when game ends, you win!
+    // Determine if the player won or lost - from the scoreboard when we have one
+    const myEntry = scoreboard?.find(entry => entry.playerId === myId);
+    // At the end of a match, winning means topping the match standings
+    const myStanding = match?.finished ? match.standings.find(entry => entry.playerId === myId) : null;
+    const playerWon = myStanding
+      ? myStanding.rank === 1
+      : myEntry ? myEntry.rank === 1 : !isTagged; // If you're not tagged when game ends, you win!
+    let headline = playerWon ? 'YOU WON!' : 'YOU LOST!';
+    if (match?.finished) headline = playerWon ? 'YOU WON THE MATCH!' : 'MATCH OVER';
     
     return (
       <div style={{
@@ -232,7 +440,7 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
           width: '100%', boxShadow: '0 8px 16px rgba(0,0,0,0.5)', marginBottom: '20px',
           animation: 'pulse 1s infinite alternate'
         }}>
-          {playerWon ? 'YOU WON!' : 'YOU LOST!'}
+          {headline}
         </div>
         <div style={{
           backgroundColor: 'rgba(0,0,0,0.8)',
@@ -240,9 +448,31 @@ const TagGameOverlay = ({ gameType = 'tag' }) => {
           padding: '15px 25px', borderRadius: '8px', fontSize: '18px',
           width: '90%', boxShadow: '0 4px 8px rgba(0,0,0,0.5)'
         }}>
-          {playerWon 
+          {myEntry ? (
+            <>
+              <div style={{ marginBottom: '10px' }}>
+                You finished {ordinal(myEntry.rank)} of {scoreboard.length}
+                {match && ` in round ${match.round} of ${match.rounds}`}
+              </div>
+              <Scoreboard scoreboard={scoreboard} myId={myId} gameType={gameType} />
+            </>
+          ) : !match && (playerWon 
             ? 'Congratulations! You survived without being tagged!' 
-            : 'Better luck next time! You were IT when the game ended.'}
+            : 'Better luck next time! You were IT when the game ended.')}
+          {match && (
+            <>
+              <div style={{ margin: '15px 0 10px' }}>
+                {match.finished ? `Final standings after ${match.round} of ${match.rounds} rounds` : 'Match standings'}
+              </div>
+              <Scoreboard scoreboard={match.standings} myId={myId} gameType={gameType} columns={MATCH_COLUMNS} />
+              {!match.finished && (
+                <div style={{ marginTop: '10px', color: '#AAAAAA' }}>
+                  Round {match.round + 1} starts in {secondsToNextRound}s
+                  {match.nextItId && ` - ${match.nextItId === myId ? 'you are' : `${match.nextItId.substring(0, 5)}... is`} IT`}
+                </div>
+              )}
+            </>
+          )}
         </div>
       </div>
     );
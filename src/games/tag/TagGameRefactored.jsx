@@ -11,15 +11,11 @@ import { getSocket } from '../../utils/socketManager';
 // Import reusable game system components
 import GameZoneSystem from '../../components/game-systems/GameZoneSystem';
 import GameTimerSystem from '../../components/game-systems/GameTimerSystem';
-import PlayerInteractionSystem from '../../components/game-systems/PlayerInteractionSystem';
 import GameStatusUI from '../../components/game-systems/GameStatusUI';
 
-// Tag game configuration - EXACTLY matching original settings for consistency
-const TAG_DISTANCE = 0.25; // CRITICAL: Match the original 0.25 distance (much smaller than default)
-const TAG_COOLDOWN = 3000; // 3 seconds between tags
+// Tag game configuration - tags themselves are detected by the server
 const GAME_DURATION = 60; // 1 minute games
 const JOIN_ZONE_POSITION = [-8, -0.75, -5]; // Same as original
-const TAG_STABILIZATION_THRESHOLD = 2; // Match original threshold
 
 // Using React.memo to prevent unnecessary re-renders
 const TagGameRefactored = React.memo(({ setLocalPosition, roomId }) => {
@@ -307,63 +303,6 @@ const TagGameRefactored = React.memo(({ setLocalPosition, roomId }) => {
     };
   }, [socket, myId, isGameActive]);
   
-  // Enhanced tag interaction handler to properly process collisions
-  const handleTagInteraction = (interactionData) => {
-    const targetId = interactionData.targetId;
-    const sourceId = interactionData.sourceId;
-    const distance = interactionData.distance;
-    
-    // Include full debug data in logs - match original style
-    console.log(`🔥 [TagGame] Tag interaction detected at ${distance.toFixed(2)}m with: ${targetId.substring(0, 6)}`);
-    
-    // CRITICAL: Show proximity detection for everyone, but only proceed with tagging if we're IT
-    if (!isTagged) {
-      console.log(`🔄 [TagGame] Not tagged, collision detected but not sending tag event`);
-      return;
-    }
-    
-    // Only send tag events if we're within the proper range
-    if (distance > TAG_DISTANCE) {
-      console.log(`📏 [TagGame] Distance ${distance.toFixed(2)}m is greater than tag distance ${TAG_DISTANCE}m`);
-      return;
-    }
-    
-    // Explicitly send tag event to ensure collisions are processed
-    console.log(`🎮 [TagGame] Processing tag event from ${sourceId} to ${targetId} at distance ${distance.toFixed(2)}m`);
-    
-    try {
-      // Create tag payload with detailed information
-      const tagPayload = {
-        gameType,
-        roomId: roomId || `${gameType}-1`,
-        taggerId: myId,
-        targetId,
-        distance,
-        timestamp: Date.now(),
-        direct: true
-      };
-      
-      // Send tag event through most reliable socket
-      let tagEventSent = false;
-      
-      if (window.gameSocket) {
-        console.log(`📱 [TagGame] Sending tag via global socket (primary)`);
-        window.gameSocket.emit('tagPlayer', tagPayload);
-        tagEventSent = true;
-      } else if (socket) {
-        console.log(`📱 [TagGame] Sending tag via local socket`);
-        socket.emit('tagPlayer', tagPayload);
-        tagEventSent = true;
-      }
-      
-      if (!tagEventSent) {
-        console.error(`❌ [TagGame] Failed to send tag event - no working sockets!`);
-      }
-    } catch (err) {
-      console.error(`❌ [TagGame] Error sending tag:`, err);
-    }
-  };
-  
   return (
     <>
       {/* Join zone system - always visible to allow joining */}
@@ -445,28 +384,6 @@ const TagGameRefactored = React.memo(({ setLocalPosition, roomId }) => {
       
       {/* UI is now handled by the TagGameOverlay component in App.jsx */}
       
-      {/* Tag interaction system - ONLY active for players who joined the game */}
-      {isGameActive && isPlayerInGame && (
-        <PlayerInteractionSystem
-          gameType={gameType}
-          roomId={roomId}
-          interactionDistance={TAG_DISTANCE} // Using exact same distance as original
-          interactionType="tag"
-          showVisualDebug={true}
-          ignoreYAxis={true}
-          cooldownMs={TAG_COOLDOWN}
-          stabilizationThreshold={TAG_STABILIZATION_THRESHOLD} // Match original
-          serverEventName="tagPlayer"
-          onInteractionDetected={handleTagInteraction}
-          customFilter={(myId, targetId, players) => {
-            // IMPORTANT: We check collision for everyone but only process tagging
-            // when the current player is IT in the handleTagInteraction function
-            // This allows us to always track proximity for debugging
-            return true;
-          }}
-        />
-      )}
-      
       {/* Countdown timer when game is starting */}
       {gameJoinStatus?.[gameType]?.state === 'countdown' && (
         <GameTimerSystem
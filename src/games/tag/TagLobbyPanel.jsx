@@ -0,0 +1,86 @@
+/**
+ * TagLobbyPanel.jsx
+ * Lobby for the tag join zone, shown in the PhoneMenu Games tab.
+ * The first player in the join queue is the host and picks the settings; everyone else sees them.
+ */
+import React, { useEffect, useState } from 'react';
+import { useMultiplayer } from '../../components/MultiplayerProvider';
+import { getSocket } from '../../utils/socketManager';
+import { tagConfig } from './config';
+
+const { lobby } = tagConfig;
+
+const SLIDERS = [
+  { key: 'roundDuration', label: 'Round length', format: value => `${value}s` },
+  { key: 'rounds', label: 'Rounds', format: value => `${value}` },
+  { key: 'tagBackCooldown', label: 'Tag-back cooldown', format: value => `${value}s` },
+];
+
+export default function TagLobbyPanel() {
+  const { myId } = useMultiplayer();
+  const [lobbyState, setLobbyState] = useState(null);
+
+  useEffect(() => {
+    const socket = getSocket();
+    const sockets = [window.gameSocket, socket].filter((s, i, all) => s && all.indexOf(s) === i);
+    if (sockets.length === 0) return;
+
+    const handleLobbyState = (data) => {
+      if (data?.gameType === 'tag') setLobbyState(data);
+    };
+
+    sockets.forEach(s => s.on('tagLobby:state', handleLobbyState));
+    sockets[0].emit('tagLobby:get');
+
+    return () => sockets.forEach(s => s.off('tagLobby:state', handleLobbyState));
+  }, []);
+
+  if (!lobbyState) return null;
+
+  const { hostId, queue, settings, minPlayers } = lobbyState;
+  const isHost = !!hostId && hostId === myId;
+
+  // The server checks the values and sends the lobby back to everyone
+  const updateSetting = (key, value) => {
+    window.gameSocket?.emit('tagLobby:update', { settings: { ...settings, [key]: value } });
+  };
+
+  if (!hostId) {
+    return <p>Step into the tag join zone to host the next game.</p>;
+  }
+
+  return (
+    <div className="settings-list">
+      <p>
+        {isHost ? 'You are hosting the next game.' : `Hosted by ${hostId.substring(0, 6)}.`}
+        {` ${queue.length}/${minPlayers} players ready.`}
+      </p>
+      <div className="setting-item">
+        <label>Variant</label>
+        <select
+          value={settings.variant}
+          disabled={!isHost}
+          onChange={(e) => updateSetting('variant', e.target.value)}
+        >
+          {lobby.variants.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {SLIDERS.map(({ key, label, format }) => (
+        <div className="setting-item" key={key}>
+          <label>{label}: {format(settings[key])}</label>
+          <input
+            type="range"
+            min={lobby[key].min}
+            max={lobby[key].max}
+            step={lobby[key].step}
+            value={settings[key]}
+            disabled={!isHost}
+            onChange={(e) => updateSetting(key, Number(e.target.value))}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
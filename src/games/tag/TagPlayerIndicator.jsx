@@ -1,28 +1,49 @@
 /**
  * TagPlayerIndicator.jsx
  * Shows colored indicators above players' heads in tag game
- * 🔴 above the player who is IT
+ * 🔴 above the player who is IT (every infected player, in infection)
  * 🔵 above other players who are in the game
+ * 🧊 above frozen players in freeze tag
  */
 import React from 'react';
 import { Html } from '@react-three/drei';
 import { useGameSystem } from '../../components/GameSystemProvider';
+import { useFreezeTagStore } from './freezeTagStore';
+import { useInfectionStore } from './infectionStore';
+
+const getIndicator = (isTagged, isFrozen) => {
+  if (isTagged) return '🔴';
+  return isFrozen ? '🧊' : '🔵';
+};
 
 const TagPlayerIndicator = ({ playerId }) => {
   const { activeGames } = useGameSystem();
+  const freezeTag = useFreezeTagStore();
+  const infection = useInfectionStore();
   
   // Find active tag game
   const tagGame = Object.entries(activeGames || {}).find(([id, game]) => 
     game?.gameType === 'tag' && game?.state === 'playing'
   );
+  const inTagGame = !!tagGame && tagGame[1].players?.includes(playerId);
+  const inFreezeTag = !!freezeTag.roomId && freezeTag.players.includes(playerId);
+  const inInfection = !!infection.roomId && infection.players.includes(playerId);
   
   // If no active game or this player is not in the game, don't show any indicator
-  if (!tagGame || !tagGame[1].players?.includes(playerId)) {
+  if (!inTagGame && !inFreezeTag && !inInfection) {
     return null;
   }
   
-  // Determine if this player is IT
-  const isTagged = tagGame[1].taggedPlayerId === playerId;
+  // Determine if this player is IT (or frozen, in freeze tag)
+  let isTagged;
+  if (inTagGame) {
+    isTagged = tagGame[1].taggedPlayerId === playerId;
+  } else if (inFreezeTag) {
+    isTagged = freezeTag.taggedPlayerId === playerId;
+  } else {
+    isTagged = infection.infectedPlayerIds.includes(playerId);
+  }
+  const isFrozen = inFreezeTag && !inTagGame && freezeTag.frozenPlayerIds.includes(playerId);
   
   // Style for indicator
   const indicatorStyle = {
@@ -38,7 +59,7 @@ const TagPlayerIndicator = ({ playerId }) => {
       distanceFactor={15}
     >
       <div style={indicatorStyle}>
-        {isTagged ? '🔴' : '🔵'}
+        {getIndicator(isTagged, isFrozen)}
       </div>
     </Html>
   );
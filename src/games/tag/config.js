@@ -39,8 +39,25 @@ export const tagConfig = {
   
   // Tag mechanics
   tagDistance: 2.5, // How close players need to be for a tag
+  tagBackCooldown: 3, // seconds before a tagged player can tag their tagger back
+  rounds: 1, // rounds played back to back by the same players
+
+  // Host lobby: the first player in the join queue can change these for their game
+  lobby: {
+    roundDuration: { min: 30, max: 300, step: 15 }, // seconds
+    rounds: { min: 1, max: 5, step: 1 },
+    tagBackCooldown: { min: 0, max: 10, step: 1 }, // seconds
+    variants: [
+      { id: 'tag', label: 'Classic' },
+      { id: 'freezeTag', label: 'Freeze Tag' },
+      { id: 'infection', label: 'Infection' },
+    ],
+  },
   
   // Game rules
-  winCondition: 'notTaggedAtEnd', // The player who isn't IT at the end wins
+  // Scoreboard ranking:
+  //   'notTaggedAtEnd' - whoever is IT at the end ranks last, everyone else by least time as IT
+  //   'leastTimeAsIt'  - everyone ranked by least time as IT (then most tags, fewest times tagged)
+  winCondition: 'notTaggedAtEnd',
   outOfBoundsPenalty: 'becomeTagged', // What happens if a player leaves the game zone
 };
@@ -0,0 +1,39 @@
+// src/games/tag/freezeTagConfig.js
+// Configuration for the Freeze Tag game
+
+export const freezeTagConfig = {
+  minPlayers: 3,
+  maxPlayers: 10,
+  roundDuration: 120, // seconds
+
+  // Join zone location - next to the Classic Tag zone
+  joinZone: {
+    center: [-3, -0.75, -8],
+    radius: 1.67,
+  },
+
+  // Spawn positions for all players (same location)
+  spawnPoints: [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ],
+
+  // Colors and visual settings
+  frozenPlayerColor: '#9ED8FF', // Ice blue tint for frozen players
+
+  // Tag mechanics
+  tagDistance: 2.5, // How close IT needs to be to freeze a runner
+  unfreezeDistance: 1.5, // How close a free runner needs to be to thaw a frozen one
+
+  // Game rules
+  // The round ends early (IT wins) once every runner is frozen,
+  // otherwise the runners still free when the timer runs out win
+};
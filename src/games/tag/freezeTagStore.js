@@ -0,0 +1,28 @@
+import { create } from 'zustand';
+
+// Freeze tag round state shared by the controller, remote players and the HUD.
+// Filled from gameStart / freezeTag:state for any freeze tag round in the world room,
+// so spectators see frozen players too.
+const initialState = {
+  roomId: null,
+  players: [],
+  taggedPlayerId: null,
+  frozenPlayerIds: [],
+  endTime: null,
+};
+
+export const useFreezeTagStore = create((set) => ({
+  ...initialState,
+  setRound: ({ roomId, players, taggedPlayerId, frozenPlayerIds, endTime }) => set((state) => ({
+    roomId,
+    players: players || state.players,
+    taggedPlayerId: taggedPlayerId || state.taggedPlayerId,
+    frozenPlayerIds: frozenPlayerIds || [],
+    endTime: endTime || state.endTime,
+  })),
+  reset: () => set(initialState),
+}));
+
+// Selector helper: whether a player is frozen in the current round
+export const selectIsFrozen = (playerId) => (state) =>
+  !!playerId && state.frozenPlayerIds.includes(playerId);
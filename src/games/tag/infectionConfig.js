@@ -0,0 +1,36 @@
+// src/games/tag/infectionConfig.js
+// Configuration for the Infection (zombie tag) game
+
+export const infectionConfig = {
+  minPlayers: 3,
+  maxPlayers: 10,
+  roundDuration: 120, // seconds
+
+  // Join zone location - next to the Freeze Tag zone
+  joinZone: {
+    center: [2, -0.75, -8],
+    radius: 1.67,
+  },
+
+  // Spawn positions for all players (same location)
+  spawnPoints: [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ],
+
+  // Tag mechanics
+  tagDistance: 2.5, // How close an infected player needs to be to infect a survivor
+
+  // Game rules
+  // One random player starts infected and everyone they tag joins them.
+  // The round ends when a single survivor is left (they win) or when the timer runs out,
+  // and the scoreboard ranks everyone by how long they survived
+};
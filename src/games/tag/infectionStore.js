@@ -0,0 +1,26 @@
+import { create } from 'zustand';
+
+// Infection round state shared by the HUD and the player indicators.
+// Filled from gameStart / infection:state for any infection round in the world room.
+const initialState = {
+  roomId: null,
+  players: [],
+  infectedPlayerIds: [],
+  endTime: null,
+};
+
+export const useInfectionStore = create((set) => ({
+  ...initialState,
+  setRound: ({ roomId, players, taggedPlayerId, infectedPlayerIds, endTime }) => set((state) => ({
+    roomId,
+    players: players || state.players,
+    // A new round starts with only the game's IT infected
+    infectedPlayerIds: infectedPlayerIds || (taggedPlayerId ? [taggedPlayerId] : []),
+    endTime: endTime || state.endTime,
+  })),
+  reset: () => set(initialState),
+}));
+
+// Selector helper: whether a player is infected in the current round
+export const selectIsInfected = (playerId) => (state) =>
+  !!playerId && state.infectedPlayerIds.includes(playerId);
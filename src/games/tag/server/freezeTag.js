@@ -0,0 +1,241 @@
+// src/games/tag/server/freezeTag.js
+// Freeze Tag: IT freezes runners in place, free runners thaw them by touching them.
+// The round ends when every runner is frozen (IT wins) or when the timer runs out.
+const { freezeTagConfig } = require('../freezeTagConfig');
+const { checkTouchDistance, describeTouchDistance } = require('../../../server/touchDistance');
+
+const FREEZE_TAG = 'freezeTag';
+
+function isFreezeTag(game) {
+  return !!game && game.gameType === FREEZE_TAG;
+}
+
+/**
+ * Start tracking who is frozen for a new round
+ * @param {Object} game - Freeze tag game object from activeGames
+ */
+function initFreezeTag(game) {
+  game.frozen = {}; // playerId -> time they were frozen (ms)
+  game.freezeStats = {};
+  game.allFrozen = false;
+  game.players.forEach(playerId => {
+    game.freezeStats[playerId] = createStats();
+  });
+}
+
+function getFrozenPlayerIds(game) {
+  return Object.keys(game.frozen || {});
+}
+
+/**
+ * Returns the players IT is chasing (everyone still in the round except IT)
+ * @param {Object} game - Freeze tag game object from activeGames
+ * @returns {string[]}
+ */
+function getRunners(game) {
+  return game.players.filter(playerId => playerId !== game.taggedPlayerId);
+}
+
+function areAllRunnersFrozen(game) {
+  return getRunners(game).every(playerId => game.frozen[playerId]);
+}
+
+/**
+ * Tell everyone in the world room who is frozen, so spectators see the tint too
+ * @param {Object} io - Socket.IO server
+ * @param {Object} game - Freeze tag game object from activeGames
+ * @param {Object} [change] - What just happened: { type: 'frozen' | 'unfrozen', playerId, byId }
+ */
+function emitFreezeTagState(io, game, change = null) {
+  io.to(game.worldRoomId || 'main-room').emit('freezeTag:state', {
+    roomId: game.roomId,
+    gameType: FREEZE_TAG,
+    players: game.players,
+    taggedPlayerId: game.taggedPlayerId,
+    frozenPlayerIds: getFrozenPlayerIds(game),
+    endTime: game.endTime,
+    change,
+  });
+}
+
+/**
+ * Drop players who left, thaw a new IT, and end the round once no runner is free.
+ * Call after the game's players or IT change outside the freeze tag handlers.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} game - Freeze tag game object from activeGames
+ * @param {Function} endGame - Ends the round: endGame(io, roomId)
+ * @returns {boolean} Whether the round ended
+ */
+function refreshFreezeTag(io, game, endGame) {
+  if (!isFreezeTag(game) || game.state !== 'playing') return false;
+
+  const now = Date.now();
+  getFrozenPlayerIds(game).forEach(playerId => {
+    if (!game.players.includes(playerId) || playerId === game.taggedPlayerId) {
+      thaw(game, playerId, now);
+    }
+  });
+
+  if (areAllRunnersFrozen(game)) {
+    game.allFrozen = true;
+    endGame(io, game.roomId);
+    return true;
+  }
+
+  emitFreezeTagState(io, game);
+  return false;
+}
+
+/**
+ * Build the ranked scoreboard for the end of a round.
+ * If IT froze everyone they rank first; otherwise runners still free rank first and IT last.
+ * Ties go to the least time spent frozen, then most rescues, then most freezes.
+ * @param {Object} game - Freeze tag game object from activeGames
+ * @param {number} now - Round end time (ms)
+ * @returns {Array<{playerId: string, rank: number, isIt: boolean, frozen: boolean, left: boolean, freezes: number, rescues: number, timesFrozen: number, secondsFrozen: number}>}
+ */
+function buildFreezeTagScoreboard(game, now) {
+  if (!game.freezeStats) return [];
+
+  const entries = Object.entries(game.freezeStats).map(([playerId, stats]) => {
+    const frozenMs = stats.frozenMs + (game.frozen[playerId] ? now - game.frozen[playerId] : 0);
+    return {
+      playerId,
+      isIt: playerId === game.taggedPlayerId,
+      frozen: !!game.frozen[playerId],
+      left: !game.players.includes(playerId),
+      freezes: stats.freezes,
+      rescues: stats.rescues,
+      timesFrozen: stats.timesFrozen,
+      secondsFrozen: Math.round(frozenMs / 100) / 10,
+    };
+  });
+
+  const group = (entry) => {
+    if (game.allFrozen) return entry.isIt ? 0 : 1;
+    if (entry.isIt) return 2;
+    return entry.frozen ? 1 : 0;
+  };
+
+  entries.sort((a, b) => {
+    // Players who left the round always rank below those who stayed
+    if (a.left !== b.left) return a.left ? 1 : -1;
+    if (group(a) !== group(b)) return group(a) - group(b);
+    if (a.secondsFrozen !== b.secondsFrozen) return a.secondsFrozen - b.secondsFrozen;
+    if (a.rescues !== b.rescues) return b.rescues - a.rescues;
+    return b.freezes - a.freezes;
+  });
+
+  return entries.map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+/**
+ * Sets up the freeze tag socket handlers for a connection
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Connected client socket
+ * @param {Object} activeGames - All running games, keyed by game room ID
+ * @param {Object} players - Players per world room: { [worldRoomId]: { [playerId]: player } }
+ * @param {Object} options
+ * @param {Function} options.endGame - Ends the round: endGame(io, roomId)
+ */
+function setupFreezeTagSocketHandlers(io, socket, activeGames, players, { endGame }) {
+  // Returns the playing freeze tag game if this socket is one of its players, or null
+  const getPlayingGame = (roomId, action) => {
+    const game = activeGames[roomId];
+    if (!isFreezeTag(game) || game.state !== 'playing') {
+      console.log(`[SERVER] ❌ ${action} failed: No freeze tag game running in ${roomId}`);
+      return null;
+    }
+    if (!game.players.includes(socket.id)) {
+      console.log(`[SERVER] ⛔ ${action} rejected: ${socket.id.substring(0, 6)} is not a player in ${roomId}`);
+      return null;
+    }
+    return game;
+  };
+
+  // IT freezes a runner
+  socket.on('freezeTag:tag', (data) => {
+    const { roomId, targetId } = data || {};
+    const game = getPlayingGame(roomId, 'Freeze');
+    if (!game || !targetId) return;
+
+    if (game.taggedPlayerId !== socket.id) {
+      console.log(`[SERVER] ⛔ Freeze rejected: ${socket.id.substring(0, 6)} is not IT`);
+      return;
+    }
+    if (targetId === socket.id || !game.players.includes(targetId) || game.frozen[targetId]) {
+      return;
+    }
+
+    const check = checkTouchDistance(players[game.worldRoomId], socket.id, targetId, freezeTagConfig.tagDistance);
+    if (!check.inRange) {
+      console.log(`[SERVER] ❌ Freeze distance check failed: ${describeTouchDistance(check, freezeTagConfig.tagDistance)}`);
+      return;
+    }
+
+    const now = Date.now();
+    game.frozen[targetId] = now;
+    getStats(game, socket.id).freezes++;
+    getStats(game, targetId).timesFrozen++;
+    console.log(`[SERVER] 🧊 ${socket.id.substring(0, 6)} froze ${targetId.substring(0, 6)} in ${roomId}`);
+
+    emitFreezeTagState(io, game, { type: 'frozen', playerId: targetId, byId: socket.id });
+
+    if (areAllRunnersFrozen(game)) {
+      console.log(`[SERVER] 🧊 Every runner in ${roomId} is frozen`);
+      game.allFrozen = true;
+      endGame(io, roomId);
+    }
+  });
+
+  // A free runner thaws a frozen one by touching them
+  socket.on('freezeTag:unfreeze', (data) => {
+    const { roomId, targetId } = data || {};
+    const game = getPlayingGame(roomId, 'Unfreeze');
+    if (!game || !targetId) return;
+
+    if (socket.id === game.taggedPlayerId || game.frozen[socket.id]) {
+      console.log(`[SERVER] ⛔ Unfreeze rejected: ${socket.id.substring(0, 6)} is IT or frozen`);
+      return;
+    }
+    if (!game.frozen[targetId]) return;
+
+    const check = checkTouchDistance(players[game.worldRoomId], socket.id, targetId, freezeTagConfig.unfreezeDistance);
+    if (!check.inRange) {
+      console.log(`[SERVER] ❌ Unfreeze distance check failed: ${describeTouchDistance(check, freezeTagConfig.unfreezeDistance)}`);
+      return;
+    }
+
+    thaw(game, targetId, Date.now());
+    getStats(game, socket.id).rescues++;
+    console.log(`[SERVER] 🔥 ${socket.id.substring(0, 6)} unfroze ${targetId.substring(0, 6)} in ${roomId}`);
+
+    emitFreezeTagState(io, game, { type: 'unfrozen', playerId: targetId, byId: socket.id });
+  });
+}
+
+function createStats() {
+  return { freezes: 0, rescues: 0, timesFrozen: 0, frozenMs: 0 };
+}
+
+function getStats(game, playerId) {
+  if (!game.freezeStats[playerId]) game.freezeStats[playerId] = createStats();
+  return game.freezeStats[playerId];
+}
+
+// Unfreeze a player, crediting them with the time they spent frozen
+function thaw(game, playerId, now) {
+  if (!game.frozen[playerId]) return;
+  getStats(game, playerId).frozenMs += Math.max(0, now - game.frozen[playerId]);
+  delete game.frozen[playerId];
+}
+
+module.exports = {
+  FREEZE_TAG,
+  isFreezeTag,
+  initFreezeTag,
+  getFrozenPlayerIds,
+  refreshFreezeTag,
+  buildFreezeTagScoreboard,
+  setupFreezeTagSocketHandlers,
+};
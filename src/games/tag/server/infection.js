@@ -0,0 +1,186 @@
+// src/games/tag/server/infection.js
+// Infection: every player an infected player tags joins the infected team.
+// The round ends when one survivor is left (they win) or when the timer runs out.
+const { infectionConfig } = require('../infectionConfig');
+const { checkTouchDistance, describeTouchDistance } = require('../../../server/touchDistance');
+
+const INFECTION = 'infection';
+
+function isInfection(game) {
+  return !!game && game.gameType === INFECTION;
+}
+
+/**
+ * Start a round with the game's IT as the first infected player
+ * @param {Object} game - Infection game object from activeGames
+ * @param {number} now - Round start time (ms)
+ */
+function initInfection(game, now) {
+  game.infected = { [game.taggedPlayerId]: now }; // playerId -> time they were infected (ms)
+  game.infectionStats = {};
+  game.players.forEach(playerId => {
+    game.infectionStats[playerId] = createStats();
+  });
+}
+
+/**
+ * Returns the infected players still in the round
+ * @param {Object} game - Infection game object from activeGames
+ * @returns {string[]}
+ */
+function getInfectedPlayerIds(game) {
+  return game.players.filter(playerId => game.infected && game.infected[playerId]);
+}
+
+function getSurvivors(game) {
+  return game.players.filter(playerId => !game.infected[playerId]);
+}
+
+/**
+ * Tell everyone in the world room who is infected
+ * @param {Object} io - Socket.IO server
+ * @param {Object} game - Infection game object from activeGames
+ * @param {Object} [change] - What just happened: { type: 'infected', playerId, byId }
+ */
+function emitInfectionState(io, game, change = null) {
+  io.to(game.worldRoomId || 'main-room').emit('infection:state', {
+    roomId: game.roomId,
+    gameType: INFECTION,
+    players: game.players,
+    taggedPlayerId: game.taggedPlayerId,
+    infectedPlayerIds: getInfectedPlayerIds(game),
+    endTime: game.endTime,
+    change,
+  });
+}
+
+// The last survivor wins; with nobody left to chase the round is over too
+function isRoundOver(game) {
+  return getSurvivors(game).length <= 1;
+}
+
+/**
+ * Keep the round playable after players leave: if every infected player is gone,
+ * the game's IT (or a random survivor) starts the infection again.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} game - Infection game object from activeGames
+ * @param {Function} endGame - Ends the round: endGame(io, roomId)
+ * @returns {boolean} Whether the round ended
+ */
+function refreshInfection(io, game, endGame) {
+  if (!isInfection(game) || game.state !== 'playing') return false;
+
+  if (getInfectedPlayerIds(game).length === 0 && game.players.length > 0) {
+    const patientZero = game.players.includes(game.taggedPlayerId)
+      ? game.taggedPlayerId
+      : game.players[Math.floor(Math.random() * game.players.length)];
+    game.infected[patientZero] = Date.now();
+    game.taggedPlayerId = patientZero;
+    console.log(`[SERVER] 🧟 Infected players left ${game.roomId}, ${patientZero.substring(0, 6)} is infected now`);
+  }
+
+  if (isRoundOver(game)) {
+    endGame(io, game.roomId);
+    return true;
+  }
+
+  emitInfectionState(io, game);
+  return false;
+}
+
+/**
+ * Build the survival leaderboard for the end of a round: longest survival first,
+ * then most infections. Survivors count the whole round and all rank first.
+ * @param {Object} game - Infection game object from activeGames
+ * @param {number} now - Round end time (ms)
+ * @returns {Array<{playerId: string, rank: number, isIt: boolean, infected: boolean, left: boolean, infections: number, secondsSurvived: number}>}
+ */
+function buildInfectionScoreboard(game, now) {
+  if (!game.infectionStats) return [];
+
+  const entries = Object.entries(game.infectionStats).map(([playerId, stats]) => {
+    const survivedMs = (game.infected[playerId] || now) - game.startTime;
+    return {
+      playerId,
+      isIt: !!game.infected[playerId],
+      infected: !!game.infected[playerId],
+      left: !game.players.includes(playerId),
+      infections: stats.infections,
+      secondsSurvived: Math.round(Math.max(0, survivedMs) / 100) / 10,
+    };
+  });
+
+  entries.sort((a, b) => {
+    // Players who left the round always rank below those who stayed
+    if (a.left !== b.left) return a.left ? 1 : -1;
+    if (a.infected !== b.infected) return a.infected ? 1 : -1;
+    if (a.secondsSurvived !== b.secondsSurvived) return b.secondsSurvived - a.secondsSurvived;
+    return b.infections - a.infections;
+  });
+
+  // Everyone still uninfected at the end shares the win
+  return entries.map((entry, index) => ({ ...entry, rank: !entry.infected && !entry.left ? 1 : index + 1 }));
+}
+
+/**
+ * Sets up the infection socket handlers for a connection
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Connected client socket
+ * @param {Object} activeGames - All running games, keyed by game room ID
+ * @param {Object} players - Players per world room: { [worldRoomId]: { [playerId]: player } }
+ * @param {Object} options
+ * @param {Function} options.endGame - Ends the round: endGame(io, roomId)
+ */
+function setupInfectionSocketHandlers(io, socket, activeGames, players, { endGame }) {
+  // An infected player tags a survivor
+  socket.on('infection:tag', (data) => {
+    const { roomId, targetId } = data || {};
+    const game = activeGames[roomId];
+    if (!isInfection(game) || game.state !== 'playing' || !targetId) {
+      console.log(`[SERVER] ❌ Infection failed: No infection game running in ${roomId}`);
+      return;
+    }
+
+    if (!game.players.includes(socket.id) || !game.infected[socket.id]) {
+      console.log(`[SERVER] ⛔ Infection rejected: ${socket.id.substring(0, 6)} is not infected`);
+      return;
+    }
+    if (!game.players.includes(targetId) || game.infected[targetId]) return;
+
+    const check = checkTouchDistance(players[game.worldRoomId], socket.id, targetId, infectionConfig.tagDistance);
+    if (!check.inRange) {
+      console.log(`[SERVER] ❌ Infection distance check failed: ${describeTouchDistance(check, infectionConfig.tagDistance)}`);
+      return;
+    }
+
+    game.infected[targetId] = Date.now();
+    getStats(game, socket.id).infections++;
+    console.log(`[SERVER] 🧟 ${socket.id.substring(0, 6)} infected ${targetId.substring(0, 6)} in ${roomId} (${getSurvivors(game).length} survivors left)`);
+
+    emitInfectionState(io, game, { type: 'infected', playerId: targetId, byId: socket.id });
+
+    if (isRoundOver(game)) {
+      console.log(`[SERVER] 🧟 Last survivor standing in ${roomId}`);
+      endGame(io, roomId);
+    }
+  });
+}
+
+function createStats() {
+  return { infections: 0 };
+}
+
+function getStats(game, playerId) {
+  if (!game.infectionStats[playerId]) game.infectionStats[playerId] = createStats();
+  return game.infectionStats[playerId];
+}
+
+module.exports = {
+  INFECTION,
+  isInfection,
+  initInfection,
+  getInfectedPlayerIds,
+  refreshInfection,
+  buildInfectionScoreboard,
+  setupInfectionSocketHandlers,
+};
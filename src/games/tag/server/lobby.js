@@ -0,0 +1,146 @@
+// src/games/tag/server/lobby.js
+// Host lobby for the tag join zone: the first player in the queue picks the round length,
+// number of rounds, tag-back cooldown and variant. The server checks every value against
+// tagConfig.lobby before using it in startGame.
+const { tagConfig } = require('../config');
+const { freezeTagConfig } = require('../freezeTagConfig');
+const { infectionConfig } = require('../infectionConfig');
+
+const TAG = 'tag';
+const VARIANT_CONFIGS = {
+  tag: tagConfig,
+  freezeTag: freezeTagConfig,
+  infection: infectionConfig,
+};
+
+// Lobby settings per world room (each world has one tag join zone)
+const lobbySettings = {};
+
+function getDefaultTagSettings() {
+  return {
+    roundDuration: tagConfig.roundDuration,
+    rounds: tagConfig.rounds,
+    tagBackCooldown: tagConfig.tagBackCooldown,
+    variant: TAG,
+  };
+}
+
+// Round a number to the limit's step and keep it between min and max
+function clampToLimit(value, { min, max, step = 1 }, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  const stepped = min + Math.round((number - min) / step) * step;
+  return Math.min(max, Math.max(min, stepped));
+}
+
+/**
+ * Check settings sent by a host, keeping the current value for anything missing or invalid
+ * @param {Object} input - Settings from the client
+ * @param {Object} current - Settings in use now
+ * @returns {{roundDuration: number, rounds: number, tagBackCooldown: number, variant: string}}
+ */
+function sanitizeTagSettings(input, current) {
+  const { lobby } = tagConfig;
+  const data = input || {};
+  return {
+    roundDuration: clampToLimit(data.roundDuration, lobby.roundDuration, current.roundDuration),
+    rounds: clampToLimit(data.rounds, lobby.rounds, current.rounds),
+    tagBackCooldown: clampToLimit(data.tagBackCooldown, lobby.tagBackCooldown, current.tagBackCooldown),
+    variant: lobby.variants.some(({ id }) => id === data.variant) ? data.variant : current.variant,
+  };
+}
+
+/**
+ * The lobby settings for a world room's tag zone
+ * @param {string} worldRoomId
+ * @returns {Object}
+ */
+function getTagLobbySettings(worldRoomId) {
+  if (!lobbySettings[worldRoomId]) lobbySettings[worldRoomId] = getDefaultTagSettings();
+  return lobbySettings[worldRoomId];
+}
+
+// Forget a lobby's settings once its queue is empty, so the next host starts from the defaults
+function resetTagLobby(worldRoomId) {
+  delete lobbySettings[worldRoomId];
+}
+
+/**
+ * Players needed to start: the tag zone's minimum or the chosen variant's, whichever is higher
+ * @param {Object} settings - Lobby settings
+ * @returns {number}
+ */
+function getTagLobbyMinPlayers(settings) {
+  const variantConfig = VARIANT_CONFIGS[settings.variant] || tagConfig;
+  return Math.max(tagConfig.minPlayers, variantConfig.minPlayers);
+}
+
+/**
+ * Most players one game can take: the tag zone's maximum or the chosen variant's, whichever is lower
+ * @param {Object} settings - Lobby settings
+ * @returns {number}
+ */
+function getTagLobbyMaxPlayers(settings) {
+  const variantConfig = VARIANT_CONFIGS[settings.variant] || tagConfig;
+  return Math.min(tagConfig.maxPlayers, variantConfig.maxPlayers);
+}
+
+/**
+ * Tell everyone in the world room who hosts the tag lobby and what they picked
+ * @param {Object} io - Socket.IO server
+ * @param {string} worldRoomId
+ * @param {string[]} queue - The tag join queue; its first player is the host
+ * @param {Object} [target] - Socket to send to instead of the whole room
+ */
+function emitTagLobbyState(io, worldRoomId, queue, target = null) {
+  const settings = getTagLobbySettings(worldRoomId);
+  (target || io.to(worldRoomId)).emit('tagLobby:state', {
+    gameType: TAG,
+    hostId: queue[0] || null,
+    queue,
+    settings,
+    minPlayers: getTagLobbyMinPlayers(settings),
+  });
+}
+
+/**
+ * Sets up the tag lobby socket handlers for a connection
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Connected client socket
+ * @param {Object} options
+ * @param {Function} options.getQueue - Returns the tag join queue for a world room: getQueue(worldRoomId)
+ * @param {Function} options.onSettingsChanged - Called after the host changes settings: onSettingsChanged(worldRoomId)
+ */
+function setupTagLobbySocketHandlers(io, socket, { getQueue, onSettingsChanged }) {
+  socket.on('tagLobby:get', () => {
+    const worldRoomId = socket.roomId;
+    if (!worldRoomId) return;
+    emitTagLobbyState(io, worldRoomId, getQueue(worldRoomId), socket);
+  });
+
+  socket.on('tagLobby:update', (data) => {
+    const worldRoomId = socket.roomId;
+    if (!worldRoomId) return;
+
+    const queue = getQueue(worldRoomId);
+    if (queue[0] !== socket.id) {
+      console.log(`[SERVER] ⛔ Lobby update rejected: ${socket.id.substring(0, 6)} is not the tag lobby host`);
+      return;
+    }
+
+    lobbySettings[worldRoomId] = sanitizeTagSettings(data?.settings, getTagLobbySettings(worldRoomId));
+    console.log(`[SERVER] 🎛️ Tag lobby in ${worldRoomId} updated:`, lobbySettings[worldRoomId]);
+
+    emitTagLobbyState(io, worldRoomId, queue);
+    onSettingsChanged(worldRoomId);
+  });
+}
+
+module.exports = {
+  getTagLobbySettings,
+  resetTagLobby,
+  getTagLobbyMinPlayers,
+  getTagLobbyMaxPlayers,
+  emitTagLobbyState,
+  setupTagLobbySocketHandlers,
+};
@@ -0,0 +1,87 @@
+// src/games/tag/server/match.js
+// Multi-round matches set up in the tag lobby: points from each round's scoreboard carry
+// over between rounds, the round's best runner is IT next, and players who arrive
+// mid-match spectate until the next round starts.
+
+/**
+ * Start a match
+ * @param {number} rounds - Rounds to play
+ * @returns {Object} Match state, kept on each round's game object as game.match
+ */
+function createMatch(rounds) {
+  return {
+    rounds,
+    // Per player: { points, roundWins, roundsPlayed }
+    standings: {},
+    // Players waiting to join at the next round
+    pendingPlayers: [],
+    lastScoreboard: null,
+    nextRoundAt: null,
+  };
+}
+
+/**
+ * Add a finished round's scoreboard to the match standings.
+ * The last player who stayed gets 1 point and each place above gets one more; players who left get none.
+ * @param {Object} match
+ * @param {Array<{playerId: string, rank: number, left: boolean}>} scoreboard - The round's ranked scoreboard
+ */
+function recordRound(match, scoreboard) {
+  const finishers = scoreboard.filter(entry => !entry.left).length;
+
+  scoreboard.forEach(entry => {
+    if (!match.standings[entry.playerId]) {
+      match.standings[entry.playerId] = { points: 0, roundWins: 0, roundsPlayed: 0 };
+    }
+    const standing = match.standings[entry.playerId];
+    standing.roundsPlayed++;
+    if (entry.left) return;
+    standing.points += finishers - entry.rank + 1;
+    if (entry.rank === 1) standing.roundWins++;
+  });
+
+  match.lastScoreboard = scoreboard;
+}
+
+/**
+ * The match standings, ranked by points, then round wins
+ * @param {Object} match
+ * @returns {Array<{playerId: string, rank: number, points: number, roundWins: number, roundsPlayed: number}>}
+ */
+function buildMatchStandings(match) {
+  return Object.entries(match.standings)
+    .map(([playerId, standing]) => ({ playerId, ...standing }))
+    .sort((a, b) => (b.points - a.points) || (b.roundWins - a.roundWins))
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+/**
+ * Who is IT next round: the best-ranked player of the last round who is still playing
+ * @param {Object} match
+ * @param {string[]} players - Players in the next round
+ * @returns {string|null} null when nobody from the last round is left
+ */
+function pickNextIt(match, players) {
+  const best = (match.lastScoreboard || []).find(entry => players.includes(entry.playerId));
+  return best ? best.playerId : null;
+}
+
+/**
+ * Queue a player who arrived mid-match for the next round
+ * @param {Object} match
+ * @param {string} playerId
+ * @returns {boolean} Whether the player was added (false if already waiting)
+ */
+function addPendingPlayer(match, playerId) {
+  if (match.pendingPlayers.includes(playerId)) return false;
+  match.pendingPlayers.push(playerId);
+  return true;
+}
+
+module.exports = {
+  createMatch,
+  recordRound,
+  buildMatchStandings,
+  pickNextIt,
+  addPendingPlayer,
+};
@@ -0,0 +1,95 @@
+// src/games/tag/server/scoring.js
+// Per-player tag statistics and the end-of-round scoreboard
+
+/**
+ * Start tracking stats for a new round
+ * @param {Object} game - Tag game object from activeGames
+ * @param {number} now - Round start time (ms)
+ */
+function initTagStats(game, now) {
+  game.stats = {};
+  game.players.forEach(playerId => {
+    game.stats[playerId] = createStats();
+  });
+  game.itSince = now;
+}
+
+/**
+ * Change who is IT, crediting the previous IT with their time and counting the tag
+ * @param {Object} game - Tag game object from activeGames
+ * @param {string} newItId - Player who is now IT
+ * @param {number} now - Time of the change (ms)
+ * @param {Object} [options]
+ * @param {string} [options.taggerId] - Player who made the tag
+ * @param {boolean} [options.penalty=false] - The player became IT as a penalty (e.g. jumping off the map)
+ */
+function changeIt(game, newItId, now, { taggerId = null, penalty = false } = {}) {
+  if (!game.stats) initTagStats(game, now);
+
+  addItTime(game, now);
+  if (taggerId) {
+    getStats(game, taggerId).tags++;
+  }
+  // Reassignments (e.g. when IT disconnects) don't count against the new IT
+  if (taggerId || penalty) {
+    getStats(game, newItId).timesTagged++;
+  }
+
+  game.taggedPlayerId = newItId;
+  game.itSince = now;
+}
+
+/**
+ * Build the ranked scoreboard for the end of a round
+ * @param {Object} game - Tag game object from activeGames
+ * @param {string} winCondition - 'notTaggedAtEnd' (whoever is IT at the end ranks last) or 'leastTimeAsIt'
+ * @param {number} now - Round end time (ms)
+ * @returns {Array<{playerId: string, rank: number, secondsAsIt: number, tags: number, timesTagged: number, isIt: boolean, left: boolean}>}
+ */
+function buildScoreboard(game, winCondition, now) {
+  if (!game.stats) return [];
+  addItTime(game, now);
+
+  const entries = Object.entries(game.stats).map(([playerId, stats]) => ({
+    playerId,
+    secondsAsIt: Math.round(stats.itMs / 100) / 10,
+    tags: stats.tags,
+    timesTagged: stats.timesTagged,
+    isIt: playerId === game.taggedPlayerId,
+    left: !game.players.includes(playerId),
+  }));
+
+  entries.sort((a, b) => {
+    // Players who left the round always rank below those who stayed
+    if (a.left !== b.left) return a.left ? 1 : -1;
+    if (winCondition === 'notTaggedAtEnd' && a.isIt !== b.isIt) return a.isIt ? 1 : -1;
+    if (a.secondsAsIt !== b.secondsAsIt) return a.secondsAsIt - b.secondsAsIt;
+    if (a.tags !== b.tags) return b.tags - a.tags;
+    return a.timesTagged - b.timesTagged;
+  });
+
+  return entries.map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+function createStats() {
+  return { itMs: 0, tags: 0, timesTagged: 0 };
+}
+
+function getStats(game, playerId) {
+  if (!game.stats[playerId]) game.stats[playerId] = createStats();
+  return game.stats[playerId];
+}
+
+// Credit whoever is currently IT with the time since they became IT
+function addItTime(game, now) {
+  if (game.taggedPlayerId && game.itSince) {
+    getStats(game, game.taggedPlayerId).itMs += Math.max(0, now - game.itSince);
+  }
+  game.itSince = now;
+}
+
+module.exports = {
+  initTagStats,
+  changeIt,
+  buildScoreboard,
+};
@@ -0,0 +1,98 @@
+// src/games/tag/server/tagDetection.js
+// Server-side tag detection for classic tag: the server looks up who is near IT in the
+// room's spatial grid and makes the tag itself, so clients can't report tags of their own.
+const { tagConfig } = require('../config');
+
+const TAG = 'tag';
+// How often the server checks for tags (ms)
+const TAG_TICK_MS = 100;
+
+function isClassicTag(game) {
+  return !!game && game.gameType === TAG;
+}
+
+/**
+ * Whether a tag between two players is still on cooldown, in either direction
+ * @param {Object} tagCooldowns - Last tag time per pair: { [playerId]: { [otherPlayerId]: ms } }
+ * @param {string} playerA
+ * @param {string} playerB
+ * @param {number} now - Current time (ms)
+ * @param {number} cooldownMs - How long after a tag neither player can tag the other
+ * @returns {boolean}
+ */
+function isTagOnCooldown(tagCooldowns, playerA, playerB, now, cooldownMs) {
+  const lastTag = tagCooldowns[playerA]?.[playerB] || 0;
+  return now - lastTag < cooldownMs;
+}
+
+/**
+ * Put a pair of players on tag cooldown in both directions
+ * @param {Object} tagCooldowns - Last tag time per pair: { [playerId]: { [otherPlayerId]: ms } }
+ * @param {string} playerA
+ * @param {string} playerB
+ * @param {number} now - Time of the tag (ms)
+ */
+function setTagCooldown(tagCooldowns, playerA, playerB, now) {
+  if (!tagCooldowns[playerA]) tagCooldowns[playerA] = {};
+  if (!tagCooldowns[playerB]) tagCooldowns[playerB] = {};
+  tagCooldowns[playerA][playerB] = now;
+  tagCooldowns[playerB][playerA] = now;
+}
+
+/**
+ * Forget the cooldowns of players who left or whose round is over
+ * @param {Object} tagCooldowns - Last tag time per pair: { [playerId]: { [otherPlayerId]: ms } }
+ * @param {string[]} playerIds
+ */
+function clearTagCooldowns(tagCooldowns, playerIds) {
+  playerIds.forEach(playerId => {
+    Object.keys(tagCooldowns[playerId] || {}).forEach(otherId => {
+      if (!tagCooldowns[otherId]) return;
+      delete tagCooldowns[otherId][playerId];
+      if (Object.keys(tagCooldowns[otherId]).length === 0) delete tagCooldowns[otherId];
+    });
+    delete tagCooldowns[playerId];
+  });
+}
+
+/**
+ * Find the player IT should tag right now: the closest player in the round within
+ * tagConfig.tagDistance who isn't on cooldown. IT can't tag anyone while frozen at the start.
+ * The tag-back cooldown comes from the game's lobby settings, if the host changed it.
+ * @param {Object} game - Classic tag game object from activeGames
+ * @param {Object} grid - The world room's ServerSpatialGrid
+ * @param {Object} tagCooldowns - Last tag time per pair: { [playerId]: { [otherPlayerId]: ms } }
+ * @param {number} now - Current time (ms)
+ * @returns {{targetId: string, distance: number}|null}
+ */
+function findTagTarget(game, grid, tagCooldowns, now) {
+  const itId = game.taggedPlayerId;
+  if (!itId || !grid.entityPositions[itId]) return null;
+  if (now < game.startTime + tagConfig.freezeDuration * 1000) return null;
+
+  const itPos = grid.entityPositions[itId];
+  const cooldownMs = (game.settings?.tagBackCooldown ?? tagConfig.tagBackCooldown) * 1000;
+  let closest = null;
+
+  grid.getNearbyEntities(itId, tagConfig.tagDistance).forEach(playerId => {
+    if (!game.players.includes(playerId)) return;
+    if (!grid.areEntitiesWithinDistance(itId, playerId, tagConfig.tagDistance)) return;
+    if (isTagOnCooldown(tagCooldowns, itId, playerId, now, cooldownMs)) return;
+
+    const pos = grid.entityPositions[playerId];
+    const distance = Math.sqrt((itPos.x - pos.x) ** 2 + (itPos.z - pos.z) ** 2);
+    if (!closest || distance < closest.distance) {
+      closest = { targetId: playerId, distance };
+    }
+  });
+
+  return closest;
+}
+
+module.exports = {
+  TAG_TICK_MS,
+  isClassicTag,
+  setTagCooldown,
+  clearTagCooldowns,
+  findTagTarget,
+};
@@ -0,0 +1,40 @@
+// src/server/interestManager.js
+// Area of interest: the players each player is close enough to care about. Players in it
+// get movement every tick, everyone else in the room only now and then.
+
+class InterestManager {
+  constructor() {
+    // Per player: Set of player IDs currently in their area of interest
+    this.interests = {};
+  }
+
+  /**
+   * Replace a player's area of interest
+   * @param {string} playerId
+   * @param {string[]} nearIds - Players now in range
+   * @returns {{entered: string[], left: string[]}} Players that came into and went out of range
+   */
+  update(playerId, nearIds) {
+    const previous = this.interests[playerId] || new Set();
+    const next = new Set(nearIds);
+
+    const entered = nearIds.filter(id => !previous.has(id));
+    const left = [...previous].filter(id => !next.has(id));
+
+    this.interests[playerId] = next;
+    return { entered, left };
+  }
+
+  /**
+   * Forget a player, both their own area and their place in everyone else's
+   * @param {string} playerId
+   */
+  remove(playerId) {
+    delete this.interests[playerId];
+    Object.values(this.interests).forEach(interests => interests.delete(playerId));
+  }
+}
+
+module.exports = {
+  InterestManager,
+};
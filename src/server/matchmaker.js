@@ -0,0 +1,109 @@
+// src/server/matchmaker.js
+// Join zone queues. Each zone keeps its players in arrival order; when the countdown ends
+// the queue is split into as many games as it needs, each between minPlayers and maxPlayers.
+
+/**
+ * Split a queue into games of even size. Players who don't fit (too few left for
+ * another game) are not in any group and stay queued.
+ * @param {string[]} queue - Player IDs in arrival order
+ * @param {number} minPlayers
+ * @param {number} maxPlayers
+ * @returns {string[][]} One array of player IDs per game
+ */
+function splitIntoGroups(queue, minPlayers, maxPlayers) {
+  if (queue.length < minPlayers) return [];
+
+  let games = Math.ceil(queue.length / maxPlayers);
+  while (games > 1 && Math.floor(queue.length / games) < minPlayers) games--;
+
+  const taken = Math.min(queue.length, games * maxPlayers);
+  const baseSize = Math.floor(taken / games);
+  const groups = [];
+  let start = 0;
+  for (let i = 0; i < games; i++) {
+    // The first groups take one extra player each until the remainder is used up
+    const size = baseSize + (i < taken % games ? 1 : 0);
+    groups.push(queue.slice(start, start + size));
+    start += size;
+  }
+  return groups;
+}
+
+class Matchmaker {
+  constructor() {
+    // Per join zone key: player IDs in arrival order
+    this.queues = {};
+  }
+
+  /**
+   * Add a player to the end of a zone's queue
+   * @param {string} key - Join zone key (world room and game type)
+   * @param {string} playerId
+   * @returns {number} The player's 1-based position in the queue
+   */
+  join(key, playerId) {
+    if (!this.queues[key]) this.queues[key] = [];
+    if (!this.queues[key].includes(playerId)) this.queues[key].push(playerId);
+    return this.getPosition(key, playerId);
+  }
+
+  /**
+   * Take a player out of a zone's queue
+   * @param {string} key - Join zone key
+   * @param {string} playerId
+   * @returns {boolean} Whether the player was queued
+   */
+  leave(key, playerId) {
+    const queue = this.queues[key];
+    if (!queue || !queue.includes(playerId)) return false;
+    this.queues[key] = queue.filter(id => id !== playerId);
+    if (this.queues[key].length === 0) delete this.queues[key];
+    return true;
+  }
+
+  /**
+   * Zones a player is queued in
+   * @param {string} playerId
+   * @returns {string[]} Join zone keys
+   */
+  getQueuedKeys(playerId) {
+    return Object.keys(this.queues).filter(key => this.queues[key].includes(playerId));
+  }
+
+  /**
+   * @param {string} key - Join zone key
+   * @returns {string[]} A copy of the zone's queue, in arrival order
+   */
+  getQueue(key) {
+    return [...(this.queues[key] || [])];
+  }
+
+  /**
+   * @param {string} key - Join zone key
+   * @param {string} playerId
+   * @returns {number|null} 1-based position, or null if the player isn't queued
+   */
+  getPosition(key, playerId) {
+    const index = (this.queues[key] || []).indexOf(playerId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Remove as many games' worth of players from the front of a zone's queue as it can fill
+   * @param {string} key - Join zone key
+   * @param {Object} limits
+   * @param {number} limits.minPlayers
+   * @param {number} limits.maxPlayers
+   * @returns {string[][]} One array of player IDs per game to start
+   */
+  takeGroups(key, { minPlayers, maxPlayers }) {
+    const groups = splitIntoGroups(this.getQueue(key), minPlayers, maxPlayers);
+    groups.flat().forEach(playerId => this.leave(key, playerId));
+    return groups;
+  }
+}
+
+module.exports = {
+  Matchmaker,
+  splitIntoGroups,
+};
@@ -0,0 +1,195 @@
+// src/server/movementValidator.js
+// Server-side checks on player movement: moves faster than a player can run are clamped,
+// impossible jumps across the map are rejected, and teleports are only accepted through
+// the portals, when respawning, or to destinations the server allows.
+
+const { SPAWN_POSITION, JUMP_PADS, JUMP_PAD_RADIUS, PORTALS } = require('../utils/worldLayout');
+
+// Fastest a player can move on their own: running (5 m/s) on the ice rink (2x)
+const MAX_SPEED = 10;
+// Headroom for physics and network jitter
+const SPEED_TOLERANCE = 1.25;
+// How much unused movement can be saved up (s), so bunched-up packets after lag still fit
+const MAX_BURST_SECONDS = 1.5;
+// Extra distance for being launched by a jump pad (m), at most once per cooldown
+const JUMP_PAD_BONUS = 8;
+const JUMP_PAD_COOLDOWN_MS = 500;
+// Moves at most this far (m) over the allowance are clamped; anything further is rejected
+const MAX_CLAMP_DISTANCE = 3;
+// Portals drop players radius + 1.5m in front of the other end
+const PORTAL_EXIT_OFFSET = 1.5;
+// Slack when matching positions against portals, spawn points and teleport destinations (m)
+const POSITION_SLACK = 2;
+// Players below this height have fallen off the map and respawn at the spawn point
+const FALL_RESPAWN_Y = -20;
+// How long a teleport to the spawn point is allowed after a grant, e.g. a round starting (ms)
+const SPAWN_GRANT_MS = 5000;
+
+const distanceXZ = (a, b) => Math.hypot(a[0] - b[0], a[2] - b[2]);
+const distance3D = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+function isValidPosition(position) {
+  return Array.isArray(position) && position.length === 3 && position.every(Number.isFinite);
+}
+
+// Whether a move went in one end of a portal and came out the other
+function isPortalTrip(from, to) {
+  return PORTALS.some(({ portalA, portalB, radius }) => {
+    const entryRange = radius + POSITION_SLACK;
+    const exitRange = radius + PORTAL_EXIT_OFFSET + POSITION_SLACK;
+    return (distance3D(from, portalA) <= entryRange && distance3D(to, portalB) <= exitRange) ||
+      (distance3D(from, portalB) <= entryRange && distance3D(to, portalA) <= exitRange);
+  });
+}
+
+function isOnJumpPad(position) {
+  return JUMP_PADS.some(({ position: padPosition, mini }) => {
+    const radius = JUMP_PAD_RADIUS * (mini ? 1 / 3 : 1);
+    return distanceXZ(position, padPosition) <= radius + POSITION_SLACK / 2 &&
+      Math.abs(position[1] - padPosition[1]) < 2;
+  });
+}
+
+/**
+ * Tracks each player's last accepted position and a movement allowance that refills
+ * at the maximum speed. Counters per player are kept for moderation.
+ */
+class MovementValidator {
+  constructor() {
+    // Per player: { position, allowance, updatedAt, lastJumpPadAt, spawnGrantUntil }
+    this.players = {};
+    // Per player: { accepted, clamped, rejected, teleports }
+    this.counters = {};
+  }
+
+  /**
+   * Start tracking a player from a known position (e.g. when they join a room)
+   * @param {string} playerId
+   * @param {Array} position - [x, y, z]
+   * @param {number} now - Current time (ms)
+   */
+  track(playerId, position, now) {
+    this.players[playerId] = {
+      position: isValidPosition(position) ? position : SPAWN_POSITION,
+      allowance: 0,
+      updatedAt: now,
+      lastJumpPadAt: 0,
+      spawnGrantUntil: 0,
+    };
+    if (!this.counters[playerId]) {
+      this.counters[playerId] = { accepted: 0, clamped: 0, rejected: 0, teleports: 0 };
+    }
+  }
+
+  /**
+   * Stop tracking a player who left
+   * @param {string} playerId
+   */
+  remove(playerId) {
+    delete this.players[playerId];
+    delete this.counters[playerId];
+  }
+
+  /**
+   * Let a player teleport to the spawn point for a short while, e.g. when a round starts or ends
+   * @param {string} playerId
+   * @param {number} now - Current time (ms)
+   */
+  grantSpawnTeleport(playerId, now) {
+    const state = this.players[playerId];
+    if (state) state.spawnGrantUntil = now + SPAWN_GRANT_MS;
+  }
+
+  /**
+   * Check a move reported by a client
+   * @param {string} playerId
+   * @param {Array} position - Position the client reported [x, y, z]
+   * @param {Object} options
+   * @param {number} options.now - Current time (ms)
+   * @param {boolean} [options.isTeleport=false] - The client says this move is a teleport
+   * @param {Array<Array>} [options.destinations=[]] - Extra positions the player may teleport to (e.g. race start lines)
+   * @returns {{position: Array, result: 'accepted'|'teleport'|'clamped'|'rejected', reason?: string}}
+   *   The position the server keeps; clamped and rejected moves need a correction sent to the client
+   */
+  check(playerId, position, { now, isTeleport = false, destinations = [] }) {
+    if (!this.players[playerId]) this.track(playerId, position, now);
+    const state = this.players[playerId];
+    const counters = this.counters[playerId];
+    const from = state.position;
+
+    if (!isValidPosition(position)) {
+      counters.rejected++;
+      return { position: from, result: 'rejected', reason: 'invalid' };
+    }
+
+    // Refill the allowance for the time since the last accepted move
+    const elapsed = Math.max(0, now - state.updatedAt) / 1000;
+    const maxAllowance = MAX_SPEED * SPEED_TOLERANCE * MAX_BURST_SECONDS;
+    state.allowance = Math.min(maxAllowance, state.allowance + elapsed * MAX_SPEED * SPEED_TOLERANCE);
+    state.updatedAt = now;
+
+    if (isOnJumpPad(from) && now - state.lastJumpPadAt > JUMP_PAD_COOLDOWN_MS) {
+      state.allowance += JUMP_PAD_BONUS;
+      state.lastJumpPadAt = now;
+    }
+
+    if (this.isAllowedTeleport(state, from, position, now, destinations)) {
+      state.position = position;
+      state.allowance = 0;
+      counters.teleports++;
+      return { position, result: 'teleport' };
+    }
+
+    if (isTeleport) {
+      counters.rejected++;
+      return { position: from, result: 'rejected', reason: 'teleport' };
+    }
+
+    const distance = distanceXZ(from, position);
+    if (distance <= state.allowance) {
+      state.allowance -= distance;
+      state.position = position;
+      counters.accepted++;
+      return { position, result: 'accepted' };
+    }
+
+    if (distance - state.allowance > MAX_CLAMP_DISTANCE) {
+      counters.rejected++;
+      return { position: from, result: 'rejected', reason: 'speed' };
+    }
+
+    // Move as far toward the reported position as the allowance permits
+    const ratio = state.allowance / distance;
+    const clamped = [
+      from[0] + (position[0] - from[0]) * ratio,
+      position[1],
+      from[2] + (position[2] - from[2]) * ratio,
+    ];
+    state.allowance = 0;
+    state.position = clamped;
+    counters.clamped++;
+    return { position: clamped, result: 'clamped', reason: 'speed' };
+  }
+
+  // Portals, respawning after a fall, granted spawn teleports and server-given destinations
+  isAllowedTeleport(state, from, to, now, destinations) {
+    if (isPortalTrip(from, to)) return true;
+
+    const nearSpawn = distance3D(to, SPAWN_POSITION) <= POSITION_SLACK;
+    if (nearSpawn && (from[1] < FALL_RESPAWN_Y || now < state.spawnGrantUntil)) return true;
+
+    return destinations.some(destination => distance3D(to, destination) <= POSITION_SLACK);
+  }
+
+  /**
+   * Movement counters for every tracked player, for moderation
+   * @returns {Object} { [playerId]: { accepted, clamped, rejected, teleports } }
+   */
+  getCounters() {
+    return JSON.parse(JSON.stringify(this.counters));
+  }
+}
+
+module.exports = {
+  MovementValidator,
+};
@@ -0,0 +1,157 @@
+// src/server/objectStore.js
+// Persistence layer for objects placed in edit mode
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./writeJsonAtomic');
+
+// How long to wait before trying a failed write again (ms)
+const RETRY_DELAY_MS = 5000;
+
+/**
+ * Object stores persist the list of objects for each room. Any backend
+ * (e.g. a SQLite adapter) can be plugged into server.js as long as it
+ * implements the same three methods:
+ *
+ *   load(roomId)           -> Promise<Array>  objects saved for the room ([] if none, rejects on read errors)
+ *   save(roomId, objects)  -> void            queue the room's objects to be written
+ *   flush()                -> Promise<void>   write everything still queued
+ */
+
+/**
+ * Default backend: one JSON file per room.
+ * Writes are debounced per room and replace the file atomically
+ * (write to a temp file, then rename) so a crash never leaves a half-written file.
+ */
+class JsonFileObjectStore {
+  /**
+   * @param {string} directory - Folder holding one `<roomId>.json` file per room
+   * @param {Object} [options]
+   * @param {number} [options.debounceMs=500] - Delay before queued changes are written
+   */
+  constructor(directory, { debounceMs = 500 } = {}) {
+    this.directory = directory;
+    this.debounceMs = debounceMs;
+
+    // Pending writes by roomId: { objects, timer }
+    this.pending = {};
+
+    // In-flight writes by roomId, so writes to the same file never overlap
+    this.writing = {};
+  }
+
+  /**
+   * Get the file path for a room (room IDs come from URLs, so encode them)
+   * @param {string} roomId - Room identifier
+   * @returns {string} - Absolute path of the room's JSON file
+   */
+  getFilePath(roomId) {
+    return path.join(this.directory, `${encodeURIComponent(roomId)}.json`);
+  }
+
+  /**
+   * Load the saved objects for a room
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<Array>} - Saved objects, or an empty array if nothing was saved
+   * @throws if the room's file exists but can't be read or parsed
+   */
+  async load(roomId) {
+    // Changes that haven't hit the disk yet are newer than the file
+    if (this.pending[roomId]) {
+      return [...this.pending[roomId].objects];
+    }
+
+    try {
+      const contents = await fs.promises.readFile(this.getFilePath(roomId), 'utf8');
+      const data = JSON.parse(contents);
+      return Array.isArray(data.objects) ? data.objects : [];
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      // Don't hide unreadable files - saving over them would lose the room's objects
+      throw err;
+    }
+  }
+
+  /**
+   * Queue the objects for a room to be written after the debounce delay
+   * @param {string} roomId - Room identifier
+   * @param {Array} objects - Full list of objects in the room
+   */
+  save(roomId, objects) {
+    const entry = this.pending[roomId] || (this.pending[roomId] = { objects: null, timer: null });
+
+    // Copy the list so later in-memory changes don't leak into this write
+    entry.objects = objects.map(obj => ({ ...obj }));
+
+    this.scheduleWrite(roomId, this.debounceMs);
+  }
+
+  /**
+   * (Re)start the timer that writes a room's queued objects
+   * @param {string} roomId - Room identifier
+   * @param {number} delayMs - Delay before the write
+   */
+  scheduleWrite(roomId, delayMs) {
+    const entry = this.pending[roomId];
+    if (entry.timer) clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      this.writeRoom(roomId).catch(err => {
+        console.error(`[ObjectStore] Failed to save objects for room ${roomId}:`, err);
+      });
+    }, delayMs);
+  }
+
+  /**
+   * Write every queued room immediately (used on shutdown)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const roomIds = Object.keys(this.pending);
+    await Promise.all(roomIds.map(roomId => this.writeRoom(roomId)));
+    await Promise.all(Object.values(this.writing));
+  }
+
+  /**
+   * Write a room's queued objects to disk
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<void>}
+   */
+  async writeRoom(roomId) {
+    // Wait for any earlier write of this file to finish first
+    while (this.writing[roomId]) {
+      await this.writing[roomId];
+    }
+
+    const entry = this.pending[roomId];
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    delete this.pending[roomId];
+
+    const write = writeJsonAtomic(this.getFilePath(roomId), {
+      roomId,
+      updatedAt: new Date().toISOString(),
+      objects: entry.objects,
+    });
+
+    // Later writes only wait for this one to settle, a failure is handled here
+    this.writing[roomId] = write.catch(() => {});
+    try {
+      await write;
+      console.log(`[ObjectStore] Saved ${entry.objects.length} objects for room ${roomId}`);
+    } catch (err) {
+      console.error(`[ObjectStore] Failed to save objects for room ${roomId}, retrying in ${RETRY_DELAY_MS}ms:`, err);
+      // Keep the objects queued, unless a newer save replaced them while this one was writing
+      if (!this.pending[roomId]) {
+        this.pending[roomId] = { objects: entry.objects, timer: null };
+        this.scheduleWrite(roomId, RETRY_DELAY_MS);
+      }
+    } finally {
+      delete this.writing[roomId];
+    }
+  }
+}
+
+module.exports = {
+  JsonFileObjectStore,
+};
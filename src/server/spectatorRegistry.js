@@ -0,0 +1,68 @@
+// src/server/spectatorRegistry.js
+// Who is watching each running game. Spectators are players in the same world room who
+// aren't in the game; games use the list for viewer counts.
+
+class SpectatorRegistry {
+  constructor() {
+    // Per game room: Set of spectating player IDs
+    this.spectators = {};
+  }
+
+  /**
+   * Start watching a game
+   * @param {string} roomId - Game room ID
+   * @param {string} playerId
+   * @returns {boolean} Whether the player wasn't already watching it
+   */
+  add(roomId, playerId) {
+    if (!this.spectators[roomId]) this.spectators[roomId] = new Set();
+    if (this.spectators[roomId].has(playerId)) return false;
+    this.spectators[roomId].add(playerId);
+    return true;
+  }
+
+  /**
+   * Stop watching a game
+   * @param {string} roomId - Game room ID
+   * @param {string} playerId
+   * @returns {boolean} Whether the player was watching it
+   */
+  remove(roomId, playerId) {
+    const spectators = this.spectators[roomId];
+    if (!spectators || !spectators.delete(playerId)) return false;
+    if (spectators.size === 0) delete this.spectators[roomId];
+    return true;
+  }
+
+  /**
+   * The game a player is watching
+   * @param {string} playerId
+   * @returns {string|null} Game room ID
+   */
+  getWatchedRoom(playerId) {
+    return Object.keys(this.spectators).find(roomId => this.spectators[roomId].has(playerId)) || null;
+  }
+
+  /**
+   * @param {string} roomId - Game room ID
+   * @returns {string[]} Player IDs watching the game
+   */
+  getSpectators(roomId) {
+    return [...(this.spectators[roomId] || [])];
+  }
+
+  /**
+   * Stop everyone watching a game, e.g. when it ends
+   * @param {string} roomId - Game room ID
+   * @returns {string[]} Player IDs who were watching
+   */
+  clear(roomId) {
+    const spectators = this.getSpectators(roomId);
+    delete this.spectators[roomId];
+    return spectators;
+  }
+}
+
+module.exports = {
+  SpectatorRegistry,
+};
@@ -0,0 +1,42 @@
+// src/server/touchDistance.js
+// Server-side check on touches clients report (freezing, infecting, finding a hider):
+// the two players' last known positions must be close enough for the touch to be real.
+
+// Touches are accepted up to this multiple of the configured range, since the last `move`
+// update the server has can lag behind the client
+const DISTANCE_TOLERANCE = 1.5;
+
+/**
+ * Check a reported touch against the players' last known positions (horizontal distance)
+ * @param {Object} roomPlayers - Players in the world room: { [playerId]: player }
+ * @param {string} playerA - Player reporting the touch
+ * @param {string} playerB - Player they touched
+ * @param {number} maxDistance - Touch range from the game's config (m), before the tolerance
+ * @returns {{inRange: boolean, distance: number|null}} Distance is null, and the touch out of
+ *   range, when either position is unknown
+ */
+function checkTouchDistance(roomPlayers, playerA, playerB, maxDistance) {
+  const posA = roomPlayers?.[playerA]?.position;
+  const posB = roomPlayers?.[playerB]?.position;
+  if (!Array.isArray(posA) || !Array.isArray(posB)) return { inRange: false, distance: null };
+
+  const distance = Math.hypot(posA[0] - posB[0], posA[2] - posB[2]);
+  return { inRange: distance <= maxDistance * DISTANCE_TOLERANCE, distance };
+}
+
+/**
+ * Describe a failed check for the server log, against the range actually enforced
+ * @param {{distance: number|null}} check - Result of checkTouchDistance
+ * @param {number} maxDistance - Touch range from the game's config (m), before the tolerance
+ * @returns {string}
+ */
+function describeTouchDistance({ distance }, maxDistance) {
+  if (distance === null) return 'position unknown';
+  return `${distance.toFixed(2)} > ${(maxDistance * DISTANCE_TOLERANCE).toFixed(2)}`;
+}
+
+module.exports = {
+  DISTANCE_TOLERANCE,
+  checkTouchDistance,
+  describeTouchDistance,
+};
@@ -0,0 +1,108 @@
+// src/server/worldSnapshots.js
+// Batches player movement per room. Moves only update the latest state; once per server
+// tick each player gets a single snapshot holding the fields that changed since the last
+// one they were sent. Which players go into it is up to the caller (area of interest).
+
+// Movement fields that go into snapshots
+const SNAPSHOT_FIELDS = ['position', 'rotation', 'animation', 'showSkateboard'];
+
+const sameValue = (a, b) => (
+  Array.isArray(a) && Array.isArray(b)
+    ? a.length === b.length && a.every((value, i) => value === b[i])
+    : a === b
+);
+
+class WorldSnapshots {
+  constructor() {
+    // Per room, per player: latest movement fields, plus a teleport counter
+    this.states = {};
+    // Per receiving player, per player: the fields as last sent to them
+    this.sent = {};
+  }
+
+  /**
+   * Note a player's latest movement
+   * @param {string} roomId - World room ID
+   * @param {string} playerId
+   * @param {Object} fields - Any of position, rotation, animation, showSkateboard
+   * @param {Object} [options]
+   * @param {boolean} [options.isTeleport] - Clients snap to this position instead of interpolating
+   */
+  record(roomId, playerId, fields, { isTeleport = false } = {}) {
+    if (!this.states[roomId]) this.states[roomId] = {};
+    const state = this.states[roomId][playerId] || { teleports: 0 };
+
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) state[field] = fields[field];
+    });
+    if (isTeleport) state.teleports++;
+
+    this.states[roomId][playerId] = state;
+  }
+
+  /**
+   * Forget a player who left the room
+   * @param {string} roomId - World room ID
+   * @param {string} playerId
+   */
+  removePlayer(roomId, playerId) {
+    if (this.states[roomId]) delete this.states[roomId][playerId];
+    delete this.sent[playerId];
+    Object.values(this.sent).forEach(sent => delete sent[playerId]);
+  }
+
+  /**
+   * Forget an empty room
+   * @param {string} roomId - World room ID
+   */
+  removeRoom(roomId) {
+    delete this.states[roomId];
+  }
+
+  /**
+   * @returns {string[]} Rooms with players whose movement has been recorded
+   */
+  getRoomIds() {
+    return Object.keys(this.states);
+  }
+
+  /**
+   * Build one player's next snapshot and remember it as sent
+   * @param {string} roomId - World room ID
+   * @param {string} receiverId - Player the snapshot is for
+   * @param {string[]} playerIds - Players to include if they changed
+   * @returns {Object|null} Changed fields per player ID, or null if nothing changed
+   */
+  buildSnapshot(roomId, receiverId, playerIds) {
+    const states = this.states[roomId] || {};
+    if (!this.sent[receiverId]) this.sent[receiverId] = {};
+    const sentToReceiver = this.sent[receiverId];
+    let changes = null;
+
+    playerIds.forEach(playerId => {
+      const state = states[playerId];
+      if (!state || playerId === receiverId) return;
+      const sent = sentToReceiver[playerId] || { teleports: 0 };
+
+      const changed = {};
+      SNAPSHOT_FIELDS.forEach(field => {
+        if (state[field] !== undefined && !sameValue(state[field], sent[field])) changed[field] = state[field];
+      });
+      if (state.teleports !== sent.teleports) {
+        changed.position = state.position;
+        changed.isTeleport = true;
+      }
+      if (Object.keys(changed).length === 0) return;
+
+      sentToReceiver[playerId] = { ...state };
+      if (!changes) changes = {};
+      changes[playerId] = changed;
+    });
+
+    return changes;
+  }
+}
+
+module.exports = {
+  WorldSnapshots,
+};
@@ -0,0 +1,32 @@
+// src/server/writeJsonAtomic.js
+// Crash-safe JSON file writes for server-side storage
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Replace a JSON file without ever exposing a partially written version.
+ * The data is written to a temp file, synced to disk, then renamed over the target.
+ * @param {string} filePath - Destination file
+ * @param {Object} data - JSON-serializable contents
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomic(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(data, null, 2));
+    // Make sure the data is on disk before the rename makes it visible
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.promises.rename(tempPath, filePath);
+}
+
+module.exports = {
+  writeJsonAtomic,
+};
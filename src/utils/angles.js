@@ -0,0 +1,32 @@
+// angles.js - Helpers for yaw angles (radians) that wrap around at ±π
+
+/**
+ * Wrap an angle into the range [-π, π]
+ * @param {number} angle - Angle in radians
+ * @returns {number}
+ */
+export const normalizeAngle = (angle) => {
+  while (angle > Math.PI) angle -= 2 * Math.PI;
+  while (angle < -Math.PI) angle += 2 * Math.PI;
+  return angle;
+};
+
+/**
+ * Interpolate between two angles the short way round
+ * @param {number} start - Angle in radians
+ * @param {number} end - Angle in radians
+ * @param {number} t - 0 returns start, 1 returns end
+ * @returns {number}
+ */
+export const lerpAngle = (start, end, t) => {
+  start = normalizeAngle(start);
+  end = normalizeAngle(end);
+  if (Math.abs(end - start) > Math.PI) {
+    if (end > start) {
+      start += 2 * Math.PI;
+    } else {
+      end += 2 * Math.PI;
+    }
+  }
+  return normalizeAngle(start + (end - start) * t);
+};
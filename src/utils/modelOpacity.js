@@ -0,0 +1,35 @@
+// modelOpacity.js - Fade a character model in and out (race ghosts, found hiders sitting out)
+
+/**
+ * Remember how a material looks before any fading, so it can be put back later
+ * @param {Object} material - three.js material
+ */
+export const saveBaseAppearance = (material) => {
+  material.userData.baseAppearance = {
+    transparent: material.transparent,
+    opacity: material.opacity,
+    depthWrite: material.depthWrite,
+  };
+};
+
+/**
+ * Make every mesh in a model see-through, or restore it to how it was
+ * @param {Object} model - three.js object to traverse
+ * @param {number} opacity - Below 1 fades the model, 1 or more restores the saved appearance
+ */
+export const setModelOpacity = (model, opacity) => {
+  model.traverse((child) => {
+    if (!child.isMesh || !child.material) return;
+    const { material } = child;
+    if (!material.userData.baseAppearance) saveBaseAppearance(material);
+
+    if (opacity >= 1) {
+      Object.assign(material, material.userData.baseAppearance);
+    } else {
+      material.transparent = true;
+      material.opacity = opacity;
+      material.depthWrite = false;
+    }
+    material.needsUpdate = true;
+  });
+};
@@ -0,0 +1,71 @@
+/**
+ * MovePredictor - Reconciles the local player with the server's movement checks
+ * The local player moves straight away (client-side prediction) and every `move` carries a
+ * sequence number. The server acknowledges the last sequence it processed along with the
+ * position it accepted. If that differs from what we predicted for that move, the server
+ * clamped or refused it: the difference is applied on top of wherever we are now, which
+ * keeps the movement made since (the unacknowledged moves) instead of snapping back to a
+ * position that is a round trip old. The unacknowledged moves are replayed from the corrected
+ * position too, so a later clamp of one of them is measured against where the player
+ * actually is now.
+ */
+
+// Differences smaller than this (m) are rounding, e.g. from the binary encoding
+export const CORRECTION_THRESHOLD = 0.05;
+// Moves kept waiting for an acknowledgement, so a silent server can't grow the history forever
+const MAX_PENDING_MOVES = 120;
+
+export class MovePredictor {
+  constructor() {
+    this.nextSeq = 1;
+    // Moves sent but not yet acknowledged: { seq, position } in send order, with the position
+    // where we predict the server will have the player after the move
+    this.pending = [];
+  }
+
+  /**
+   * Number the next move and remember where we predicted the player to be
+   * @param {number[]} [position] - [x, y, z] the player was at when the move was sent
+   * @returns {number} The move's sequence number
+   */
+  recordSent(position) {
+    const seq = this.nextSeq++;
+    if (Array.isArray(position)) {
+      this.pending.push({ seq, position: [...position] });
+      if (this.pending.length > MAX_PENDING_MOVES) this.pending.shift();
+    }
+    return seq;
+  }
+
+  /**
+   * Handle a server acknowledgement
+   * @param {Object} ack
+   * @param {number} ack.seq - Last move the server processed
+   * @param {number[]} ack.position - Where the server has the player after it
+   * @returns {number[]|null} Offset [dx, dy, dz] to move the player by, or null if the prediction held
+   */
+  reconcile({ seq, position }) {
+    const index = this.pending.findIndex(move => move.seq === seq);
+    const predicted = index === -1 ? null : this.pending[index];
+    this.pending = this.pending.filter(move => move.seq > seq);
+
+    if (!predicted || !Array.isArray(position)) return null;
+
+    const offset = position.map((value, i) => value - predicted.position[i]);
+    if (Math.hypot(...offset) < CORRECTION_THRESHOLD) return null;
+
+    // Replay the moves still in flight from the corrected position: each one ends up shifted
+    // by the same offset as the player
+    this.pending.forEach(move => {
+      move.position = move.position.map((value, i) => value + offset[i]);
+    });
+    return offset;
+  }
+
+  /**
+   * Forget everything in flight, e.g. after reconnecting
+   */
+  reset() {
+    this.pending = [];
+  }
+}
@@ -0,0 +1,223 @@
+// src/utils/movementCodec.js
+// Compact binary encoding for movement: `move` messages from clients and the server's
+// `world-snapshot` batches. Shared by MultiplayerProvider and server.js. Clients opt in at
+// `join`; anything that can't be encoded (an unknown animation, a position off the map)
+// goes out as JSON instead, which both ends keep accepting.
+//
+// Movement record, little-endian:
+//   uint8    flags (see FLAGS)
+//   int16x3  position in centimetres         if FLAGS.position
+//   uint16   rotation, 0..2π mapped to 0..65535   if FLAGS.rotation
+//   uint8    index into ANIMATIONS           if FLAGS.animation
+//   uint32   move sequence number            if FLAGS.seq (moves only)
+// Snapshot: float64 server time, uint8 player count, then per player a uint8 ID length,
+// the ID as ASCII and a movement record.
+
+// Name clients send at `join` to ask for binary movement; the server echoes it back in `movement-protocol`
+export const BINARY_MOVEMENT_PROTOCOL = 'binary-v1';
+
+// Animations that can be sent as an index. New ones go at the end so old indexes keep their meaning.
+export const ANIMATIONS = ['idle', 'walk', 'run', 'jump', 'jump_up', 'fall', 'wave', 'jumppad'];
+
+const FLAGS = {
+  position: 1 << 0,
+  rotation: 1 << 1,
+  animation: 1 << 2,
+  hasSkateboard: 1 << 3, // showSkateboard is in the record...
+  showSkateboard: 1 << 4, // ...and this is its value
+  isTeleport: 1 << 5,
+  seq: 1 << 6,
+};
+
+const POSITION_SCALE = 100; // centimetres
+const MAX_QUANTIZED = 32767;
+const MAX_PLAYERS_PER_SNAPSHOT = 255;
+
+const quantizePosition = (value) => Math.round(value * POSITION_SCALE);
+
+const quantizeRotation = (rotation) => {
+  const turn = ((rotation % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  return Math.round((turn / (2 * Math.PI)) * 65535) % 65536;
+};
+
+const dequantizeRotation = (value) => {
+  const rotation = (value / 65535) * 2 * Math.PI;
+  // Back into [-π, π], the range players' rotations are in
+  return rotation > Math.PI ? rotation - 2 * Math.PI : rotation;
+};
+
+// Bytes a movement record takes, or null if it can't be encoded
+function getRecordSize(fields) {
+  let size = 1;
+  if (fields.position !== undefined) {
+    const { position } = fields;
+    if (!Array.isArray(position) || position.length !== 3) return null;
+    if (!position.every(v => Number.isFinite(v) && Math.abs(quantizePosition(v)) <= MAX_QUANTIZED)) return null;
+    size += 6;
+  }
+  if (fields.rotation !== undefined) {
+    if (!Number.isFinite(fields.rotation)) return null;
+    size += 2;
+  }
+  if (fields.animation !== undefined) {
+    if (!ANIMATIONS.includes(fields.animation)) return null;
+    size += 1;
+  }
+  if (fields.seq !== undefined) {
+    if (!Number.isInteger(fields.seq) || fields.seq < 0 || fields.seq > 0xffffffff) return null;
+    size += 4;
+  }
+  return size;
+}
+
+function writeRecord(view, offset, fields) {
+  let flags = 0;
+  if (fields.position !== undefined) flags |= FLAGS.position;
+  if (fields.rotation !== undefined) flags |= FLAGS.rotation;
+  if (fields.animation !== undefined) flags |= FLAGS.animation;
+  if (typeof fields.showSkateboard === 'boolean') {
+    flags |= FLAGS.hasSkateboard;
+    if (fields.showSkateboard) flags |= FLAGS.showSkateboard;
+  }
+  if (fields.isTeleport) flags |= FLAGS.isTeleport;
+  if (fields.seq !== undefined) flags |= FLAGS.seq;
+
+  view.setUint8(offset++, flags);
+  if (flags & FLAGS.position) {
+    fields.position.forEach(value => {
+      view.setInt16(offset, quantizePosition(value), true);
+      offset += 2;
+    });
+  }
+  if (flags & FLAGS.rotation) {
+    view.setUint16(offset, quantizeRotation(fields.rotation), true);
+    offset += 2;
+  }
+  if (flags & FLAGS.animation) {
+    view.setUint8(offset++, ANIMATIONS.indexOf(fields.animation));
+  }
+  if (flags & FLAGS.seq) {
+    view.setUint32(offset, fields.seq, true);
+    offset += 4;
+  }
+  return offset;
+}
+
+function readRecord(view, offset) {
+  const fields = {};
+  const flags = view.getUint8(offset++);
+  if (flags & FLAGS.position) {
+    fields.position = [0, 1, 2].map(i => view.getInt16(offset + i * 2, true) / POSITION_SCALE);
+    offset += 6;
+  }
+  if (flags & FLAGS.rotation) {
+    fields.rotation = dequantizeRotation(view.getUint16(offset, true));
+    offset += 2;
+  }
+  if (flags & FLAGS.animation) {
+    fields.animation = ANIMATIONS[view.getUint8(offset++)] || 'idle';
+  }
+  if (flags & FLAGS.seq) {
+    fields.seq = view.getUint32(offset, true);
+    offset += 4;
+  }
+  if (flags & FLAGS.hasSkateboard) fields.showSkateboard = !!(flags & FLAGS.showSkateboard);
+  if (flags & FLAGS.isTeleport) fields.isTeleport = true;
+  return { fields, offset };
+}
+
+// Socket.IO hands binary over as an ArrayBuffer in browsers and a Buffer in Node
+function toDataView(data) {
+  if (data instanceof ArrayBuffer) return new DataView(data);
+  return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Whether a received message is binary (as opposed to a JSON object)
+ * @param {*} data
+ * @returns {boolean}
+ */
+export const isBinaryMessage = (data) => data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+
+/**
+ * Encode a `move` message
+ * @param {Object} fields - Any of position, rotation, animation, showSkateboard, seq
+ * @returns {ArrayBuffer|null} Null if the move has to go as JSON
+ */
+export function encodeMove(fields) {
+  const size = getRecordSize(fields);
+  if (size === null) return null;
+  const buffer = new ArrayBuffer(size);
+  writeRecord(new DataView(buffer), 0, fields);
+  return buffer;
+}
+
+/**
+ * Decode a binary `move` message
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Object|null} The movement fields, or null if the message is malformed
+ */
+export function decodeMove(data) {
+  try {
+    return readRecord(toDataView(data), 0).fields;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Encode a `world-snapshot`
+ * @param {Object} snapshot
+ * @param {number} snapshot.t - Server time (ms)
+ * @param {Object} snapshot.players - Changed movement fields per player ID
+ * @returns {ArrayBuffer|null} Null if the snapshot has to go as JSON
+ */
+export function encodeSnapshot({ t, players }) {
+  const entries = Object.entries(players);
+  if (entries.length > MAX_PLAYERS_PER_SNAPSHOT) return null;
+
+  let size = 9;
+  for (const [playerId, fields] of entries) {
+    const recordSize = getRecordSize(fields);
+    if (recordSize === null || playerId.length > 255 || !/^[\x20-\x7e]*$/.test(playerId)) return null;
+    size += 1 + playerId.length + recordSize;
+  }
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  view.setFloat64(0, t, true);
+  view.setUint8(8, entries.length);
+  let offset = 9;
+  entries.forEach(([playerId, fields]) => {
+    view.setUint8(offset++, playerId.length);
+    for (let i = 0; i < playerId.length; i++) view.setUint8(offset++, playerId.charCodeAt(i));
+    offset = writeRecord(view, offset, fields);
+  });
+  return buffer;
+}
+
+/**
+ * Decode a binary `world-snapshot`
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {{t: number, players: Object}|null} Null if the message is malformed
+ */
+export function decodeSnapshot(data) {
+  try {
+    const view = toDataView(data);
+    const t = view.getFloat64(0, true);
+    const count = view.getUint8(8);
+    const players = {};
+    let offset = 9;
+    for (let i = 0; i < count; i++) {
+      const idLength = view.getUint8(offset++);
+      let playerId = '';
+      for (let j = 0; j < idLength; j++) playerId += String.fromCharCode(view.getUint8(offset++));
+      const record = readRecord(view, offset);
+      players[playerId] = record.fields;
+      offset = record.offset;
+    }
+    return { t, players };
+  } catch (err) {
+    return null;
+  }
+}
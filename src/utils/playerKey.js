@@ -0,0 +1,21 @@
+// playerKey.js - Persistent anonymous identity for this browser
+import { v4 as uuidv4 } from 'uuid';
+
+const STORAGE_KEY = 'wondrPlayerKey';
+
+// Socket IDs change on every connection, so features that remember a player
+// across visits (like race personal bests) use this key instead
+export function getPlayerKey() {
+  try {
+    let key = window.localStorage.getItem(STORAGE_KEY);
+    if (!key) {
+      key = uuidv4();
+      window.localStorage.setItem(STORAGE_KEY, key);
+    }
+    return key;
+  } catch (err) {
+    // Storage can be unavailable (e.g. private browsing) - fall back to a per-session key
+    if (!window.__wondrPlayerKey) window.__wondrPlayerKey = uuidv4();
+    return window.__wondrPlayerKey;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * SnapshotBuffer - Jitter buffer for a remote player's movement
+ * Keeps the server-timestamped snapshots received for one player and samples them a little
+ * in the past, so there are (almost) always two snapshots to interpolate between even when
+ * packets arrive unevenly. When they stop arriving, movement is extrapolated for a short while.
+ */
+import { lerpAngle } from './angles.js';
+
+// How far in the past remote players are rendered (ms)
+export const INTERPOLATION_DELAY_MS = 100;
+// Players outside the area of interest get snapshots a few times a second, so they're
+// rendered further in the past to still have a pair to interpolate between (ms)
+export const FAR_INTERPOLATION_DELAY_MS = 350;
+// How long movement keeps going past the newest snapshot before it eases back to it (ms)
+export const MAX_EXTRAPOLATION_MS = 250;
+// How fast the delay changes when a player comes into or goes out of interest (ms per frame),
+// so they speed up or slow down for a moment instead of jumping
+const DELAY_STEP_MS = 5;
+
+/**
+ * Estimate of the server clock. The offset is the smallest (server time -> local receive time)
+ * gap seen, which is the clock difference plus the fastest one-way trip. It creeps back up
+ * slowly so clock drift and route changes are picked up.
+ */
+const serverClock = {
+  offset: null,
+
+  /**
+   * Note a timestamp the server sent
+   * @param {number} serverTime - Server Date.now() when the message was sent
+   */
+  observe(serverTime) {
+    const sample = Date.now() - serverTime;
+    if (this.offset === null || sample < this.offset) {
+      this.offset = sample;
+    } else {
+      this.offset += (sample - this.offset) * 0.01;
+    }
+  },
+
+  /**
+   * @returns {number} Estimated current server time (ms)
+   */
+  now() {
+    return Date.now() - (this.offset || 0);
+  },
+};
+
+export class SnapshotBuffer {
+  /**
+   * @param {boolean} [isFar] - Whether the player starts outside the area of interest
+   */
+  constructor(isFar = false) {
+    // Snapshots { t, position: [x, y, z], rotation, animation } in server time order
+    this.snapshots = [];
+    this.targetDelay = isFar ? FAR_INTERPOLATION_DELAY_MS : INTERPOLATION_DELAY_MS;
+    this.delay = this.targetDelay;
+  }
+
+  /**
+   * Switch between full-rate and low-rate playback
+   * @param {boolean} isFar - Whether the player is outside the area of interest
+   */
+  setFar(isFar) {
+    this.targetDelay = isFar ? FAR_INTERPOLATION_DELAY_MS : INTERPOLATION_DELAY_MS;
+  }
+
+  /**
+   * @returns {number} The server time the player should be drawn at
+   */
+  getRenderTime() {
+    return serverClock.now() - this.delay;
+  }
+
+  /**
+   * Add a snapshot. Movement messages are delta-compressed, so fields missing from it
+   * are carried over from the previous snapshot.
+   * @param {number} t - Server timestamp (ms)
+   * @param {Object} state
+   * @param {number[]} [state.position] - [x, y, z]
+   * @param {number} [state.rotation] - Yaw in radians
+   * @param {string} [state.animation]
+   * @param {boolean} [state.isTeleport] - Drop earlier snapshots instead of sliding to the new spot
+   */
+  push(t, { position, rotation, animation, isTeleport = false }) {
+    if (typeof t !== 'number') t = serverClock.now();
+    else serverClock.observe(t);
+
+    const last = this.snapshots[this.snapshots.length - 1];
+    const snapshot = {
+      t,
+      position: position || last?.position,
+      rotation: rotation !== undefined ? rotation : (last?.rotation || 0),
+      animation: animation || last?.animation || 'idle',
+    };
+    if (!snapshot.position) return;
+
+    if (isTeleport) {
+      this.snapshots = [snapshot];
+      return;
+    }
+
+    // Out-of-order packets are slotted in where they belong
+    let index = this.snapshots.length;
+    while (index > 0 && this.snapshots[index - 1].t > t) index--;
+    this.snapshots.splice(index, 0, snapshot);
+
+    // Keep one snapshot older than the render time so there is always a pair to interpolate
+    const renderTime = this.getRenderTime();
+    while (this.snapshots.length > 2 && this.snapshots[1].t <= renderTime) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Where the player should be drawn
+   * @param {number} [renderTime] - Server time to sample at, defaults to getRenderTime()
+   * @returns {{position: number[], rotation: number}|null} Null until a snapshot has arrived
+   */
+  sample(renderTime) {
+    if (renderTime === undefined) {
+      this.delay += Math.max(-DELAY_STEP_MS, Math.min(DELAY_STEP_MS, this.targetDelay - this.delay));
+      renderTime = this.getRenderTime();
+    }
+
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    const first = snapshots[0];
+    if (snapshots.length === 1 || renderTime <= first.t) {
+      return { position: first.position, rotation: first.rotation };
+    }
+
+    // Interpolate between the pair of snapshots around the render time
+    for (let i = snapshots.length - 1; i > 0; i--) {
+      const from = snapshots[i - 1];
+      const to = snapshots[i];
+      if (from.t <= renderTime && renderTime <= to.t) {
+        const span = to.t - from.t;
+        const alpha = span > 0 ? (renderTime - from.t) / span : 1;
+        return this.blend(from, to, alpha);
+      }
+    }
+
+    // Past the newest snapshot. Clients stop sending when they stand still, so a player
+    // who went idle stays put; otherwise a packet was probably lost and they keep going at
+    // their last velocity for a while, then ease back to where they were last seen
+    const from = snapshots[snapshots.length - 2];
+    const to = snapshots[snapshots.length - 1];
+    const span = to.t - from.t;
+    if (span <= 0 || to.animation === 'idle') return { position: to.position, rotation: to.rotation };
+    const late = renderTime - to.t;
+    const ahead = late <= MAX_EXTRAPOLATION_MS ? late : Math.max(0, 2 * MAX_EXTRAPOLATION_MS - late);
+    return this.blend(from, to, 1 + ahead / span);
+  }
+
+  /**
+   * @param {Object} from - Snapshot
+   * @param {Object} to - Snapshot
+   * @param {number} alpha - 0 at from, 1 at to, above 1 to extrapolate
+   * @returns {{position: number[], rotation: number}}
+   */
+  blend(from, to, alpha) {
+    return {
+      position: [
+        from.position[0] + (to.position[0] - from.position[0]) * alpha,
+        from.position[1] + (to.position[1] - from.position[1]) * alpha,
+        from.position[2] + (to.position[2] - from.position[2]) * alpha,
+      ],
+      // Turning isn't extrapolated, players spin in place too fast for that to look right
+      rotation: lerpAngle(from.rotation, to.rotation, Math.min(alpha, 1)),
+    };
+  }
+}
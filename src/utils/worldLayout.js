@@ -0,0 +1,30 @@
+// src/utils/worldLayout.js
+// Fixed positions of the world's spawn point, jump pads and portals.
+// Shared by Experience (which places them) and the server's movement validator
+// (which needs to know where players can legitimately jump or teleport).
+
+// Where players spawn and respawn after falling off the map
+export const SPAWN_POSITION = [0, 0.8, 0];
+
+export const JUMP_PADS = [
+  { position: [7.84, 0.18, -2.22] },
+  { position: [-4.22, -0.82, -11.37], mini: true },
+  { position: [-10.95, 0.18, -16.17], mini: true },
+  { position: [17.12, -0.82, -13.14], mini: true },
+  { position: [8.17, 0.18, -13.34], mini: true },
+  { position: [-1.45, 1.18, -16.53] },
+  { position: [14.88, -0.82, -0.01], mini: true },
+];
+
+// Full jump pad radius (mini pads are a third of this)
+export const JUMP_PAD_RADIUS = 1.8;
+
+export const PORTALS = [
+  {
+    portalA: [-9.39, -0.82, 3.05],
+    portalB: [15.76, 1.18, -29.7],
+    rotationA: [0, 0, 0], // Back to original orientation (no rotation)
+    rotationB: [0, -Math.PI / 2, 0], // Face west (-90 degrees Y rotation)
+    radius: 1.2,
+  },
+];
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { InterestManager } = require('../src/server/interestManager');
+
+test('the first update reports everyone in range as entered', () => {
+  const interests = new InterestManager();
+  assert.deepEqual(interests.update('a', ['b', 'c']), { entered: ['b', 'c'], left: [] });
+});
+
+test('updates report who came into and went out of range', () => {
+  const interests = new InterestManager();
+  interests.update('a', ['b', 'c']);
+  assert.deepEqual(interests.update('a', ['c', 'd']), { entered: ['d'], left: ['b'] });
+  assert.deepEqual(interests.update('a', ['c', 'd']), { entered: [], left: [] });
+});
+
+test('a removed player drops out of everyone\'s area without a leave event', () => {
+  const interests = new InterestManager();
+  interests.update('a', ['b']);
+  interests.update('b', ['a']);
+  interests.remove('b');
+
+  assert.deepEqual(interests.update('a', []), { entered: [], left: [] });
+  assert.deepEqual(interests.update('b', ['a']), { entered: ['a'], left: [] });
+});
@@ -0,0 +1,82 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LeaderboardStore } = require('../src/games/race/server/leaderboards');
+
+const TRACK = 'race_test';
+const stores = [];
+
+function createStore(options) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboards-'));
+  const store = new LeaderboardStore(directory, options);
+  stores.push({ store, directory });
+  return { store, directory };
+}
+
+after(async () => {
+  for (const { store, directory } of stores) {
+    await store.flush();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('a first finish is a personal best and ranks on the board', async () => {
+  const { store } = createStore();
+  const result = await store.recordTime(TRACK, 'key-a', 'socket-a', 30000, { splits: [10000, 20000] });
+
+  assert.deepEqual(result, { isNewPB: true, previousBest: null, delta: null, rank: 1 });
+  assert.deepEqual((await store.getPersonalBest(TRACK, 'key-a')).splits, [10000, 20000]);
+});
+
+test('only faster times replace a personal best', async () => {
+  const { store } = createStore();
+  await store.recordTime(TRACK, 'key-a', 'socket-a', 30000);
+
+  const slower = await store.recordTime(TRACK, 'key-a', 'socket-a', 32000);
+  assert.deepEqual(slower, { isNewPB: false, previousBest: 30000, delta: 2000, rank: 1 });
+
+  const faster = await store.recordTime(TRACK, 'key-a', 'socket-b', 28000);
+  assert.deepEqual(faster, { isNewPB: true, previousBest: 30000, delta: -2000, rank: 1 });
+
+  const { top } = await store.getLeaderboard(TRACK, 'key-a');
+  assert.equal(top.length, 1);
+  assert.equal(top[0].timeElapsed, 28000);
+  assert.equal(top[0].playerId, 'socket-b');
+});
+
+test('the board keeps the fastest players and never sends player keys', async () => {
+  const { store } = createStore({ size: 2 });
+  await store.recordTime(TRACK, 'key-a', 'socket-a', 30000);
+  await store.recordTime(TRACK, 'key-b', 'socket-b', 20000);
+  const slowest = await store.recordTime(TRACK, 'key-c', 'socket-c', 40000);
+
+  assert.equal(slowest.rank, null);
+  const { top, personalBest } = await store.getLeaderboard(TRACK, 'key-a');
+  assert.deepEqual(top.map(entry => [entry.playerId, entry.isMine]), [['socket-b', false], ['socket-a', true]]);
+  assert.ok(top.every(entry => !('playerKey' in entry)));
+  assert.equal(personalBest.timeElapsed, 30000);
+});
+
+test('boards and ghosts are saved to disk and read back', async () => {
+  const { store, directory } = createStore();
+  const samples = [{ t: 0, position: [0, 0.8, 0], rotation: 0, animation: 'idle' }, { t: 100, position: [1, 0.8, 0], rotation: 0, animation: 'run' }];
+  await store.recordTime(TRACK, 'key-a', 'socket-a', 30000, { samples });
+
+  assert.deepEqual((await store.loadGhost(TRACK, 'key-a')).samples, samples);
+  await store.flush();
+
+  const reloaded = new LeaderboardStore(directory);
+  assert.equal((await reloaded.getPersonalBest(TRACK, 'key-a')).timeElapsed, 30000);
+  assert.deepEqual((await reloaded.loadGhost(TRACK, 'key-a')).samples, samples);
+});
+
+test('slower runs don\'t replace the ghost, and players without one get null', async () => {
+  const { store } = createStore();
+  await store.recordTime(TRACK, 'key-a', 'socket-a', 30000, { samples: [{ t: 0, position: [0, 0, 0] }] });
+  await store.recordTime(TRACK, 'key-a', 'socket-a', 35000, { samples: [{ t: 0, position: [9, 9, 9] }] });
+
+  assert.deepEqual((await store.loadGhost(TRACK, 'key-a')).samples[0].position, [0, 0, 0]);
+  assert.equal(await store.loadGhost(TRACK, 'key-b'), null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveBaseAppearance, setModelOpacity } from '../src/utils/modelOpacity.js';
+
+// Just enough of a three.js model: meshes with materials, and traverse()
+function createModel() {
+  const meshes = [0, 1].map(() => ({
+    isMesh: true,
+    material: { transparent: false, opacity: 1, depthWrite: true, userData: {} },
+  }));
+  meshes.forEach(mesh => saveBaseAppearance(mesh.material));
+  const group = { isMesh: false };
+  return {
+    meshes,
+    traverse: (callback) => [group, ...meshes].forEach(callback),
+  };
+}
+
+const appearance = ({ transparent, opacity, depthWrite }) => ({ transparent, opacity, depthWrite });
+
+test('fading makes every mesh see-through', () => {
+  const model = createModel();
+  setModelOpacity(model, 0.4);
+  model.meshes.forEach(({ material }) => {
+    assert.deepEqual(appearance(material), { transparent: true, opacity: 0.4, depthWrite: false });
+  });
+});
+
+test('going back to full opacity restores the original materials', () => {
+  const model = createModel();
+  setModelOpacity(model, 0.4);
+  setModelOpacity(model, 0.2);
+  setModelOpacity(model, 1);
+  model.meshes.forEach(({ material }) => {
+    assert.deepEqual(appearance(material), { transparent: false, opacity: 1, depthWrite: true });
+  });
+});
+
+test('materials that were already transparent stay that way', () => {
+  const model = createModel();
+  const [{ material }] = model.meshes;
+  Object.assign(material, { transparent: true, opacity: 0.8 });
+  saveBaseAppearance(material);
+
+  setModelOpacity(model, 0.4);
+  setModelOpacity(model, 1);
+  assert.deepEqual(appearance(material), { transparent: true, opacity: 0.8, depthWrite: true });
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MovePredictor, CORRECTION_THRESHOLD } from '../src/utils/movePrediction.js';
+
+test('moves are numbered in send order', () => {
+  const predictor = new MovePredictor();
+  assert.equal(predictor.recordSent([0, 0, 0]), 1);
+  assert.equal(predictor.recordSent([1, 0, 0]), 2);
+  assert.equal(predictor.recordSent(), 3);
+});
+
+test('an acknowledgement matching the prediction needs no correction', () => {
+  const predictor = new MovePredictor();
+  predictor.recordSent([0, 0, 0]);
+  predictor.recordSent([1, 0, 0]);
+  predictor.recordSent([2, 0, 0]);
+
+  assert.equal(predictor.reconcile({ seq: 2, position: [1, 0, 0] }), null);
+  assert.deepEqual(predictor.pending.map(move => move.seq), [3]);
+});
+
+test('differences below the threshold are treated as rounding', () => {
+  const predictor = new MovePredictor();
+  predictor.recordSent([1, 0, 0]);
+  assert.equal(predictor.reconcile({ seq: 1, position: [1 + CORRECTION_THRESHOLD / 2, 0, 0] }), null);
+});
+
+test('a clamped move returns the offset between the server and the prediction', () => {
+  const predictor = new MovePredictor();
+  predictor.recordSent([0, 0, 0]);
+  predictor.recordSent([10, 0, 0]);
+
+  const offset = predictor.reconcile({ seq: 2, position: [6, 0.5, 0] });
+  assert.deepEqual(offset, [-4, 0.5, 0]);
+});
+
+test('moves in flight during a correction are replayed from the corrected position', () => {
+  const predictor = new MovePredictor();
+  predictor.recordSent([10, 0, 0]);
+  predictor.recordSent([11, 0, 0]);
+  predictor.recordSent([12, 0, 0]);
+
+  assert.deepEqual(predictor.reconcile({ seq: 1, position: [5, 0, 0] }), [-5, 0, 0]);
+  assert.deepEqual(predictor.pending.map(move => move.position[0]), [6, 7]);
+  // The server kept moving the player on from where it clamped them, as replayed
+  assert.equal(predictor.reconcile({ seq: 2, position: [6, 0, 0] }), null);
+
+  // Moves sent after the correction are reconciled as usual
+  predictor.recordSent([8, 0, 0]);
+  assert.deepEqual(predictor.reconcile({ seq: 4, position: [9, 0, 0] }), [1, 0, 0]);
+});
+
+test('a second clamp on a move still in flight is corrected too', () => {
+  const predictor = new MovePredictor();
+  predictor.recordSent([10, 0, 0]);
+  predictor.recordSent([20, 0, 0]);
+  predictor.recordSent([21, 0, 0]);
+
+  assert.deepEqual(predictor.reconcile({ seq: 1, position: [6, 0, 0] }), [-4, 0, 0]);
+  // Move 2 was sent before the first correction and the server clamped it again
+  assert.deepEqual(predictor.reconcile({ seq: 2, position: [12, 0, 0] }), [-4, 0, 0]);
+  // Move 3 was replayed from both corrections and the server accepted it
+  assert.equal(predictor.reconcile({ seq: 3, position: [13, 0, 0] }), null);
+});
+
+test('acknowledgements for unknown moves are ignored', () => {
+  const predictor = new MovePredictor();
+  predictor.recordSent([0, 0, 0]);
+  assert.equal(predictor.reconcile({ seq: 99, position: [5, 0, 0] }), null);
+  assert.equal(predictor.reconcile({ seq: 1 }), null);
+});
+
+test('reset drops the moves in flight', () => {
+  const predictor = new MovePredictor();
+  predictor.recordSent([0, 0, 0]);
+  predictor.recordSent([1, 0, 0]);
+  predictor.reset();
+
+  assert.deepEqual(predictor.pending, []);
+  assert.equal(predictor.reconcile({ seq: 2, position: [9, 0, 0] }), null);
+  assert.equal(predictor.recordSent([2, 0, 0]), 3);
+});
+
+test('a silent server can\'t grow the history forever', () => {
+  const predictor = new MovePredictor();
+  for (let i = 0; i < 500; i++) predictor.recordSent([i, 0, 0]);
+  assert.ok(predictor.pending.length < 500);
+  assert.equal(predictor.pending[predictor.pending.length - 1].seq, 500);
+});
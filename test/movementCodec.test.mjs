@@ -0,0 +1,101 @@
+// Round trips through the binary movement codec, as sent by browsers (ArrayBuffer) and
+// received by the server (Buffer)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ANIMATIONS,
+  encodeMove,
+  decodeMove,
+  encodeSnapshot,
+  decodeSnapshot,
+  isBinaryMessage,
+} from '../src/utils/movementCodec.js';
+
+const assertClose = (actual, expected, tolerance) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('a move survives the round trip to centimetre precision', () => {
+  const move = { position: [12.345, 0.8, -87.654], rotation: 1.2345, animation: 'run', showSkateboard: true, seq: 4242 };
+  const decoded = decodeMove(encodeMove(move));
+
+  move.position.forEach((value, i) => assertClose(decoded.position[i], value, 0.005));
+  assertClose(decoded.rotation, move.rotation, 2 * Math.PI / 65535);
+  assert.equal(decoded.animation, 'run');
+  assert.equal(decoded.showSkateboard, true);
+  assert.equal(decoded.seq, 4242);
+});
+
+test('a move decodes the same from a Node Buffer', () => {
+  const encoded = encodeMove({ position: [1, 2, 3], seq: 7 });
+  // Socket.IO hands the server a Buffer that may sit at an offset in a bigger allocation
+  const padded = Buffer.alloc(encoded.byteLength + 5);
+  Buffer.from(encoded).copy(padded, 5);
+  const decoded = decodeMove(padded.subarray(5));
+
+  assert.deepEqual(decoded, { position: [1, 2, 3], seq: 7 });
+  assert.ok(isBinaryMessage(padded.subarray(5)));
+  assert.ok(!isBinaryMessage({ position: [1, 2, 3] }));
+});
+
+test('only the fields that were sent come back', () => {
+  assert.deepEqual(decodeMove(encodeMove({ animation: 'idle' })), { animation: 'idle' });
+  assert.deepEqual(decodeMove(encodeMove({ showSkateboard: false })), { showSkateboard: false });
+  assert.deepEqual(decodeMove(encodeMove({})), {});
+});
+
+test('rotations come back in [-π, π]', () => {
+  [-3, -Math.PI / 2, 0, Math.PI / 2, 3, 3 * Math.PI].forEach(rotation => {
+    const decoded = decodeMove(encodeMove({ rotation })).rotation;
+    assert.ok(decoded >= -Math.PI && decoded <= Math.PI);
+    assertClose(Math.cos(decoded), Math.cos(rotation), 1e-4);
+    assertClose(Math.sin(decoded), Math.sin(rotation), 1e-4);
+  });
+});
+
+test('moves that can\'t be encoded fall back to JSON', () => {
+  assert.equal(encodeMove({ position: [400, 0, 0] }), null);
+  assert.equal(encodeMove({ position: [0, NaN, 0] }), null);
+  assert.equal(encodeMove({ position: [0, 0] }), null);
+  assert.equal(encodeMove({ animation: 'moonwalk' }), null);
+  assert.equal(encodeMove({ rotation: Infinity }), null);
+  assert.equal(encodeMove({ seq: -1 }), null);
+  assert.equal(encodeMove({ seq: 1.5 }), null);
+});
+
+test('every known animation has an index', () => {
+  ANIMATIONS.forEach(animation => {
+    assert.equal(decodeMove(encodeMove({ animation })).animation, animation);
+  });
+});
+
+test('a snapshot survives the round trip', () => {
+  const snapshot = {
+    t: 1760000000123.5,
+    players: {
+      'abc-DEF_123': { position: [1.5, 0.8, -2.25], animation: 'walk' },
+      xyz: { rotation: 0.5, isTeleport: true, position: [0, 0.8, 0] },
+    },
+  };
+  const decoded = decodeSnapshot(Buffer.from(encodeSnapshot(snapshot)));
+
+  assert.equal(decoded.t, snapshot.t);
+  assert.deepEqual(Object.keys(decoded.players), ['abc-DEF_123', 'xyz']);
+  assert.deepEqual(decoded.players['abc-DEF_123'], { position: [1.5, 0.8, -2.25], animation: 'walk' });
+  assert.equal(decoded.players.xyz.isTeleport, true);
+  assertClose(decoded.players.xyz.rotation, 0.5, 1e-4);
+});
+
+test('snapshots that can\'t be encoded fall back to JSON', () => {
+  assert.equal(encodeSnapshot({ t: 0, players: { 'é': { animation: 'idle' } } }), null);
+  assert.equal(encodeSnapshot({ t: 0, players: { a: { animation: 'moonwalk' } } }), null);
+});
+
+test('malformed messages decode to null', () => {
+  assert.equal(decodeMove(new ArrayBuffer(0)), null);
+  assert.equal(decodeMove(new Uint8Array([0b1]).buffer), null);
+  assert.equal(decodeSnapshot(new ArrayBuffer(4)), null);
+
+  const truncated = encodeSnapshot({ t: 1, players: { a: { position: [1, 2, 3] } } });
+  assert.equal(decodeSnapshot(truncated.slice(0, truncated.byteLength - 2)), null);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MovementValidator } = require('../src/server/movementValidator');
+const { SPAWN_POSITION, PORTALS } = require('../src/utils/worldLayout');
+
+// Open ground well away from the spawn point, jump pads and portals
+const START = [40, 0.8, 40];
+
+function createValidator() {
+  const validator = new MovementValidator();
+  validator.track('p1', START, 0);
+  return validator;
+}
+
+test('moves within running speed are accepted', () => {
+  const validator = createValidator();
+  const check = validator.check('p1', [50, 0.8, 40], { now: 1000 });
+  assert.deepEqual(check, { position: [50, 0.8, 40], result: 'accepted' });
+});
+
+test('moves a little too far are clamped toward the reported position', () => {
+  const validator = createValidator();
+  // 400ms earns 5m of movement at 12.5 m/s
+  const check = validator.check('p1', [47, 0.8, 40], { now: 400 });
+  assert.equal(check.result, 'clamped');
+  assert.equal(check.reason, 'speed');
+  assert.ok(Math.abs(check.position[0] - 45) < 1e-9);
+  assert.equal(check.position[2], 40);
+});
+
+test('moves far too fast are rejected and keep the last position', () => {
+  const validator = createValidator();
+  const check = validator.check('p1', [60, 0.8, 40], { now: 100 });
+  assert.deepEqual(check, { position: START, result: 'rejected', reason: 'speed' });
+});
+
+test('unused movement only saves up to a short burst', () => {
+  const validator = createValidator();
+  // A minute of standing still doesn't allow crossing the map
+  const check = validator.check('p1', [100, 0.8, 40], { now: 60000 });
+  assert.equal(check.result, 'rejected');
+});
+
+test('malformed positions are rejected', () => {
+  const validator = createValidator();
+  assert.equal(validator.check('p1', [1, 2], { now: 1000 }).reason, 'invalid');
+  assert.equal(validator.check('p1', [NaN, 0, 0], { now: 1000 }).reason, 'invalid');
+  assert.equal(validator.check('p1', 'here', { now: 1000 }).reason, 'invalid');
+});
+
+test('teleports are only accepted to allowed destinations', () => {
+  const validator = createValidator();
+  const destination = [-60, 0.8, -60];
+
+  const refused = validator.check('p1', destination, { now: 1000, isTeleport: true });
+  assert.deepEqual(refused, { position: START, result: 'rejected', reason: 'teleport' });
+
+  const allowed = validator.check('p1', destination, { now: 1100, isTeleport: true, destinations: [destination] });
+  assert.deepEqual(allowed, { position: destination, result: 'teleport' });
+});
+
+test('going through a portal is a teleport', () => {
+  const { portalA, portalB } = PORTALS[0];
+  const validator = new MovementValidator();
+  validator.track('p1', portalA, 0);
+  const check = validator.check('p1', [portalB[0] + 1, portalB[1], portalB[2]], { now: 50 });
+  assert.equal(check.result, 'teleport');
+});
+
+test('respawning is only a teleport after a fall or a spawn grant', () => {
+  const validator = createValidator();
+  assert.equal(validator.check('p1', SPAWN_POSITION, { now: 100 }).result, 'rejected');
+
+  validator.grantSpawnTeleport('p1', 200);
+  assert.equal(validator.check('p1', SPAWN_POSITION, { now: 300 }).result, 'teleport');
+
+  const fallen = new MovementValidator();
+  fallen.track('p2', [40, -25, 40], 0);
+  assert.equal(fallen.check('p2', SPAWN_POSITION, { now: 100 }).result, 'teleport');
+});
+
+test('counters are kept per player and dropped when they leave', () => {
+  const validator = createValidator();
+  validator.check('p1', [45, 0.8, 40], { now: 1000 });
+  validator.check('p1', [90, 0.8, 40], { now: 1100 });
+
+  assert.deepEqual(validator.getCounters(), { p1: { accepted: 1, clamped: 0, rejected: 1, teleports: 0 } });
+  validator.remove('p1');
+  assert.deepEqual(validator.getCounters(), {});
+});
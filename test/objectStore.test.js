@@ -0,0 +1,55 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileObjectStore } = require('../src/server/objectStore');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'objects-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const cube = { id: 'cube-1', type: 'cube', position: [1, 0, 1] };
+
+test('saved objects are written to disk and read back', async () => {
+  const directory = path.join(root, 'saved');
+  const store = new JsonFileObjectStore(directory, { debounceMs: 10 });
+  store.save('room', [cube]);
+  await store.flush();
+
+  assert.deepEqual(await new JsonFileObjectStore(directory).load('room'), [cube]);
+});
+
+test('a failed write keeps the objects queued and the next flush writes them', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  // A file where the store's folder should be makes every write fail
+  const blocker = path.join(root, 'blocker');
+  fs.writeFileSync(blocker, '');
+  const directory = path.join(blocker, 'objects');
+  const store = new JsonFileObjectStore(directory, { debounceMs: 10 });
+
+  store.save('room', [cube]);
+  await store.flush();
+  assert.equal(console.error.mock.calls.length, 1);
+  assert.deepEqual(await store.load('room'), [cube]);
+
+  fs.rmSync(blocker);
+  await store.flush();
+  assert.deepEqual(await new JsonFileObjectStore(directory).load('room'), [cube]);
+  assert.equal(store.pending.room, undefined);
+});
+
+test('a save made during a failed write isn\'t overwritten by the retry', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const blocker = path.join(root, 'blocker-2');
+  fs.writeFileSync(blocker, '');
+  const store = new JsonFileObjectStore(path.join(blocker, 'objects'), { debounceMs: 10 });
+
+  store.save('room', [cube]);
+  const failing = store.writeRoom('room');
+  store.save('room', [cube, { ...cube, id: 'cube-2' }]);
+  await failing;
+
+  assert.deepEqual((await store.load('room')).map(obj => obj.id), ['cube-1', 'cube-2']);
+  fs.rmSync(blocker);
+  await store.flush();
+});
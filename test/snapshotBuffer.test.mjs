@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotBuffer, MAX_EXTRAPOLATION_MS } from '../src/utils/snapshotBuffer.js';
+
+// Snapshots are stamped with the server clock, which these tests share with the local one
+function createBuffer() {
+  return { buffer: new SnapshotBuffer(), base: Date.now() };
+}
+
+test('nothing is drawn until a snapshot arrives', () => {
+  assert.equal(new SnapshotBuffer().sample(), null);
+});
+
+test('samples between two snapshots are interpolated', () => {
+  const { buffer, base } = createBuffer();
+  buffer.push(base, { position: [0, 0, 0], rotation: 0, animation: 'walk' });
+  buffer.push(base + 100, { position: [10, 0, -10], rotation: 1 });
+
+  const { position, rotation } = buffer.sample(base + 25);
+  assert.deepEqual(position, [2.5, 0, -2.5]);
+  assert.ok(Math.abs(rotation - 0.25) < 1e-9);
+});
+
+test('missing fields are carried over from the previous snapshot', () => {
+  const { buffer, base } = createBuffer();
+  buffer.push(base, { position: [1, 2, 3], rotation: 0.5, animation: 'run' });
+  buffer.push(base + 50, { animation: 'jump' });
+
+  const latest = buffer.snapshots[buffer.snapshots.length - 1];
+  assert.deepEqual(latest, { t: base + 50, position: [1, 2, 3], rotation: 0.5, animation: 'jump' });
+});
+
+test('out-of-order snapshots are slotted in by server time', () => {
+  const { buffer, base } = createBuffer();
+  buffer.push(base, { position: [0, 0, 0] });
+  buffer.push(base + 100, { position: [10, 0, 0] });
+  buffer.push(base + 50, { position: [5, 0, 0] });
+
+  assert.deepEqual(buffer.snapshots.map(snapshot => snapshot.t), [base, base + 50, base + 100]);
+});
+
+test('a teleport drops the path to the old spot', () => {
+  const { buffer, base } = createBuffer();
+  buffer.push(base, { position: [0, 0, 0] });
+  buffer.push(base + 50, { position: [40, 0, 40], isTeleport: true });
+
+  assert.equal(buffer.snapshots.length, 1);
+  assert.deepEqual(buffer.sample(base + 25).position, [40, 0, 40]);
+});
+
+test('a moving player keeps going for a while past the newest snapshot, then eases back', () => {
+  const { buffer, base } = createBuffer();
+  buffer.push(base, { position: [0, 0, 0], animation: 'run' });
+  buffer.push(base + 100, { position: [1, 0, 0] });
+
+  assert.deepEqual(buffer.sample(base + 200).position, [2, 0, 0]);
+  const furthest = buffer.sample(base + 100 + MAX_EXTRAPOLATION_MS).position[0];
+  assert.ok(Math.abs(furthest - (1 + MAX_EXTRAPOLATION_MS / 100)) < 1e-9);
+  assert.deepEqual(buffer.sample(base + 100 + 3 * MAX_EXTRAPOLATION_MS).position, [1, 0, 0]);
+});
+
+test('an idle player stays where they were last seen', () => {
+  const { buffer, base } = createBuffer();
+  buffer.push(base, { position: [0, 0, 0], animation: 'walk' });
+  buffer.push(base + 100, { position: [1, 0, 0], animation: 'idle' });
+
+  assert.deepEqual(buffer.sample(base + 200).position, [1, 0, 0]);
+});
+
+test('turning takes the short way round and isn\'t extrapolated', () => {
+  const { buffer, base } = createBuffer();
+  buffer.push(base, { position: [0, 0, 0], rotation: 3, animation: 'walk' });
+  buffer.push(base + 100, { position: [1, 0, 0], rotation: -3 });
+
+  const halfway = buffer.sample(base + 50).rotation;
+  assert.ok(Math.abs(Math.abs(halfway) - Math.PI) < 1e-9);
+  assert.ok(Math.abs(buffer.sample(base + 200).rotation - -3) < 1e-9);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ServerSpatialGrid = require('../src/utils/serverSpatialGrid');
+const { setTagCooldown, clearTagCooldowns, findTagTarget } = require('../src/games/tag/server/tagDetection');
+const { tagConfig } = require('../src/games/tag/config');
+
+// Past IT's freeze at the start of the round
+const NOW = 60000;
+
+function createRound(positions) {
+  const grid = new ServerSpatialGrid(10, 200, 200);
+  Object.entries(positions).forEach(([playerId, position]) => grid.updateEntity(playerId, position));
+  const game = { players: Object.keys(positions), taggedPlayerId: 'it', startTime: 0 };
+  return { game, grid };
+}
+
+test('IT tags the closest player in range', () => {
+  const { game, grid } = createRound({
+    it: [0, 0, 0],
+    near: [1, 0, 0],
+    nearer: [0, 0, 0.5],
+    far: [tagConfig.tagDistance + 1, 0, 0],
+  });
+
+  const tag = findTagTarget(game, grid, {}, NOW);
+  assert.equal(tag.targetId, 'nearer');
+  assert.equal(tag.distance, 0.5);
+});
+
+test('nobody is tagged out of range, outside the round or while IT is frozen', () => {
+  const { game, grid } = createRound({ it: [0, 0, 0], runner: [tagConfig.tagDistance + 0.5, 0, 0] });
+  assert.equal(findTagTarget(game, grid, {}, NOW), null);
+
+  grid.updateEntity('spectator', [0, 0, 1]);
+  assert.equal(findTagTarget(game, grid, {}, NOW), null);
+
+  grid.updateEntity('runner', [1, 0, 0]);
+  assert.equal(findTagTarget(game, grid, {}, tagConfig.freezeDuration * 1000 - 1), null);
+});
+
+test('a tag can\'t be returned straight away, in either direction', () => {
+  const { game, grid } = createRound({ it: [0, 0, 0], runner: [1, 0, 0] });
+  const tagCooldowns = {};
+  setTagCooldown(tagCooldowns, 'runner', 'it', NOW);
+
+  assert.equal(findTagTarget(game, grid, tagCooldowns, NOW + 1000), null);
+  assert.equal(findTagTarget(game, grid, tagCooldowns, NOW + tagConfig.tagBackCooldown * 1000).targetId, 'runner');
+
+  // The host can change the cooldown in the lobby
+  game.settings = { tagBackCooldown: 10 };
+  assert.equal(findTagTarget(game, grid, tagCooldowns, NOW + 5000), null);
+});
+
+test('cooldowns are cleared for players who leave or finish a round', () => {
+  const tagCooldowns = {};
+  setTagCooldown(tagCooldowns, 'a', 'b', NOW);
+  setTagCooldown(tagCooldowns, 'a', 'c', NOW);
+
+  clearTagCooldowns(tagCooldowns, ['b']);
+  assert.deepEqual(tagCooldowns, { a: { c: NOW }, c: { a: NOW } });
+
+  clearTagCooldowns(tagCooldowns, ['a', 'c']);
+  assert.deepEqual(tagCooldowns, {});
+});
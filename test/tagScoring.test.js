@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { initTagStats, changeIt, buildScoreboard } = require('../src/games/tag/server/scoring');
+
+// Round start, late enough to be a real timestamp
+const T0 = 100000;
+
+function createGame(players, itId) {
+  const game = { players, taggedPlayerId: itId };
+  initTagStats(game, T0);
+  return game;
+}
+
+test('time as IT is credited to whoever was IT', () => {
+  const game = createGame(['a', 'b'], 'a');
+  changeIt(game, 'b', T0 + 4000, { taggerId: 'a' });
+
+  const scoreboard = buildScoreboard(game, 'leastTimeAsIt', T0 + 10000);
+  const byId = Object.fromEntries(scoreboard.map(entry => [entry.playerId, entry]));
+  assert.equal(byId.a.secondsAsIt, 4);
+  assert.equal(byId.b.secondsAsIt, 6);
+  assert.equal(byId.a.tags, 1);
+  assert.equal(byId.b.timesTagged, 1);
+});
+
+test('reassigning IT doesn\'t count as being tagged, penalties do', () => {
+  const game = createGame(['a', 'b', 'c'], 'a');
+  changeIt(game, 'b', T0 + 1000);
+  changeIt(game, 'c', T0 + 2000, { penalty: true });
+
+  const scoreboard = buildScoreboard(game, 'leastTimeAsIt', T0 + 3000);
+  const byId = Object.fromEntries(scoreboard.map(entry => [entry.playerId, entry]));
+  assert.equal(byId.b.timesTagged, 0);
+  assert.equal(byId.c.timesTagged, 1);
+});
+
+test('least time as IT ranks first, ties broken by tags', () => {
+  const game = createGame(['a', 'b', 'c'], 'a');
+  changeIt(game, 'b', T0 + 5000, { taggerId: 'a' });
+  changeIt(game, 'c', T0 + 5000, { taggerId: 'b' });
+
+  const scoreboard = buildScoreboard(game, 'leastTimeAsIt', T0 + 10000);
+  assert.deepEqual(scoreboard.map(entry => [entry.playerId, entry.rank]), [['b', 1], ['a', 2], ['c', 3]]);
+});
+
+test('with notTaggedAtEnd, whoever is IT at the end ranks last', () => {
+  const game = createGame(['a', 'b'], 'a');
+  changeIt(game, 'b', T0 + 9000, { taggerId: 'a' });
+
+  const scoreboard = buildScoreboard(game, 'notTaggedAtEnd', T0 + 10000);
+  assert.deepEqual(scoreboard.map(entry => entry.playerId), ['a', 'b']);
+  assert.equal(scoreboard[1].isIt, true);
+});
+
+test('players who left rank below everyone who stayed', () => {
+  const game = createGame(['a', 'b'], 'a');
+  changeIt(game, 'b', T0 + 9000, { taggerId: 'a' });
+  game.players = ['b'];
+
+  const scoreboard = buildScoreboard(game, 'leastTimeAsIt', T0 + 10000);
+  assert.deepEqual(scoreboard.map(entry => [entry.playerId, entry.left]), [['b', false], ['a', true]]);
+});
+
+test('a round without stats has an empty scoreboard', () => {
+  assert.deepEqual(buildScoreboard({ players: ['a'] }, 'leastTimeAsIt', 0), []);
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DISTANCE_TOLERANCE, checkTouchDistance, describeTouchDistance } = require('../src/server/touchDistance');
+
+const roomPlayers = {
+  a: { position: [0, 0, 0] },
+  b: { position: [3, 10, 4] },
+  noPosition: {},
+};
+
+test('touches are measured horizontally, with the tolerance', () => {
+  assert.deepEqual(checkTouchDistance(roomPlayers, 'a', 'b', 5), { inRange: true, distance: 5 });
+  assert.equal(checkTouchDistance(roomPlayers, 'a', 'b', 5 / DISTANCE_TOLERANCE).inRange, true);
+  assert.equal(checkTouchDistance(roomPlayers, 'a', 'b', 3).inRange, false);
+});
+
+test('touches are refused when either position is unknown', () => {
+  assert.deepEqual(checkTouchDistance(roomPlayers, 'a', 'noPosition', 100), { inRange: false, distance: null });
+  assert.equal(checkTouchDistance(roomPlayers, 'missing', 'a', 100).inRange, false);
+  assert.equal(checkTouchDistance(undefined, 'a', 'b', 100).inRange, false);
+});
+
+test('failed checks are described for the log', () => {
+  assert.equal(describeTouchDistance(checkTouchDistance(roomPlayers, 'a', 'b', 3), 3), '5.00 > 4.50');
+  assert.equal(describeTouchDistance(checkTouchDistance(roomPlayers, 'a', 'missing', 3), 3), 'position unknown');
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { WorldSnapshots } = require('../src/server/worldSnapshots');
+
+test('a snapshot holds each player\'s latest movement once', () => {
+  const snapshots = new WorldSnapshots();
+  snapshots.record('room', 'a', { position: [0, 0, 0], animation: 'walk' });
+  snapshots.record('room', 'a', { position: [1, 0, 0], rotation: 0.5 });
+
+  assert.deepEqual(snapshots.buildSnapshot('room', 'b', ['a']), {
+    a: { position: [1, 0, 0], rotation: 0.5, animation: 'walk' },
+  });
+  assert.equal(snapshots.buildSnapshot('room', 'b', ['a']), null);
+});
+
+test('later snapshots only hold the fields that changed', () => {
+  const snapshots = new WorldSnapshots();
+  snapshots.record('room', 'a', { position: [0, 0, 0], rotation: 0, animation: 'walk' });
+  snapshots.buildSnapshot('room', 'b', ['a']);
+
+  snapshots.record('room', 'a', { position: [0, 0, 0], rotation: 1, animation: 'walk' });
+  assert.deepEqual(snapshots.buildSnapshot('room', 'b', ['a']), { a: { rotation: 1 } });
+});
+
+test('each receiver gets what changed since their own last snapshot', () => {
+  const snapshots = new WorldSnapshots();
+  snapshots.record('room', 'a', { position: [0, 0, 0] });
+  snapshots.buildSnapshot('room', 'b', ['a']);
+  snapshots.record('room', 'a', { position: [1, 0, 0] });
+
+  assert.deepEqual(snapshots.buildSnapshot('room', 'c', ['a']), { a: { position: [1, 0, 0] } });
+  assert.deepEqual(snapshots.buildSnapshot('room', 'b', ['a']), { a: { position: [1, 0, 0] } });
+});
+
+test('players only get the players they ask for, never themselves', () => {
+  const snapshots = new WorldSnapshots();
+  snapshots.record('room', 'a', { position: [0, 0, 0] });
+  snapshots.record('room', 'b', { position: [1, 0, 0] });
+  snapshots.record('room', 'c', { position: [2, 0, 0] });
+
+  assert.deepEqual(Object.keys(snapshots.buildSnapshot('room', 'a', ['a', 'b'])), ['b']);
+  // c was left out, so it is still new on the next snapshot that includes it
+  assert.deepEqual(Object.keys(snapshots.buildSnapshot('room', 'a', ['b', 'c'])), ['c']);
+});
+
+test('a teleport resends the position even if it ends up where it was', () => {
+  const snapshots = new WorldSnapshots();
+  snapshots.record('room', 'a', { position: [0, 0.8, 0] });
+  snapshots.buildSnapshot('room', 'b', ['a']);
+  snapshots.record('room', 'a', { position: [0, 0.8, 0] }, { isTeleport: true });
+
+  assert.deepEqual(snapshots.buildSnapshot('room', 'b', ['a']), { a: { position: [0, 0.8, 0], isTeleport: true } });
+});
+
+test('rooms are kept apart and forgotten when removed', () => {
+  const snapshots = new WorldSnapshots();
+  snapshots.record('one', 'a', { position: [0, 0, 0] });
+  snapshots.record('two', 'b', { position: [1, 0, 0] });
+
+  assert.equal(snapshots.buildSnapshot('one', 'x', ['a', 'b']).b, undefined);
+  snapshots.removeRoom('two');
+  assert.deepEqual(snapshots.getRoomIds(), ['one']);
+});
+
+test('a player who leaves is resent in full if they come back', () => {
+  const snapshots = new WorldSnapshots();
+  snapshots.record('room', 'a', { position: [0, 0, 0], animation: 'idle' });
+  snapshots.buildSnapshot('room', 'b', ['a']);
+
+  snapshots.removePlayer('room', 'a');
+  assert.equal(snapshots.buildSnapshot('room', 'b', ['a']), null);
+
+  snapshots.record('room', 'a', { position: [0, 0, 0], animation: 'idle' });
+  assert.deepEqual(snapshots.buildSnapshot('room', 'b', ['a']), { a: { position: [0, 0, 0], animation: 'idle' } });
+});